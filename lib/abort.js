@@ -0,0 +1,75 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var EventEmitter = require('events').EventEmitter
+
+/**
+ * Minimal abort signal for Node versions without a global `AbortController`,
+ * with only what the `signal` options use, `aborted` and `abort` listeners
+ */
+
+function Signal() {
+  this.aborted = false
+  this.emitter = new EventEmitter()
+}
+
+/**
+ * Listen for an event, only `abort` is ever emitted
+ *
+ * @param {String} event
+ * @param {Function} listener
+ */
+
+Signal.prototype.addEventListener = function(event, fn) {
+  this.emitter.on(event, fn)
+}
+
+/**
+ * Stop listening for an event
+ *
+ * @param {String} event
+ * @param {Function} listener
+ */
+
+Signal.prototype.removeEventListener = function(event, fn) {
+  this.emitter.removeListener(event, fn)
+}
+
+/**
+ * Abort controller for Node versions without a global one, the global is
+ * used whenever it exists
+ */
+
+function Controller() {
+  this.signal = new Signal()
+}
+
+/**
+ * Abort the signal, listeners are only called once
+ */
+
+Controller.prototype.abort = function() {
+  if (this.signal.aborted) return
+  this.signal.aborted = true
+  this.signal.emitter.emit('abort')
+}
+
+/**
+ * Create an abort controller, the global `AbortController` when there is one
+ *
+ * @return {AbortController} controller
+ */
+
+function controller() {
+  return global.AbortController ? new global.AbortController() : new Controller()
+}
+
+/*!
+ * Exports
+ */
+
+exports.Controller = Controller
+exports.controller = controller
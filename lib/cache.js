@@ -0,0 +1,374 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , path = require('path')
+  , crypto = require('crypto')
+  , Promise = require('bluebird')
+  , _ = require('underscore')
+  , varType = require('var-type')
+  , Logger = require('./logger')
+
+/*!
+ * Misc
+ */
+
+var MINUTE = 60 * 1000
+  , HOUR = 60 * MINUTE
+
+/*!
+ * Default cache time for each SOAP operation, anything not listed here is
+ * never cached (including all write operations)
+ */
+
+var TTL = {
+  getProgramDetail: 5 * MINUTE
+, searchVodPrograms: MINUTE
+, getCategories: HOUR
+}
+
+/**
+ * In-memory store, removing the least recently used entries once `max`
+ * entries are reached
+ *
+ * @param {Object} options
+ *   - `max` {Number} max entries (default 1000)
+ */
+
+function LruStore(options) {
+  this.max = (options && options.max) || 1000
+  this.entries = new Map()
+}
+
+/**
+ * Get a cached value
+ *
+ * @param {String} key
+ * @return {Promise} promise, resolves `undefined` if missing or expired
+ */
+
+LruStore.prototype.get = function(key) {
+  var entry = this.entries.get(key)
+
+  if (!entry) return Promise.resolve()
+
+  this.entries.delete(key)
+  if (entry.expires <= Date.now()) return Promise.resolve()
+
+  // Re-insert to mark as most recently used
+  this.entries.set(key, entry)
+  return Promise.resolve(entry.value)
+}
+
+/**
+ * Cache a value
+ *
+ * @param {String} key
+ * @param {Any} value
+ * @param {Number} ttl in milliseconds
+ * @return {Promise} promise
+ */
+
+LruStore.prototype.set = function(key, val, ttl) {
+  this.entries.delete(key)
+  this.entries.set(key, {
+    value: val
+  , expires: Date.now() + ttl
+  })
+
+  while (this.entries.size > this.max) {
+    this.entries.delete(this.entries.keys().next().value)
+  }
+  return Promise.resolve()
+}
+
+/**
+ * Remove a cached value
+ *
+ * @param {String} key
+ * @return {Promise} promise
+ */
+
+LruStore.prototype.del = function(key) {
+  this.entries.delete(key)
+  return Promise.resolve()
+}
+
+/**
+ * Remove all cached values
+ *
+ * @return {Promise} promise
+ */
+
+LruStore.prototype.clear = function() {
+  this.entries.clear()
+  return Promise.resolve()
+}
+
+/**
+ * File system store, each entry is kept as a JSON file within `dir`
+ *
+ * @param {String} directory path
+ */
+
+function FileStore(dir) {
+  this.dir = dir
+  this.log = null
+}
+
+/**
+ * Get the file path for a cache key
+ *
+ * @param {String} key
+ * @return {String} file path
+ */
+
+FileStore.prototype.file = function(key) {
+  var hash = crypto.createHash('sha1').update(key).digest('hex')
+  return path.join(this.dir, `neulion-${hash}.json`)
+}
+
+/**
+ * Get a cached value
+ *
+ * @param {String} key
+ * @return {Promise} promise, resolves `undefined` if missing or expired
+ */
+
+FileStore.prototype.get = function(key) {
+  var self = this
+
+  return new Promise(function(res) {
+    fs.readFile(self.file(key), 'utf8', function(err, str) {
+      if (err) return res()
+      try {
+        var entry = JSON.parse(str)
+        if (entry.key === key && entry.expires > Date.now()) return res(entry.value)
+      } catch (e) {
+        if (self.log) self.log.warn('invalid cache file', { event: 'cache', key: key })
+      }
+      res()
+    })
+  })
+}
+
+/**
+ * Cache a value, the directory is created if missing
+ *
+ * @param {String} key
+ * @param {Any} value
+ * @param {Number} ttl in milliseconds
+ * @return {Promise} promise
+ */
+
+FileStore.prototype.set = function(key, val, ttl) {
+  var self = this
+    , file = this.file(key)
+    , tmp = `${file}.${process.pid}.tmp`
+
+  var entry = JSON.stringify({
+    key: key
+  , expires: Date.now() + ttl
+  , value: val
+  })
+
+  return new Promise(function(res, rej) {
+    fs.mkdir(self.dir, function(err) {
+      if (err && err.code !== 'EEXIST') return rej(err)
+
+      fs.writeFile(tmp, entry, function(err) {
+        if (err) return rej(err)
+        fs.rename(tmp, file, function(err) {
+          if (err) return rej(err)
+          res()
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Remove a cached value
+ *
+ * @param {String} key
+ * @return {Promise} promise
+ */
+
+FileStore.prototype.del = function(key) {
+  var file = this.file(key)
+
+  return new Promise(function(res, rej) {
+    fs.unlink(file, function(err) {
+      if (err && err.code !== 'ENOENT') return rej(err)
+      res()
+    })
+  })
+}
+
+/**
+ * Remove all cached values
+ *
+ * @return {Promise} promise
+ */
+
+FileStore.prototype.clear = function() {
+  var self = this
+
+  return new Promise(function(res, rej) {
+    fs.readdir(self.dir, function(err, files) {
+      if (err && err.code === 'ENOENT') return res([])
+      if (err) return rej(err)
+      res(files)
+    })
+  })
+  .then(function(files) {
+    return Promise.map(files.filter(function(x) {
+      return /^neulion-[0-9a-f]{40}\.json$/.test(x)
+    }), function(x) {
+      return Promise.fromCallback(function(next) {
+        fs.unlink(path.join(self.dir, x), next)
+      })
+    })
+  })
+}
+
+/**
+ * Response cache for SOAP operations. Identical requests made while one is
+ * already in progress share the same promise instead of calling again.
+ * Keys include the `group` and `endpoint`, so a store shared between
+ * accounts never mixes up their responses.
+ *
+ * @param {Object|Boolean} options, `true` for all defaults
+ *   - `store` {Object} cache store (default `LruStore`)
+ *   - `max` {Number} max entries for the default store
+ *   - `ttl` {Number|Object} milliseconds by SOAP operation, a single number
+ *     applies to all default cached operations
+ *   - `log` {Logger} logger, also given to a `FileStore` without one (default `debug`)
+ *   - `group` {Number} group id the responses belong to
+ *   - `endpoint` {String|Array} WSDL url the responses come from, or the list of them
+ */
+
+function Cache(options) {
+  var opts = varType(options, 'Object') ? options : {}
+    , ttl = opts.ttl
+
+  this.store = opts.store || new LruStore({ max: opts.max })
+  this.pending = {}
+  this.log = opts.log || new Logger()
+  this.group = opts.group === undefined || opts.group === null ? '' : String(opts.group)
+  this.endpoint = [].concat(opts.endpoint || []).join(',')
+
+  if (this.store instanceof FileStore && !this.store.log) this.store.log = this.log
+
+  this.ttl = varType(ttl, 'Number')
+    ? _.mapObject(TTL, function() { return ttl })
+    : _.extend({}, TTL, ttl || {})
+}
+
+/**
+ * Build the cache key for a request, returns `null` if the operation is
+ * not cached. The `authCode` placeholder is never replaced at this point.
+ * Keys start with the `endpoint` and `group` of this cache.
+ *
+ * @param {String} soap method
+ * @param {Object|String} method parameters
+ * @return {String|Null} key
+ */
+
+Cache.prototype.key = function(method, options) {
+  if (!this.ttl[method]) return null
+  return `${this.endpoint}:${this.group}:${method}:${varType(options, 'String') ? options : JSON.stringify(options)}`
+}
+
+/**
+ * Get a cached response, or load and cache it
+ *
+ * @param {String} soap method
+ * @param {Object|String} method parameters
+ * @param {Function} loader returning a promise
+ * @return {Promise} promise
+ */
+
+Cache.prototype.fetch = function(method, options, load) {
+  var self = this
+    , key = this.key(method, options)
+
+  if (!key) return load()
+  if (this.pending[key]) {
+    this.log.debug('joined pending load', { event: 'cache', key: key })
+    return this.pending[key]
+  }
+
+  var promise = Promise
+    .resolve(this.store.get(key))
+    .then(function(cached) {
+      if (cached !== undefined) {
+        self.log.debug('hit', { event: 'cache', key: key })
+        return cached
+      }
+      self.log.debug('miss', { event: 'cache', key: key })
+
+      return load().then(function(resp) {
+        return Promise
+          .resolve(self.store.set(key, resp, self.ttl[method]))
+          .catch(function(err) {
+            self.log.warn(err.message, { event: 'cache', key: key, code: err.code })
+          })
+          .return(resp)
+      })
+    })
+    .finally(function() {
+      delete self.pending[key]
+    })
+
+  this.pending[key] = promise
+  return promise
+}
+
+/**
+ * Remove the cached details of a program in the `group` and `endpoint` of
+ * this cache
+ *
+ * @param {Number|String} neulion id
+ * @return {Promise} promise
+ */
+
+Cache.prototype.invalidate = function(id) {
+  var self = this
+
+  this.log.debug('invalidate', { event: 'cache', programId: id, groupId: this.group, endpoint: this.endpoint })
+
+  var keys = _.uniq([+id, String(id)]).map(function(x) {
+    return self.key('getProgramDetail', {
+      authCode: '{authCode}'
+    , programId: x
+    })
+  })
+
+  return Promise.map(_.compact(keys), function(key) {
+    return self.store.del(key)
+  })
+}
+
+/**
+ * Remove all cached responses
+ *
+ * @return {Promise} promise
+ */
+
+Cache.prototype.clear = function() {
+  this.log.debug('clear', { event: 'cache' })
+  return Promise.resolve(this.store.clear())
+}
+
+/*!
+ * Exports
+ */
+
+Cache.LruStore = LruStore
+Cache.FileStore = FileStore
+
+module.exports = Cache
@@ -0,0 +1,316 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+
+/*!
+ * Misc
+ */
+
+var HOUR = 60 * 60 * 1000
+  , concat = Array.prototype.concat
+
+/**
+ * Key of the group a category belongs to, categories of a single group
+ * instance have no `groupId`
+ *
+ * @param {Object} category
+ * @return {String} key
+ */
+
+function groupKey(x) {
+  return String(x.groupId)
+}
+
+/**
+ * Build the lookup indexes and the nested tree for the categories of a
+ * single group
+ *
+ * @param {Array} categories
+ * @return {Object} index
+ */
+
+function groupIndex(list) {
+  var nodes = {}
+    , roots = []
+
+  list.forEach(function(x) {
+    nodes[x.categoryId] = _.extend({}, x, { children: [] })
+  })
+
+  list.forEach(function(x) {
+    var parent = x.parentId !== null && nodes[x.parentId]
+
+    // Orphans are treated as roots so nothing goes missing from the tree
+    if (parent && x.parentId !== x.categoryId) parent.children.push(nodes[x.categoryId])
+    else roots.push(nodes[x.categoryId])
+  })
+
+  return {
+    list: list
+  , byId: _.indexBy(list, 'categoryId')
+  , byKey: _.indexBy(list, 'categoryKey')
+  , tree: roots
+  }
+}
+
+/**
+ * Build one index per group, since category IDs and keys are only unique
+ * within a group. `byId` and `byKey` are those of the first group, and the
+ * `tree` has the roots of every group.
+ *
+ * @param {Array} categories
+ * @return {Object} index
+ */
+
+function index(list) {
+  var lists = _.groupBy(list, groupKey)
+    , order = _.uniq(list.map(groupKey))
+    , groups = _.mapObject(lists, groupIndex)
+    , first = groups[order[0]] || groupIndex([])
+
+  return {
+    list: list
+  , groups: groups
+  , order: order
+  , byId: first.byId
+  , byKey: first.byKey
+  , tree: concat.apply([], order.map(function(key) {
+      return groups[key].tree
+    }))
+  }
+}
+
+/**
+ * Get the index of a group, or the first group when the group is unknown,
+ * such as programs of a single group instance
+ *
+ * @param {Object} index
+ * @param {Number|String} group id
+ * @return {Object} group index
+ */
+
+function groupOf(idx, groupId) {
+  return idx.groups[String(groupId)] || idx.groups[idx.order[0]] || groupIndex([])
+}
+
+/**
+ * Find a category in a group index by `categoryId` or `categoryKey`
+ *
+ * @param {Object} group index
+ * @param {Number|String} category id or key
+ * @return {Object|Null} category
+ */
+
+function find(gidx, idOrKey) {
+  if (varType(idOrKey, 'Number') || /^\d+$/.test(idOrKey)) {
+    return gidx.byId[idOrKey] || gidx.byKey[idOrKey] || null
+  }
+  return gidx.byKey[idOrKey] || null
+}
+
+/**
+ * Find a category in the index by `categoryId` or `categoryKey`, within a
+ * group when given, otherwise the first group that has it
+ *
+ * @param {Object} index
+ * @param {Number|String} category id or key
+ * @param {Number|String} group id (optional)
+ * @return {Object|Null} category
+ */
+
+function lookup(idx, idOrKey, groupId) {
+  if (groupId !== undefined && groupId !== null) {
+    return idx.groups[String(groupId)] ? find(idx.groups[String(groupId)], idOrKey) : null
+  }
+  for (var i = 0; i < idx.order.length; i++) {
+    var found = find(idx.groups[idx.order[i]], idOrKey)
+    if (found) return found
+  }
+  return null
+}
+
+/**
+ * Walk up the parent links of a category within its group, nearest parent
+ * first
+ *
+ * @param {Object} index
+ * @param {Object} category
+ * @return {Array} ancestors
+ */
+
+function parents(idx, cat) {
+  var byId = groupOf(idx, cat.groupId).byId
+    , found = []
+    , seen = {}
+
+  seen[cat.categoryId] = true
+
+  while (cat.parentId !== null && !seen[cat.parentId] && byId[cat.parentId]) {
+    cat = byId[cat.parentId]
+    seen[cat.categoryId] = true
+    found.push(cat)
+  }
+  return found
+}
+
+/**
+ * Load the category index, cached for `config.categoryTTL` milliseconds
+ * (default 1 hour) since the `categories` call can be slow. The pending
+ * promise is cached so concurrent callers share the same request.
+ *
+ * @param {Object} options
+ *   - `refresh` {Boolean} ignore the cache
+ * @return {Promise} promise
+ */
+
+exports.categoryIndex = function(options) {
+  var self = this
+    , ttl = this.config.categoryTTL
+    , cache = this._categoryCache
+
+  if (!varType(ttl, 'Number')) ttl = HOUR
+
+  if (cache && !(options && options.refresh) && Date.now() - cache.time < ttl) {
+    return cache.promise
+  }
+
+  this.log.debug('loading categories', { event: 'categoryIndex', ttl: ttl })
+
+  var promise = this
+    .categories()
+    .then(index)
+    .catch(function(err) {
+      if (self._categoryCache && self._categoryCache.promise === promise) {
+        self._categoryCache = null
+      }
+      throw err
+    })
+
+  this._categoryCache = {
+    time: Date.now()
+  , promise: promise
+  }
+  return promise
+}
+
+/**
+ * Get all categories as a nested tree, each node has a `children` list
+ *
+ * @param {Object} options (see `categoryIndex`)
+ * @return {Promise} promise
+ */
+
+exports.categoryTree = function(options) {
+  return this
+    .categoryIndex(options)
+    .then(function(idx) {
+      return idx.tree
+    })
+}
+
+/**
+ * Find a single category by `categoryId` or `categoryKey`. With several
+ * groups, the first group that has it is used unless `groupId` is given.
+ *
+ * @param {Number|String} category id or key
+ * @param {Number} group id (optional)
+ * @return {Promise} promise, resolves `null` if not found
+ */
+
+exports.category = function(idOrKey, groupId) {
+  return this
+    .categoryIndex()
+    .then(function(idx) {
+      return lookup(idx, idOrKey, groupId)
+    })
+}
+
+/**
+ * Find all ancestors of a category, starting from the root category
+ *
+ * @param {Number|String} category id or key
+ * @param {Number} group id (optional, see `category`)
+ * @return {Promise} promise
+ */
+
+exports.categoryAncestors = function(idOrKey, groupId) {
+  return this
+    .categoryIndex()
+    .then(function(idx) {
+      var cat = lookup(idx, idOrKey, groupId)
+      return cat ? parents(idx, cat).reverse() : []
+    })
+}
+
+/**
+ * Find all descendants of a category, depth first
+ *
+ * @param {Number|String} category id or key
+ * @param {Number} group id (optional, see `category`)
+ * @return {Promise} promise
+ */
+
+exports.categoryDescendants = function(idOrKey, groupId) {
+  return this
+    .categoryIndex()
+    .then(function(idx) {
+      var cat = lookup(idx, idOrKey, groupId)
+        , list = cat ? groupOf(idx, cat.groupId).list : []
+        , found = []
+        , seen = {}
+
+      function walk(id) {
+        list.forEach(function(x) {
+          if (x.parentId !== id || seen[x.categoryId]) return
+          seen[x.categoryId] = true
+          found.push(x)
+          walk(x.categoryId)
+        })
+      }
+      if (cat) {
+        seen[cat.categoryId] = true
+        walk(cat.categoryId)
+      }
+      return found
+    })
+}
+
+/**
+ * Expand the `categoryIdArray` of a program into full category objects as
+ * `categories`, each with a `path` breadcrumb from the root category down
+ * to itself. Categories are looked up in the group of the program. Unknown
+ * category IDs are skipped.
+ *
+ * @param {Object} program detail
+ * @return {Promise} promise
+ */
+
+exports.expandCategories = function(video) {
+  var self = this
+
+  return this
+    .categoryIndex()
+    .then(function(idx) {
+      var byId = groupOf(idx, video.groupId).byId
+
+      video.categories = (video.categoryIdArray || []).reduce(function(found, id) {
+        var cat = byId[id]
+
+        if (!cat) {
+          self.log.debug('unknown category', { event: 'expandCategories', categoryId: id })
+          return found
+        }
+        found.push(_.extend({}, cat, {
+          path: parents(idx, cat).reverse().concat(cat)
+        }))
+        return found
+      }, [])
+
+      return video
+    })
+}
@@ -0,0 +1,475 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , util = require('util')
+  , crypto = require('crypto')
+  , EventEmitter = require('events').EventEmitter
+  , Promise = require('bluebird')
+  , _ = require('underscore')
+  , varType = require('var-type')
+  , timezone = require('./timezone')
+
+/*!
+ * Misc
+ */
+
+var MINUTE = 60 * 1000
+
+/**
+ * In-memory checkpoint store, state is lost when the process exits
+ */
+
+function MemoryStore() {
+  this.data = {}
+}
+
+/**
+ * Get a stored value
+ *
+ * @param {String} key
+ * @return {Promise} promise, resolves `null` if not found
+ */
+
+MemoryStore.prototype.get = function(key) {
+  return Promise.resolve(this.data.hasOwnProperty(key) ? this.data[key] : null)
+}
+
+/**
+ * Store a value, copied so later changes to it are not stored
+ *
+ * @param {String} key
+ * @param {Object} value
+ * @return {Promise} promise
+ */
+
+MemoryStore.prototype.set = function(key, val) {
+  this.data[key] = JSON.parse(JSON.stringify(val))
+  return Promise.resolve()
+}
+
+/**
+ * JSON file checkpoint store, all keys are kept in a single file which is
+ * replaced on every write to avoid partial writes.
+ *
+ * @param {String} file path
+ */
+
+function FileStore(fpath) {
+  this.path = fpath
+}
+
+/**
+ * Read all stored keys from the file
+ *
+ * @return {Promise} promise
+ */
+
+FileStore.prototype.read = function() {
+  var self = this
+
+  return new Promise(function(res, rej) {
+    fs.readFile(self.path, 'utf8', function(err, str) {
+      if (err && err.code === 'ENOENT') return res({})
+      if (err) return rej(err)
+      try {
+        res(JSON.parse(str))
+      } catch (e) {
+        rej(e)
+      }
+    })
+  })
+}
+
+/**
+ * Get a stored value
+ *
+ * @param {String} key
+ * @return {Promise} promise, resolves `null` if not found
+ */
+
+FileStore.prototype.get = function(key) {
+  return this.read().then(function(data) {
+    return data.hasOwnProperty(key) ? data[key] : null
+  })
+}
+
+/**
+ * Store a value, rewriting the file
+ *
+ * @param {String} key
+ * @param {Object} value
+ * @return {Promise} promise
+ */
+
+FileStore.prototype.set = function(key, val) {
+  var self = this
+    , tmp = this.path + '.tmp'
+
+  return this.read().then(function(data) {
+    data[key] = val
+
+    return new Promise(function(res, rej) {
+      fs.writeFile(tmp, JSON.stringify(data), function(err) {
+        if (err) return rej(err)
+        fs.rename(tmp, self.path, function(err) {
+          if (err) return rej(err)
+          res()
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Short hash of a program snapshot, to find out if it changed without
+ * comparing every field
+ *
+ * @param {Object} snapshot
+ * @return {String} hash
+ */
+
+function hash(snapshot) {
+  return crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex').slice(0, 16)
+}
+
+/**
+ * Find the changed fields between two versions of a program
+ *
+ * @param {Object} previous program
+ * @param {Object} current program
+ * @return {Object} changes by field, `{ from, to }`
+ */
+
+function diff(prev, next) {
+  var changes = {}
+
+  _.union(Object.keys(prev), Object.keys(next)).forEach(function(key) {
+    // Compare serialized, previous versions may have been read from JSON
+    if (JSON.stringify(prev[key]) === JSON.stringify(next[key])) return
+    changes[key] = {
+      from: prev[key] === undefined ? null : prev[key]
+    , to: next[key] === undefined ? null : next[key]
+    }
+  })
+  return changes
+}
+
+/**
+ * Poll Neulion for programs changed since the last checkpoint, using the
+ * `updateTime` search. Emits `added` for new programs, `updated` with the
+ * changed fields and the previous version, `removed` for known programs that
+ * are gone, `checkpoint` after each successful poll, and `error`.
+ *
+ * The checkpoint is the latest `updateTime` sent by Neulion, and each poll
+ * searches from `overlap` before it. The last seen version of each program is
+ * stored with its hash, limited to `fields` when given, so programs seen again
+ * without changes are not emitted twice.
+ *
+ * Deleted programs are not returned by the `updateTime` search, they are only
+ * found when a changed ID can not be loaded anymore, or by the `sweep`.
+ *
+ * @param {Neulion} api instance
+ * @param {Object} options
+ *   - `interval` {Number} milliseconds between polls (default 1 minute)
+ *   - `store` {Object} checkpoint store with `get` and `set` (default memory)
+ *   - `key` {String} checkpoint key in the store (default `neulion:<group>`)
+ *   - `since` {Date} start time when no checkpoint is stored (default now)
+ *   - `overlap` {Number} milliseconds searched again before the checkpoint (default 1 minute)
+ *   - `sweep` {Number} milliseconds between loading every known program to find removed ones (default never)
+ *   - `fields` {Array} program fields to store and compare (default all)
+ *   - `concurrency` {Number} concurrent details requests
+ */
+
+function ChangeFeed(api, options) {
+  EventEmitter.call(this)
+
+  var opts = options || {}
+
+  this.api = api
+  this.interval = opts.interval || MINUTE
+  this.store = opts.store || new MemoryStore()
+  this.key = opts.key || `neulion:${api.config.group}`
+  this.since = opts.since ? new Date(opts.since) : new Date()
+  this.overlap = varType(opts.overlap, 'Number') ? opts.overlap : MINUTE
+  this.sweepInterval = opts.sweep || 0
+  this.fields = opts.fields || null
+  this.concurrency = opts.concurrency
+  this.state = null
+  this.running = false
+  this.timer = null
+}
+
+util.inherits(ChangeFeed, EventEmitter)
+
+/**
+ * Emit an error without throwing if nobody is listening
+ *
+ * @param {Error} err
+ */
+
+ChangeFeed.prototype.fail = function(err) {
+  this.api.log.debug(err.message, { event: 'watch', code: err.code })
+  if (this.listenerCount('error')) this.emit('error', err)
+}
+
+/**
+ * Load the stored state, only read once per feed. Programs stored without
+ * their hash are hashed again.
+ *
+ * @return {Promise} promise
+ */
+
+ChangeFeed.prototype.load = function() {
+  var self = this
+
+  if (this.state) return Promise.resolve(this.state)
+
+  return this.store
+    .get(this.key)
+    .then(function(state) {
+      self.state = _.extend({
+        checkpoint: null
+      , swept: null
+      , programs: {}
+      }, state || {})
+
+      self.state.programs = _.mapObject(self.state.programs, function(x) {
+        if (varType(x, 'String')) return { hash: x, program: null }
+        if (x.hash && x.hasOwnProperty('program')) return x
+        return { hash: hash(self.snapshot(x)), program: self.snapshot(x) }
+      })
+
+      self.api.log.debug('loaded', { event: 'watch', key: self.key, checkpoint: self.state.checkpoint })
+      return self.state
+    })
+}
+
+/**
+ * Get the stored version of a program, only the `fields` when given, as
+ * plain JSON values
+ *
+ * @param {Object} program
+ * @return {Object} snapshot
+ */
+
+ChangeFeed.prototype.snapshot = function(program) {
+  return JSON.parse(JSON.stringify(this.tracked(program)))
+}
+
+/**
+ * Get the compared fields of a program, all of them unless `fields` is given
+ *
+ * @param {Object} program
+ * @return {Object} fields
+ */
+
+ChangeFeed.prototype.tracked = function(program) {
+  return this.fields ? _.pick(program, this.fields) : program
+}
+
+/**
+ * Emit `added`, or `updated` with the changed fields and the previous
+ * version, for a loaded program if its hash changed
+ *
+ * @param {Object} program
+ */
+
+ChangeFeed.prototype.track = function(program) {
+  var programs = this.state.programs
+    , id = program.programId
+    , prev = programs[id]
+    , snapshot = this.snapshot(program)
+    , next = hash(snapshot)
+
+  if (prev && prev.hash === next) return
+  programs[id] = { hash: next, program: snapshot }
+
+  if (!prev) return this.emit('added', program)
+  this.emit('updated', program, prev.program ? diff(prev.program, this.tracked(program)) : {}, prev.program)
+}
+
+/**
+ * Emit `removed` with the previous version for a known program that was
+ * not found
+ *
+ * @param {Number|String} neulion id
+ */
+
+ChangeFeed.prototype.untrack = function(id) {
+  var prev = this.state.programs.hasOwnProperty(id) ? this.state.programs[id] : null
+
+  if (!prev) return
+  delete this.state.programs[id]
+  this.emit('removed', +id, prev.program)
+}
+
+/**
+ * Handle the results of loading programs, returns `false` if any program
+ * failed for another reason than not being found
+ *
+ * @param {Object} result, as resolved by `detailsMany`
+ * @return {Boolean} complete
+ */
+
+ChangeFeed.prototype.apply = function(result) {
+  var self = this
+    , complete = true
+
+  result.programs.forEach(function(program) {
+    self.track(program)
+  })
+
+  result.failures.forEach(function(x) {
+    if (x.reason === 'not-found') return self.untrack(x.id)
+    complete = false
+    self.fail(x.error)
+  })
+  return complete
+}
+
+/**
+ * Load every known program to find the removed ones, once per `sweep`
+ * interval. Programs not found are emitted as `removed`.
+ *
+ * @param {Array} ids already loaded by the poll
+ * @return {Promise} promise
+ */
+
+ChangeFeed.prototype.sweep = function(loaded) {
+  var self = this
+    , state = this.state
+
+  if (!this.sweepInterval) return Promise.resolve()
+  if (state.swept && Date.now() - new Date(state.swept) < this.sweepInterval) return Promise.resolve()
+
+  var ids = _.difference(Object.keys(state.programs), loaded.map(String)).map(Number)
+    , swept = new Date()
+
+  this.api.log.debug('sweeping', { event: 'watch', count: ids.length })
+
+  if (!ids.length) {
+    state.swept = swept.toISOString()
+    return Promise.resolve()
+  }
+
+  return this.api
+    .detailsMany(ids, {
+      concurrency: this.concurrency
+    , fresh: true
+    , offline: false
+    })
+    .then(function(result) {
+      if (self.apply(result)) state.swept = swept.toISOString()
+    })
+}
+
+/**
+ * Run a single poll, resolves when all events have been emitted and the
+ * checkpoint saved. The checkpoint is only moved forward if every changed
+ * program could be loaded, so failed programs are retried on the next poll.
+ *
+ * @return {Promise} promise
+ */
+
+ChangeFeed.prototype.poll = function() {
+  var self = this
+    , zone = this.api.config.timezone
+    , complete = true
+    , latest
+
+  return this
+    .load()
+    .then(function(state) {
+      latest = state.checkpoint ? new Date(state.checkpoint) : self.since
+
+      // Search again from before the checkpoint, for programs updated in the
+      // same second or indexed late
+      var since = new Date(+latest - self.overlap)
+
+      self.api.log.debug('polling', { event: 'watch', since: since.toISOString() })
+
+      return self.api.list({
+        updateTime: since
+      }, {
+        hydrate: true
+      , concurrency: self.concurrency
+      , fresh: true
+      , offline: false
+      })
+    })
+    .then(function(result) {
+      result.programs.forEach(function(program) {
+        var time = timezone.parse(program.updateTime, zone)
+        if (time > latest) latest = time
+      })
+
+      complete = self.apply(result)
+      if (complete) self.state.checkpoint = latest.toISOString()
+
+      return self.sweep(_.pluck(result.programs, 'programId'))
+    })
+    .then(function() {
+      return self.store.set(self.key, self.state)
+    })
+    .then(function() {
+      if (complete) self.emit('checkpoint', latest)
+      return self.state.checkpoint
+    })
+}
+
+/**
+ * Start polling on the interval, the first poll runs immediately. The next
+ * poll is scheduled only after the previous one finished.
+ *
+ * @return {ChangeFeed} this
+ */
+
+ChangeFeed.prototype.start = function() {
+  var self = this
+
+  if (this.running) return this
+  this.running = true
+
+  this.api.log.debug('start', { event: 'watch', interval: this.interval })
+
+  function loop() {
+    self
+      .poll()
+      .catch(function(err) {
+        self.fail(err)
+      })
+      .then(function() {
+        if (self.running) self.timer = setTimeout(loop, self.interval)
+      })
+  }
+  loop()
+  return this
+}
+
+/**
+ * Stop polling, a poll already in progress will still finish
+ *
+ * @return {ChangeFeed} this
+ */
+
+ChangeFeed.prototype.stop = function() {
+  this.api.log.debug('stop', { event: 'watch' })
+
+  this.running = false
+  clearTimeout(this.timer)
+  this.timer = null
+  return this
+}
+
+/*!
+ * Exports
+ */
+
+ChangeFeed.MemoryStore = MemoryStore
+ChangeFeed.FileStore = FileStore
+
+module.exports = ChangeFeed
@@ -0,0 +1,419 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , path = require('path')
+  , yargs = require('yargs')
+  , Promise = require('bluebird')
+  , _ = require('underscore')
+  , varType = require('var-type')
+  , Neulion = require('./neulion')
+
+/*!
+ * Exit codes by error class, checked in order so subclasses come first
+ */
+
+var EXIT_CODES = [
+  [Neulion.ValidationError, 6]
+, [Neulion.CircuitOpenError, 7]
+, [Neulion.AuthenticationError, 4]
+, [Neulion.NotFoundError, 8]
+, [Neulion.TimeoutError, 9]
+, [Neulion.RateLimitError, 10]
+, [Neulion.ServerError, 11]
+, [Neulion.NotConnectedError, 3]
+, [Neulion.SoapError, 5]
+, [Neulion.Error, 1]
+]
+
+var USAGE_CODE = 2
+  , FORMATS = ['json', 'ndjson', 'csv', 'table']
+  , OVERRIDES = ['endpoint', 'username', 'password', 'group', 'timezone']
+
+var USAGE = `
+Usage: neulion <command> [options]
+
+Commands:
+  search [--name] [--description] [--progDate] [--updateTime]
+  range <start> <end> [--inclusive]
+  details <id...>
+  categories [--tree]
+  auth-check
+
+Options:
+  --format      json, ndjson, csv or table (default json)
+  --hydrate     load full details for search and range results
+  --group       neulion group id, overrides the config
+  --timezone    zone of the Neulion days and times, overrides the config
+  --inclusive   include the day of <end> in a range
+  --config      config file (default ./config.json or ~/.neulionrc)
+  --endpoint, --username, --password
+                override the config values, repeat --endpoint to fail over
+`
+
+var GATEWAY_USAGE = `
+Usage: neulion-gateway [options]
+
+Options:
+  --port        port to listen on (default $PORT or 8080)
+  --host        host to listen on (default all interfaces)
+  --api-key     key clients must send as X-Api-Key, repeat for more keys
+  --cors        allowed origin, repeat for more (default any)
+  --prefix      path all routes are under, such as /v1
+  --config      config file (default ./config.json or ~/.neulionrc)
+  --endpoint, --username, --password, --group, --timezone
+                override the config values
+`
+
+/**
+ * Get the exit code for an error
+ *
+ * @param {Error} err
+ * @return {Number} exit code
+ */
+
+function exitCode(err) {
+  var found = _.find(EXIT_CODES, function(x) {
+    return err instanceof x[0]
+  })
+  return found ? found[1] : 1
+}
+
+/**
+ * Load a JSON config file if it exists
+ *
+ * @param {String} file path
+ * @return {Object|Null} config
+ */
+
+function readConfig(fpath) {
+  if (!fpath || !fs.existsSync(fpath)) return null
+  return JSON.parse(fs.readFileSync(fpath, 'utf8'))
+}
+
+/**
+ * Build the API config from a config file and command line overrides
+ *
+ * @param {Object} parsed arguments
+ * @return {Object} config
+ */
+
+function loadConfig(argv) {
+  var home = process.env.HOME || process.env.USERPROFILE || ''
+    , config
+
+  if (argv.config) {
+    config = readConfig(argv.config)
+    if (!config) throw new Error(`Config file not found: ${argv.config}`)
+  } else {
+    config = readConfig(path.join(process.cwd(), 'config.json'))
+      || readConfig(path.join(home, '.neulionrc'))
+      || {}
+  }
+
+  OVERRIDES.forEach(function(key) {
+    if (argv[key] !== undefined) config[key] = argv[key]
+  })
+  return config
+}
+
+/**
+ * Format a single value for text output
+ *
+ * @param {Any} value
+ * @return {String} text
+ */
+
+function text(x) {
+  if (x === null || x === undefined) return ''
+  if (varType(x, 'Date')) return x.toISOString()
+  if (Array.isArray(x)) return x.map(text).join('|')
+  if (varType(x, 'Object')) return JSON.stringify(x)
+  return String(x)
+}
+
+/**
+ * Quote a CSV field if needed
+ *
+ * @param {String} field
+ * @return {String} csv field
+ */
+
+function csvField(str) {
+  if (!/[",\r\n]/.test(str)) return str
+  return `"${str.replace(/"/g, '""')}"`
+}
+
+/**
+ * Get all column names found in a list of rows
+ *
+ * @param {Array} rows
+ * @return {Array} columns
+ */
+
+function columns(rows) {
+  return _.union.apply(_, rows.map(function(x) {
+    return Object.keys(x)
+  }))
+}
+
+/**
+ * Format a list of results for output. Scalar results (such as IDs) are
+ * wrapped as `{ value }` rows for the tabular formats.
+ *
+ * @param {Array} results
+ * @param {String} format
+ * @return {String} output
+ */
+
+function format(results, type) {
+  var rows = results.map(function(x) {
+    return varType(x, 'Object') ? x : { value: x }
+  })
+
+  switch (type || 'json') {
+    case 'json':
+      return JSON.stringify(results, null, 2) + '\n'
+
+    case 'ndjson':
+      return results.map(function(x) {
+        return JSON.stringify(x) + '\n'
+      }).join('')
+
+    case 'csv':
+      var keys = columns(rows)
+      if (!keys.length) return ''
+
+      return [keys].concat(rows.map(function(row) {
+        return keys.map(function(key) {
+          return text(row[key])
+        })
+      })).map(function(line) {
+        return line.map(csvField).join(',') + '\r\n'
+      }).join('')
+
+    case 'table':
+      var cols = columns(rows)
+      if (!cols.length) return ''
+
+      var lines = [cols].concat(rows.map(function(row) {
+        return cols.map(function(key) {
+          return text(row[key]).replace(/\s+/g, ' ')
+        })
+      }))
+      var widths = cols.map(function(x, i) {
+        return _.max(lines.map(function(line) {
+          return line[i].length
+        }))
+      })
+
+      return lines.map(function(line) {
+        return line.map(function(x, i) {
+          return x + new Array(widths[i] - x.length + 1).join(' ')
+        }).join('  ').replace(/\s+$/, '') + '\n'
+      }).join('')
+
+    default:
+      throw new TypeError(`Unknown format \`${type}\``)
+  }
+}
+
+/**
+ * Flatten a category tree, adding the `depth` and `path` of each category
+ *
+ * @param {Array} tree
+ * @return {Array} categories
+ */
+
+function flattenTree(nodes, parents) {
+  parents = parents || []
+
+  return nodes.reduce(function(flat, node) {
+    var names = parents.concat(node.name)
+
+    flat.push(_.extend(_.omit(node, 'children'), {
+      depth: parents.length
+    , path: names.join(' > ')
+    }))
+    return flat.concat(flattenTree(node.children, names))
+  }, [])
+}
+
+/*!
+ * Command handlers, each resolving a list of results
+ */
+
+var commands = {
+  search: function(api, argv) {
+    // Dates are parsed by `search` in the configured timezone
+    var params = _.pick(argv, 'name', 'description', 'progDate', 'updateTime')
+
+    return api.list(params, { hydrate: argv.hydrate })
+  }
+
+, range: function(api, argv) {
+    var start = argv._[1]
+      , end = argv._[2]
+
+    if (!start || !end) throw usage('range requires <start> and <end>')
+    return api.range(start, end, { hydrate: argv.hydrate, inclusive: argv.inclusive })
+  }
+
+, details: function(api, argv) {
+    var ids = argv._.slice(1)
+
+    if (!ids.length) throw usage('details requires at least one <id>')
+    return api.detailsMany(ids)
+  }
+
+, categories: function(api, argv) {
+    if (!argv.tree) return api.categories()
+
+    return api.categoryTree().then(function(tree) {
+      return argv.format && argv.format !== 'json' ? flattenTree(tree) : tree
+    })
+  }
+
+, 'auth-check': function(api) {
+    return api.auth().then(function() {
+      return [{
+        ok: true
+      , endpoint: api.endpoint
+      , username: api.config.username
+      , group: api.config.group
+      }]
+    })
+  }
+}
+
+/**
+ * Create a usage error
+ *
+ * @param {String} message
+ * @return {Error} error
+ */
+
+function usage(message) {
+  var err = new Error(message)
+  err.usage = true
+  return err
+}
+
+/**
+ * Run the command line tool
+ *
+ * @param {Array} arguments, without the node and script paths
+ * @param {Object} streams, `stdout` and `stderr` (default process streams)
+ * @return {Promise} promise, resolves the exit code
+ */
+
+function run(args, io) {
+  io = io || process
+
+  var argv = yargs(args)
+    .string(['name', 'description', 'progDate', 'updateTime', 'username', 'password', 'endpoint', 'config', 'timezone'])
+    .boolean(['tree', 'hydrate', 'inclusive', 'help'])
+    .argv
+
+  var command = commands[argv._[0]]
+
+  if (!command || argv.help) {
+    io.stderr.write(USAGE)
+    return Promise.resolve(argv.help ? 0 : USAGE_CODE)
+  }
+
+  return Promise
+    .try(function() {
+      if (argv.format && !~FORMATS.indexOf(argv.format)) {
+        throw usage(`Unknown format \`${argv.format}\``)
+      }
+      return command(new Neulion(loadConfig(argv)), argv)
+    })
+    .then(function(results) {
+      var failures = []
+
+      // Hydrated results report failures separately
+      if (results && results.programs) {
+        failures = results.failures
+        results = results.programs
+      }
+
+      io.stdout.write(format(results, argv.format))
+
+      failures.forEach(function(x) {
+        io.stderr.write(`neulion: ${x.id}: ${x.reason}${x.error ? ': ' + x.error.message : ''}\n`)
+      })
+      if (!failures.length) return 0
+
+      var failed = _.find(failures, function(x) {
+        return x.error
+      })
+      return failed ? exitCode(failed.error) : 1
+    })
+    .catch(function(err) {
+      io.stderr.write(`neulion: ${err.message}\n`)
+      if (err.usage) {
+        io.stderr.write(USAGE)
+        return USAGE_CODE
+      }
+      return exitCode(err)
+    })
+}
+
+/**
+ * Start the REST/JSON gateway, resolves once listening. The `gateway` config
+ * value holds the defaults for the command line options.
+ *
+ * @param {Array} arguments, without the node and script paths
+ * @param {Object} streams, `stdout` and `stderr` (default process streams)
+ * @return {Promise} promise, resolves the listening `Gateway`, or the exit code on failure
+ */
+
+function serve(args, io) {
+  io = io || process
+
+  var argv = yargs(args)
+    .string(['username', 'password', 'endpoint', 'config', 'timezone', 'host', 'api-key', 'cors', 'prefix'])
+    .boolean(['help'])
+    .argv
+
+  if (argv.help) {
+    io.stderr.write(GATEWAY_USAGE)
+    return Promise.resolve(0)
+  }
+
+  return Promise
+    .try(function() {
+      var config = loadConfig(argv)
+        , defaults = config.gateway || {}
+        , gateway = new Neulion(_.omit(config, 'gateway')).gateway({
+          apiKeys: argv['api-key'] || defaults.apiKeys
+        , cors: argv.cors || (defaults.cors === undefined ? true : defaults.cors)
+        , prefix: argv.prefix || defaults.prefix
+        })
+
+      return gateway
+        .listen(argv.port || defaults.port || process.env.PORT || 8080, argv.host || defaults.host)
+        .then(function(url) {
+          io.stderr.write(`neulion-gateway: listening on ${url}\n`)
+          return gateway
+        })
+    })
+    .catch(function(err) {
+      io.stderr.write(`neulion-gateway: ${err.message}\n`)
+      return exitCode(err)
+    })
+}
+
+/*!
+ * Exports
+ */
+
+exports.run = run
+exports.serve = serve
+exports.format = format
+exports.exitCode = exitCode
+exports.EXIT_CODES = EXIT_CODES
@@ -0,0 +1,150 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+  , Errors = require('./errors')
+  , retry = require('./retry')
+
+/*!
+ * Misc
+ */
+
+var STRATEGIES = ['priority', 'round-robin']
+  , COOLDOWN = 30 * 1000
+
+/**
+ * Check if an error means the endpoint itself is unhealthy, so the next one
+ * should be used. Connection failures, timeouts and server errors are, any
+ * fault about the request itself or a rate limit is not.
+ *
+ * @param {Error} err
+ * @return {Boolean} unhealthy
+ */
+
+function unhealthy(err) {
+  if (!err) return false
+  if (err instanceof Errors.AbortError || err instanceof Errors.CircuitOpenError) return false
+  if (err instanceof Errors.RateLimitError) return false
+  if (err instanceof Errors.NotConnectedError || err instanceof Errors.TimeoutError) return true
+  if (err instanceof Errors.ServerError) return true
+  return retry.transient(err)
+}
+
+/**
+ * Pool of WSDL endpoints to fail over between. Failed endpoints are skipped
+ * for `cooldown` milliseconds, unless every endpoint has failed.
+ *
+ * The `priority` strategy always prefers the first available endpoint in the
+ * list, `round-robin` starts every new connection at the next one.
+ *
+ * @param {String|Array} endpoints
+ * @param {Object} options
+ *   - `strategy` {String} `priority` or `round-robin` (default `priority`)
+ *   - `cooldown` {Number} milliseconds to skip a failed endpoint (default 30 seconds)
+ */
+
+function Endpoints(list, options) {
+  var opts = options || {}
+
+  this.list = _.uniq([].concat(list || []).filter(Boolean))
+  this.strategy = opts.strategy || 'priority'
+  this.cooldown = varType(opts.cooldown, 'Number') ? opts.cooldown : COOLDOWN
+  this.failures = {}
+  this.cursor = 0
+  this.active = null
+
+  if (!~STRATEGIES.indexOf(this.strategy)) {
+    throw new TypeError(`Invalid \`failover.strategy\`: ${this.strategy}, expected one of ${STRATEGIES.join(', ')}`)
+  }
+}
+
+/**
+ * Check if an endpoint can be used, it has not failed within the `cooldown`
+ *
+ * @param {String} endpoint
+ * @return {Boolean} available
+ */
+
+Endpoints.prototype.available = function(uri) {
+  var failed = this.failures[uri]
+  return !failed || Date.now() - failed >= this.cooldown
+}
+
+/**
+ * Get the endpoints to try for a new connection, in order. Failed endpoints
+ * are moved to the end instead of dropped, in case they are all down.
+ *
+ * @return {Array} endpoints
+ */
+
+Endpoints.prototype.order = function() {
+  var self = this
+    , start = 0
+
+  if (this.strategy === 'round-robin' && this.list.length) {
+    start = this.cursor % this.list.length
+    this.cursor = start + 1
+  }
+
+  var rotated = this.list.slice(start).concat(this.list.slice(0, start))
+    , parts = _.partition(rotated, function(uri) {
+      return self.available(uri)
+    })
+
+  return parts[0].concat(parts[1])
+}
+
+/**
+ * Mark an endpoint as connected
+ *
+ * @param {String} endpoint
+ */
+
+Endpoints.prototype.use = function(uri) {
+  delete this.failures[uri]
+  this.active = uri
+}
+
+/**
+ * Mark an endpoint as failed
+ *
+ * @param {String} endpoint
+ */
+
+Endpoints.prototype.fail = function(uri) {
+  this.failures[uri] = Date.now()
+  if (this.active === uri) this.active = null
+}
+
+/**
+ * Current state of every endpoint
+ *
+ * @return {Array} status, `{ endpoint, active, available, failedAt }`
+ */
+
+Endpoints.prototype.status = function() {
+  var self = this
+
+  return this.list.map(function(uri) {
+    var failed = self.failures[uri]
+
+    return {
+      endpoint: uri
+    , active: self.active === uri
+    , available: self.available(uri)
+    , failedAt: failed ? new Date(failed) : null
+    }
+  })
+}
+
+/*!
+ * Exports
+ */
+
+module.exports = Endpoints
+module.exports.STRATEGIES = STRATEGIES
+module.exports.unhealthy = unhealthy
@@ -5,9 +5,47 @@
  */
 
 var varType = require('var-type')
+  , Logger = require('./logger')
+
+/**
+ * Unwrap a SOAP response value, which may come back as `{ $value: x }`
+ *
+ * @param {Any} value
+ * @return {Any} raw value
+ */
+
+function value(x) {
+  return varType(x, 'Object') && x.hasOwnProperty('$value') ? x.$value : x
+}
+
+/**
+ * Get the SOAP fault of a failed response, if the server sent one
+ *
+ * @param {Error} err
+ * @return {Object|Null} fault
+ */
+
+function faultOf(err) {
+  var body = err && err.root && err.root.Envelope && err.root.Envelope.Body
+  return body && body.Fault || null
+}
+
+/**
+ * Copy request params with any secrets removed, the same as the logger.
+ * XML string params have the text of the secret elements replaced.
+ *
+ * @param {Object|String} params
+ * @return {Object|String} redacted params
+ */
+
+function redact(params) {
+  return params === undefined ? null : Logger.redact(params)
+}
 
 /*!
- * Custom error handlers
+ * Custom error handlers. Every error has a stable `code`, the `operation`
+ * and redacted `params` of the request, the backend `hostname` when sent
+ * with a fault, and whether it is `retryable`.
  */
 
 exports.Error = 
@@ -16,6 +54,11 @@ exports.NeulionError = class extends Error {
     super('NeulionError')
     this.name = 'NeulionError'
     this.message = message
+    this.code = 'NEULION_ERROR'
+    this.operation = null
+    this.params = null
+    this.hostname = null
+    this.retryable = false
   }
 }
 
@@ -24,15 +67,55 @@ exports.NeulionError = class extends Error {
  */
 
 exports.NotConnectedError = class extends exports.Error {
-  constructor(message) {
-    super()
+  constructor(err) {
+    super(err && err.message || err)
     this.name = 'NeulionNotConnectedError'
+    this.code = 'NOT_CONNECTED'
+    if (err instanceof Error) this.originalError = err
+  }
+}
+
+/*!
+ * Request not sent since the circuit breaker is open after repeated failures
+ */
+
+exports.CircuitOpenError = class extends exports.Error {
+  constructor(message) {
+    super(message)
+    this.name = 'NeulionCircuitOpenError'
+    this.code = 'CIRCUIT_OPEN'
+  }
+}
+
+/*!
+ * The call was cancelled with an `AbortSignal`
+ */
+
+exports.AbortError = class extends exports.Error {
+  constructor(message) {
+    super(message)
+    this.name = 'NeulionAbortError'
+    this.code = 'ABORTED'
+  }
+}
+
+/*!
+ * The requested program does not exist, Neulion sends an empty response
+ * instead of a fault
+ */
+
+exports.NotFoundError = class extends exports.Error {
+  constructor(message) {
+    super(message)
+    this.name = 'NeulionNotFoundError'
+    this.code = 'NOT_FOUND'
   }
 }
 
 /*!
  * Custom error handler since the default SOAP error handling
- * returns as `Error: undefined undefined`.
+ * returns as `Error: undefined undefined`. The raw fault code is kept as
+ * `faultcode`, and is also the `code` unless a subclass has its own.
  *
  * @param {Error} original SOAP error
  *
@@ -52,6 +135,8 @@ exports.SoapError = class extends exports.Error {
     super()
     var self = this
     this.name = 'NeulionSoapError'
+    this.code = 'SOAP_ERROR'
+    this.faultcode = null
 
     // Make sure this wasnt called with a string message
     if (varType(err, 'String')) {
@@ -63,19 +148,37 @@ exports.SoapError = class extends exports.Error {
     this.originalError = err
 
     // Extract relevant error information
-    if (err.root) {
-      var body = err.root.Envelope.Body
-      this.message = err.message = body.Fault.faultstring
-      this.code = body.Fault.faultcode
+    var fault = err.root && err.root.Envelope && err.root.Envelope.Body && err.root.Envelope.Body.Fault
+    if (fault) {
+      this.message = err.message = value(fault.faultstring)
+      this.code = this.faultcode = value(fault.faultcode)
+      this.hostname = fault.detail && value(fault.detail.hostname) || null
     }
     
     // Inherit from the original error
     Object.getOwnPropertyNames(err).forEach(function(key) {
+      if (key === 'code' && fault) return
       self[key] = err[key]
     })
   }
 }
 
+/*!
+ * Invalid input for a SOAP call. Either detected against the WSDL types
+ * before the request is sent, or rejected by Neulion, such as with a
+ * `NumberFormatException`. Each problem found is listed in `errors`, and the
+ * offending `input` is kept when Neulion sends it.
+ */
+
+exports.ValidationError = class extends exports.SoapError {
+  constructor(message, errors) {
+    super(message)
+    this.name = 'NeulionValidationError'
+    this.code = 'INVALID_INPUT'
+    this.errors = errors || []
+  }
+}
+
 /*!
  * Missing or invalid credentials, or missing auth call. If `message`
  * is of type `Error`, then the authentication call failed.
@@ -85,5 +188,106 @@ exports.AuthenticationError = class extends exports.SoapError {
   constructor(message) {
     super(message)
     this.name = 'NeulionAuthenticationError'
+    if (!this.faultcode) this.code = 'AUTHENTICATION_ERROR'
+  }
+}
+
+/*!
+ * The request or connection timed out
+ */
+
+exports.TimeoutError = class extends exports.SoapError {
+  constructor(message) {
+    super(message)
+    this.name = 'NeulionTimeoutError'
+    this.code = 'TIMEOUT'
+  }
+}
+
+/*!
+ * Too many requests were sent
+ */
+
+exports.RateLimitError = class extends exports.SoapError {
+  constructor(message) {
+    super(message)
+    this.name = 'NeulionRateLimitError'
+    this.code = 'RATE_LIMITED'
+  }
+}
+
+/*!
+ * The Neulion server failed, either with a `soapenv:Server` fault or a
+ * HTTP 5xx response without a fault
+ */
+
+exports.ServerError = class extends exports.SoapError {
+  constructor(message) {
+    super(message)
+    this.name = 'NeulionServerError'
+    this.code = 'SERVER_ERROR'
   }
-}
\ No newline at end of file
+}
+
+/*!
+ * Network error codes of timed out requests
+ */
+
+var TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT']
+
+/**
+ * Add the request details to an error, the params are redacted
+ *
+ * @param {Error} err
+ * @param {String} operation
+ * @param {Object|String} params
+ * @return {Error} err
+ */
+
+exports.context = function(err, operation, params) {
+  if (!(err instanceof Error)) return err
+  if (!err.operation) err.operation = operation || null
+  if (!err.params) err.params = redact(params)
+  return err
+}
+
+/**
+ * Recast an error from the SOAP client into the matching error class
+ *
+ * @param {Error} original error
+ * @param {String} operation
+ * @param {Object|String} params
+ * @return {SoapError} error
+ */
+
+exports.fromSoap = function(err, operation, params) {
+  var fault = faultOf(err)
+    , faultcode = fault && value(fault.faultcode) || ''
+    , faultstring = String(fault && value(fault.faultstring) || '')
+    , status = err && err.response && err.response.statusCode
+    , custom
+
+  if (faultcode === 'INVALID_AUTH_CODE') {
+    custom = new exports.AuthenticationError(err)
+  } else if (/NumberFormatException/.test(faultstring)) {
+    var match = faultstring.match(/For input string: "([^"]*)"/)
+      , input = match ? match[1] : null
+
+    custom = new exports.ValidationError(err, [`${operation}: not a number \`${input}\``])
+    custom.input = input
+  } else if (status === 429 || /rate limit|too many requests/i.test(faultstring)) {
+    custom = new exports.RateLimitError(err)
+  } else if (err && ~TIMEOUT_CODES.indexOf(err.code) || status === 408 || status === 504) {
+    custom = new exports.TimeoutError(err)
+  } else if (faultcode === 'soapenv:Server' || (!fault && status >= 500)) {
+    custom = new exports.ServerError(err)
+  } else {
+    custom = new exports.SoapError(err)
+  }
+
+  // Subclass codes are set after the original error is copied
+  return exports.context(custom, operation, params)
+}
+
+exports.faultOf = faultOf
+exports.redact = redact
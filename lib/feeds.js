@@ -0,0 +1,448 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+  , xml = require('./xml')
+  , timezone = require('./timezone')
+
+/*!
+ * Misc
+ */
+
+var JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1'
+  , MEDIA_NS = 'http://search.yahoo.com/mrss/'
+  , ATOM_NS = 'http://www.w3.org/2005/Atom'
+  , SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9'
+  , VIDEO_NS = 'http://www.google.com/schemas/sitemap-video/1.1'
+  , DATE_FIELDS = ['startTime', 'progDate', 'videoTime']
+
+/*!
+ * Google video sitemap limits
+ */
+
+var MAX_TITLE = 100
+  , MAX_DESCRIPTION = 2048
+  , MAX_TAGS = 32
+
+/*!
+ * Video MIME types by file extension
+ */
+
+var MIME_TYPES = {
+  mp4: 'video/mp4'
+, m4v: 'video/x-m4v'
+, mov: 'video/quicktime'
+, webm: 'video/webm'
+, flv: 'video/x-flv'
+, m3u8: 'application/x-mpegURL'
+, mpd: 'application/dash+xml'
+}
+
+/**
+ * Guess the MIME type of a video from its url
+ *
+ * @param {String} url
+ * @return {String} type, `null` if unknown
+ */
+
+function mimeType(uri) {
+  var m = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(uri || '')
+  return m && MIME_TYPES[m[1].toLowerCase()] || null
+}
+
+/**
+ * Parse a program date, strings without a zone are wall clock times in `zone`
+ *
+ * @param {Date|String} date
+ * @param {String} zone
+ * @return {Date} date, `null` if missing or invalid
+ */
+
+function dateOf(x, zone) {
+  if (x === null || x === undefined || x === '') return null
+
+  var date = timezone.parse(x, zone)
+  return isNaN(date) ? null : date
+}
+
+/**
+ * Get the publish date of a program, the first of `startTime`, `progDate`
+ * and `videoTime` that is set
+ *
+ * @param {Object} program
+ * @param {String} zone
+ * @return {Date} date, `null` if unknown
+ */
+
+function published(program, zone) {
+  var found = null
+
+  _.find(DATE_FIELDS, function(key) {
+    found = dateOf(program[key], zone)
+    return found
+  })
+  return found
+}
+
+/**
+ * Get the category lookup of a program from the `categories` option, either
+ * a category index (see `categoryIndex`) or a list of categories. Categories
+ * tagged with a `groupId` are only used for programs of that group, programs
+ * of any other group use the first group.
+ *
+ * @param {Object|Array} categories
+ * @return {Function} lookup, `function(program) -> categories by id`
+ */
+
+function categoriesById(categories) {
+  var groups = {}
+    , byId = {}
+
+  if (varType(categories, 'Array')) {
+    groups = _.mapObject(_.groupBy(categories, 'groupId'), function(list) {
+      return _.indexBy(list, 'categoryId')
+    })
+    byId = categories.length ? groups[categories[0].groupId] : {}
+  } else if (categories) {
+    groups = _.mapObject(categories.groups || {}, function(x) {
+      return x.byId
+    })
+    byId = categories.byId || {}
+  }
+
+  return function(program) {
+    return groups[program.groupId] || byId
+  }
+}
+
+/**
+ * Resolve the category names of a program, from its expanded `categories`
+ * when loaded with them, otherwise from the `categoryIdArray`. Unknown
+ * category IDs are skipped.
+ *
+ * @param {Object} program
+ * @param {Function} category lookup, see `categoriesById`
+ * @return {Array} names
+ */
+
+function categoryNames(program, lookup) {
+  var byId = lookup(program)
+    , cats = program.categories || _.compact((program.categoryIdArray || []).map(function(id) {
+      return byId[id]
+    }))
+
+  return _.uniq(_.compact(_.pluck(cats, 'name')))
+}
+
+/**
+ * Get the page url of a program from the `pageUrl` option, either a function
+ * or a template with `{field}` placeholders such as `{programId}`
+ *
+ * @param {Object} program
+ * @param {Function|String} page url
+ * @return {String} url, `null` without a `pageUrl`
+ */
+
+function pageOf(program, pageUrl) {
+  if (varType(pageUrl, 'Function')) return pageUrl(program) || null
+  if (!varType(pageUrl, 'String')) return null
+
+  return pageUrl.replace(/\{(\w+)\}/g, function(m, key) {
+    var val = program[key]
+    return val === null || val === undefined ? '' : encodeURIComponent(val)
+  })
+}
+
+/**
+ * Cut text to a max length, on a word boundary where possible
+ *
+ * @param {String} text
+ * @param {Number} max length
+ * @return {String} text
+ */
+
+function truncate(text, max) {
+  if (text.length <= max) return text
+
+  var cut = text.slice(0, max - 1)
+    , space = cut.lastIndexOf(' ')
+
+  return (space > max / 2 ? cut.slice(0, space) : cut) + '…'
+}
+
+/**
+ * Drop empty values from an object, JSON Feed leaves out unknown fields
+ *
+ * @param {Object} obj
+ * @return {Object} obj
+ */
+
+function compact(obj) {
+  return _.omit(obj, function(val) {
+    return val === null || val === undefined || (varType(val, 'Array') && !val.length)
+  })
+}
+
+/**
+ * Build an XML element, attributes with empty values are left out
+ *
+ * @param {String} name
+ * @param {Object} attributes (optional)
+ * @param {String} text (optional)
+ * @return {String} xml
+ */
+
+function element(name, attrs, text) {
+  var open = name
+
+  _.each(attrs || {}, function(val, key) {
+    if (val === null || val === undefined) return
+    open += ` ${key}="${xml.escape(val)}"`
+  })
+
+  if (text === null || text === undefined) return `<${open}/>`
+  return `<${open}>${xml.escape(text)}</${name}>`
+}
+
+/**
+ * Normalize a program for the builders, with everything each format needs
+ *
+ * @param {Object} program detail
+ * @param {Object} options
+ * @param {Function} category lookup, see `categoriesById`
+ * @return {Object} entry
+ */
+
+function entryOf(program, opts, lookup) {
+  var title = program.name || program.altName || ''
+
+  return {
+    program: program
+  , id: `${program.groupId}:${program.programId}`
+  , title: title
+  , description: program.desc || program.altDesc || ''
+  , page: pageOf(program, opts.pageUrl)
+  , video: program.videoUrl || null
+  , thumbnails: _.uniq(_.compact([program.bigImageUrl, program.smallImageUrl]))
+  , published: published(program, opts.zone)
+  , modified: dateOf(program.updateTime, opts.zone)
+  , tags: _.compact(program.tagArray || [])
+  , categories: categoryNames(program, lookup)
+  , regRequired: !!program.regRequired
+  }
+}
+
+/**
+ * Normalize the programs and channel options shared by every format
+ *
+ * @param {Array} programs
+ * @param {Object} options
+ * @return {Object} feed, `{ entries, options }`
+ */
+
+function prepare(programs, options) {
+  var opts = _.extend({ title: '', description: '' }, options)
+    , lookup = categoriesById(opts.categories)
+
+  if (!opts.zone) opts.zone = timezone.DEFAULT
+
+  return {
+    options: opts
+  , entries: (programs || []).map(function(x) {
+      return entryOf(x, opts, lookup)
+    })
+  }
+}
+
+/**
+ * Latest `updateTime` of the entries
+ *
+ * @param {Array} entries
+ * @return {Date} date, `null` if unknown
+ */
+
+function lastModified(entries) {
+  var dates = _.compact(_.pluck(entries, 'modified'))
+  return dates.length ? _.max(dates, function(x) { return +x }) : null
+}
+
+/**
+ * Build a Media RSS 2.0 feed. Each item has the video as `media:content`, the
+ * images as `media:thumbnail`, tags as `media:keywords` and the category
+ * names as both `category` and `media:category`. Programs with `regRequired`
+ * are flagged with `<media:price type="subscription"/>`.
+ *
+ * @param {Array} programs, as resolved by `details`
+ * @param {Object} options
+ *   - `title` {String} feed title
+ *   - `description` {String} feed description (default the title)
+ *   - `link` {String} site url
+ *   - `feedUrl` {String} url of the feed itself
+ *   - `language` {String} such as `en-us`
+ *   - `pageUrl` {Function|String} page of a program, a function or a template such as `https://x.com/videos/{programId}` (default the video url)
+ *   - `categories` {Object|Array} category index or list, to resolve category names
+ *   - `zone` {String} time zone of `updateTime` (default `UTC`)
+ * @return {String} xml
+ */
+
+function mediaRss(programs, options) {
+  var feed = prepare(programs, options)
+    , opts = feed.options
+    , updated = lastModified(feed.entries)
+    , lines = []
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>')
+  lines.push(`<rss version="2.0" xmlns:media="${MEDIA_NS}" xmlns:atom="${ATOM_NS}">`)
+  lines.push('<channel>')
+  lines.push(element('title', null, opts.title))
+  lines.push(element('link', null, opts.link || ''))
+  lines.push(element('description', null, opts.description || opts.title))
+  if (opts.feedUrl) lines.push(element('atom:link', { href: opts.feedUrl, rel: 'self', type: 'application/rss+xml' }))
+  if (opts.language) lines.push(element('language', null, opts.language))
+  if (updated) lines.push(element('lastBuildDate', null, updated.toUTCString()))
+
+  feed.entries.forEach(function(x) {
+    var link = x.page || x.video
+
+    lines.push('<item>')
+    lines.push(element('title', null, x.title))
+    if (link) lines.push(element('link', null, link))
+    lines.push(element('guid', { isPermaLink: 'false' }, x.id))
+    if (x.description) lines.push(element('description', null, x.description))
+    if (x.published) lines.push(element('pubDate', null, x.published.toUTCString()))
+    x.categories.forEach(function(name) {
+      lines.push(element('category', null, name))
+    })
+    if (x.video) lines.push(element('media:content', { url: x.video, type: mimeType(x.video), medium: 'video' }))
+    lines.push(element('media:title', null, x.title))
+    if (x.description) lines.push(element('media:description', null, x.description))
+    x.thumbnails.forEach(function(uri) {
+      lines.push(element('media:thumbnail', { url: uri }))
+    })
+    if (x.tags.length) lines.push(element('media:keywords', null, x.tags.join(', ')))
+    x.categories.forEach(function(name) {
+      lines.push(element('media:category', null, name))
+    })
+    if (x.regRequired) lines.push(element('media:price', { type: 'subscription' }))
+    lines.push('</item>')
+  })
+
+  lines.push('</channel>')
+  lines.push('</rss>')
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Build a JSON Feed 1.1. The video is an attachment, the category names and
+ * `regRequired` flag are under the `_neulion` extension of each item.
+ *
+ * @param {Array} programs, as resolved by `details`
+ * @param {Object} options (see `mediaRss`)
+ * @return {Object} feed
+ */
+
+function jsonFeed(programs, options) {
+  var feed = prepare(programs, options)
+    , opts = feed.options
+
+  return compact({
+    version: JSON_FEED_VERSION
+  , title: opts.title
+  , home_page_url: opts.link
+  , feed_url: opts.feedUrl
+  , description: opts.description || null
+  , language: opts.language
+  , items: feed.entries.map(function(x) {
+      var program = x.program
+
+      return compact({
+        id: x.id
+      , url: x.page || x.video
+      , title: x.title
+      , content_text: x.description || x.title
+      , image: x.thumbnails[0]
+      , date_published: x.published && x.published.toISOString()
+      , date_modified: x.modified && x.modified.toISOString()
+      , tags: x.tags
+      , attachments: x.video ? [compact({ url: x.video, mime_type: mimeType(x.video) || 'video/mp4' })] : null
+      , _neulion: compact({
+          programId: program.programId
+        , groupId: program.groupId
+        , gameId: program.gameId
+        , eventId: program.eventId
+        , programType: program.programType
+        , highlightType: program.highlightType
+        , categories: x.categories
+        , regRequired: x.regRequired
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Build a Google video sitemap. Every url needs a page, so the `pageUrl`
+ * option is required. Programs without a video or an image are left out,
+ * since Google rejects them. Titles and descriptions are cut to the
+ * sitemap limits, the tags and category names are sent as `video:tag`.
+ *
+ * @param {Array} programs, as resolved by `details`
+ * @param {Object} options (see `mediaRss`, only `pageUrl`, `categories` and `zone` are used)
+ * @return {String} xml
+ */
+
+function videoSitemap(programs, options) {
+  if (!options || !options.pageUrl) throw new TypeError('Missing `pageUrl` for the video sitemap')
+
+  var feed = prepare(programs, options)
+    , lines = []
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>')
+  lines.push(`<urlset xmlns="${SITEMAP_NS}" xmlns:video="${VIDEO_NS}">`)
+
+  feed.entries.forEach(function(x) {
+    if (!x.page || !x.video || !x.thumbnails.length) return
+
+    lines.push('<url>')
+    lines.push(element('loc', null, x.page))
+    lines.push('<video:video>')
+    lines.push(element('video:thumbnail_loc', null, x.thumbnails[0]))
+    lines.push(element('video:title', null, truncate(x.title, MAX_TITLE)))
+    lines.push(element('video:description', null, truncate(x.description || x.title, MAX_DESCRIPTION)))
+    lines.push(element('video:content_loc', null, x.video))
+    if (x.published) lines.push(element('video:publication_date', null, x.published.toISOString()))
+    _.uniq(x.tags.concat(x.categories)).slice(0, MAX_TAGS).forEach(function(tag) {
+      lines.push(element('video:tag', null, tag))
+    })
+    lines.push(element('video:requires_subscription', null, x.regRequired ? 'yes' : 'no'))
+    lines.push('</video:video>')
+    lines.push('</url>')
+  })
+
+  lines.push('</urlset>')
+  return lines.join('\n') + '\n'
+}
+
+/*!
+ * Builders by format name
+ */
+
+var FORMATS = {
+  rss: mediaRss
+, json: jsonFeed
+, sitemap: videoSitemap
+}
+
+/*!
+ * Exports
+ */
+
+exports.FORMATS = FORMATS
+exports.mimeType = mimeType
+exports.mediaRss = mediaRss
+exports.jsonFeed = jsonFeed
+exports.videoSitemap = videoSitemap
@@ -0,0 +1,301 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var Promise = require('bluebird')
+  , _ = require('underscore')
+  , varType = require('var-type')
+  , Errors = require('./errors')
+  , timezone = require('./timezone')
+
+/*!
+ * Misc
+ */
+
+var ASSETS = ['fullReplay', 'condensed', 'goals', 'highlights']
+  , EXPECTED = ['fullReplay', 'condensed', 'highlights']
+  , GAME_DATE = /^(\d{4}-\d{2}-\d{2})/
+  , DAYS = 2
+  , WINDOW = 7
+
+/**
+ * Default asset type of a program, from its `programType` and
+ * `highlightType`. Anything that is not a replay or a goal is a highlight.
+ *
+ * @param {Object} program
+ * @return {String} asset type
+ */
+
+function assetOf(program) {
+  var type = String(program.programType || '').toLowerCase()
+    , highlight = String(program.highlightType || '').toLowerCase()
+
+  if (/condensed/.test(type)) return 'condensed'
+  if (/replay|full|archive/.test(type)) return 'fullReplay'
+  if (/goal/.test(highlight) || /goal/.test(type)) return 'goals'
+  return 'highlights'
+}
+
+/**
+ * Convert a `gameTime` to match minutes for sorting, such as `23'`, `45+2'`
+ * (stoppage time sorts before the next minute), `12:30` or `1:02:03`
+ *
+ * @param {String} game time
+ * @return {Number} minutes, `Infinity` if unknown
+ */
+
+function minutesOf(x) {
+  var str = String(x === null || x === undefined ? '' : x).trim()
+    , m
+
+  if ((m = /^(\d+)\s*\+\s*(\d+)/.exec(str))) return +m[1] + Math.min(+m[2], 99) / 100
+  if ((m = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(str))) return m[1] * 60 + Number(m[2]) + m[3] / 60
+  if ((m = /^(\d+):(\d{1,2})$/.exec(str))) return Number(m[1]) + m[2] / 60
+  if ((m = /^(\d+(?:\.\d+)?)/.exec(str))) return +m[1]
+  return Infinity
+}
+
+/**
+ * Date of a program, its `startTime` or else `progDate`
+ *
+ * @param {Object} program
+ * @param {String} zone
+ * @return {Number} time, `Infinity` if unknown
+ */
+
+function timeOf(program, zone) {
+  var date = timezone.parse(program.startTime || program.progDate, zone)
+  return isNaN(date) ? Infinity : +date
+}
+
+/**
+ * Sort programs by `gameTime`, then by date and ID
+ *
+ * @param {Array} programs
+ * @param {String} zone
+ * @return {Array} programs
+ */
+
+function byGameTime(programs, zone) {
+  return programs.slice().sort(function(a, b) {
+    return minutesOf(a.gameTime) - minutesOf(b.gameTime)
+      || timeOf(a, zone) - timeOf(b, zone)
+      || (a.programId < b.programId ? -1 : a.programId > b.programId ? 1 : 0)
+  })
+}
+
+/**
+ * Get the game options, method options override `config.games`
+ *
+ * @param {Neulion} api instance
+ * @param {Object} options
+ * @return {Object} options
+ */
+
+function settingsOf(api, options) {
+  var opts = _.extend({}, api.config.games, _.pick(options || {}, 'expected', 'classify', 'days', 'window'))
+
+  return {
+    expected: opts.expected || EXPECTED
+  , classify: varType(opts.classify, 'Function') ? opts.classify : assetOf
+  , days: varType(opts.days, 'Number') ? opts.days : DAYS
+  , window: varType(opts.window, 'Number') ? opts.window : WINDOW
+  }
+}
+
+/**
+ * Group loaded programs into match packages, by `gameId` or else `eventId`.
+ * Programs with only an `eventId` join the game of any program carrying both
+ * IDs. Each package has the programs by asset type, `fullReplay`,
+ * `condensed`, `goals` and `highlights`, ordered by `gameTime`, and lists the
+ * `expected` asset types it has no program for as `missing`. Programs with
+ * neither ID are left out.
+ *
+ * @param {Array} programs, as resolved by `details`
+ * @param {Object} options
+ *   - `expected` {Array} asset types every game should have (default `fullReplay`, `condensed` and `highlights`)
+ *   - `classify` {Function} asset type of a program, falls back to the default for unknown types
+ * @return {Array} games, earliest first
+ */
+
+exports.gamePackages = function(programs, options) {
+  var settings = settingsOf(this, options)
+    , zone = this.config.timezone
+    , aliases = {}
+    , groups = {}
+    , order = []
+
+  programs.forEach(function(x) {
+    if (x.gameId && x.eventId) aliases[x.eventId] = x.gameId
+  })
+
+  programs.forEach(function(x) {
+    var key = x.gameId || aliases[x.eventId] || x.eventId
+
+    if (!key) return
+    if (!groups[key]) {
+      groups[key] = []
+      order.push(key)
+    }
+    groups[key].push(x)
+  })
+
+  return order
+    .map(function(key) {
+      var list = byGameTime(groups[key], zone)
+        , first = _.min(_.map(list, function(x) { return timeOf(x, zone) }))
+        , game = {
+          gameId: (_.find(list, function(x) { return x.gameId }) || {}).gameId || null
+        , eventId: (_.find(list, function(x) { return x.eventId }) || {}).eventId || null
+        , date: first === Infinity ? null : new Date(first)
+        }
+
+      ASSETS.forEach(function(type) {
+        game[type] = []
+      })
+      list.forEach(function(x) {
+        var type = settings.classify(x)
+        game[~ASSETS.indexOf(type) ? type : assetOf(x)].push(x)
+      })
+
+      game.programs = list
+      game.missing = settings.expected.filter(function(type) {
+        return !game[type] || !game[type].length
+      })
+      return game
+    })
+    .sort(function(a, b) {
+      return (a.date ? +a.date : Infinity) - (b.date ? +b.date : Infinity)
+    })
+}
+
+/**
+ * Load every program between two days and group them into match packages,
+ * see `gamePackages`. Programs that fail to load are reported as `failures`,
+ * their game may be missing assets it does have.
+ *
+ * @param {Date|String} start
+ * @param {Date|String} end
+ * @param {Object} options (see `range` and `gamePackages`)
+ * @return {Promise} promise, resolves `{ games: [], failures: [] }`
+ */
+
+exports.gamesInRange = function(start, end, options) {
+  var self = this
+
+  return this
+    .range(start, end, _.extend({}, options, { hydrate: true }))
+    .then(function(result) {
+      var games = self.gamePackages(result.programs, options)
+
+      self.log.debug('grouped', { event: 'gamesInRange', count: games.length, failed: result.failures.length })
+      return {
+        games: games
+      , failures: result.failures
+      }
+    })
+}
+
+/**
+ * Find a game by `gameId` or `eventId` in a list of match packages
+ *
+ * @param {Array} games
+ * @param {String} game or event id
+ * @return {Object} game
+ * @throws {NotFoundError} no such game
+ */
+
+function findGame(games, gameId) {
+  var game = _.find(games, function(x) {
+    return x.gameId === gameId || x.eventId === gameId
+  })
+
+  if (!game) throw new Errors.NotFoundError(`Game \`${gameId}\` not found`)
+  return game
+}
+
+/**
+ * Find every mirrored program of a game, by `gameId` or `eventId`, with the
+ * programs only carrying the `eventId` of the game
+ *
+ * @param {Mirror} mirror
+ * @param {String} game or event id
+ * @return {Promise} promise, resolves the programs
+ */
+
+function mirrored(mirror, gameId) {
+  var all = { limit: Infinity }
+
+  return Promise
+    .all([
+      mirror.query({ gameId: gameId }, all)
+    , mirror.query({ eventId: gameId }, all)
+    ])
+    .spread(function(byGame, byEvent) {
+      var found = byGame.programs.concat(byEvent.programs)
+        , events = _.uniq(_.compact(_.pluck(found, 'eventId')))
+
+      if (!events.length) return found
+      return mirror.query({ eventId: events }, all).then(function(result) {
+        return found.concat(result.programs)
+      })
+    })
+    .then(function(programs) {
+      return _.uniq(programs, function(x) {
+        return `${x.groupId}:${x.programId}`
+      })
+    })
+}
+
+/**
+ * Load the match package of a single game by `gameId` or `eventId`. Neulion
+ * can not search by game, so every program between `start` and `end` is
+ * loaded. Without them, game IDs starting with a `yyyy-mm-dd` date search that
+ * day and the `days` after it, for replays published later. Other game IDs
+ * are looked up in the `mirror`, or else searched over the last `window` days.
+ *
+ * @param {String} game or event id
+ * @param {Object} options (see `gamesInRange`)
+ *   - `start` {Date|String} first day to search
+ *   - `end` {Date|String} last day to search, included
+ *   - `days` {Number} days after the game date to search (default 2)
+ *   - `window` {Number} days up to today to search for undated game IDs without a mirror (default 7)
+ * @return {Promise} promise, resolves the game
+ */
+
+exports.game = function(gameId, options) {
+  var self = this
+    , opts = options || {}
+    , zone = this.config.timezone
+    , settings = settingsOf(this, opts)
+    , m = GAME_DATE.exec(gameId || '')
+    , start = opts.start || (m && m[1])
+    , end = opts.end
+    , date
+
+  if (!start && this.mirror) {
+    this.log.debug('loading from mirror', { event: 'game', gameId: gameId })
+
+    return mirrored(this.mirror, gameId).then(function(programs) {
+      return findGame(self.gamePackages(programs, opts), gameId)
+    })
+  }
+
+  if (!start) {
+    end = timezone.startOfDay(new Date(), zone)
+    start = timezone.addDays(end, 1 - settings.window, zone)
+  } else if (!end) {
+    date = timezone.parse(start, zone)
+    end = isNaN(date) ? start : timezone.addDays(date, settings.days, zone)
+  }
+
+  this.log.debug('loading', { event: 'game', gameId: gameId, start: start, end: end })
+
+  return this
+    .gamesInRange(start, end, _.extend(_.omit(opts, 'start', 'end'), { inclusive: true }))
+    .then(function(result) {
+      return findGame(result.games, gameId)
+    })
+}
@@ -0,0 +1,447 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var http = require('http')
+  , url = require('url')
+  , crypto = require('crypto')
+  , Promise = require('bluebird')
+  , _ = require('underscore')
+  , Errors = require('./errors')
+  , timezone = require('./timezone')
+  , abort = require('./abort')
+
+/*!
+ * HTTP status for each error class, most specific first
+ */
+
+var STATUS_CODES = [
+  [Errors.ValidationError, 400]
+, [Errors.NotFoundError, 404]
+, [Errors.RateLimitError, 429]
+, [Errors.TimeoutError, 504]
+, [Errors.CircuitOpenError, 503]
+, [Errors.NotConnectedError, 502]
+, [Errors.AuthenticationError, 502]
+, [Errors.ServerError, 502]
+, [Errors.SoapError, 502]
+]
+
+/*!
+ * Query params used by the gateway itself, never sent to Neulion
+ */
+
+var CONTROLS = ['hydrate', 'inclusive', 'tree', 'api_key', 'start', 'end']
+
+/**
+ * Get the HTTP status for an error
+ *
+ * @param {Error} err
+ * @return {Number} status
+ */
+
+function statusOf(err) {
+  var found = _.find(STATUS_CODES, function(x) {
+    return err instanceof x[0]
+  })
+  return found ? found[1] : 500
+}
+
+/**
+ * Read a boolean query param, `1`, `true` and an empty value are true
+ *
+ * @param {String} value
+ * @return {Boolean} flag
+ */
+
+function flag(x) {
+  return x === '' || x === '1' || x === 'true'
+}
+
+/**
+ * Convert numeric query params, all query values are strings
+ *
+ * @param {Object} query
+ * @return {Object} params
+ */
+
+function paramsOf(query) {
+  var params = _.omit(query, CONTROLS)
+
+  if (params.groupId !== undefined) params.groupId = +params.groupId
+  return params
+}
+
+/**
+ * Make `detailsMany` results safe to serialize, errors become their `code`
+ * and `message`
+ *
+ * @param {Object} result
+ * @return {Object} result
+ */
+
+function hydrated(result) {
+  return {
+    programs: result.programs
+  , failures: result.failures.map(function(x) {
+      return _.extend(_.omit(x, 'error'), x.error ? { code: x.error.code, message: x.error.message } : {})
+    })
+  }
+}
+
+/**
+ * Find the last `updateTime` of a list of programs
+ *
+ * @param {Array} programs
+ * @param {String} zone
+ * @return {Date} last modified, `null` if unknown
+ */
+
+function lastModified(programs, zone) {
+  var times = _.compact(_.pluck(programs, 'updateTime'))
+    , date = times.length && timezone.parse(_.max(times, function(x) {
+      return +x
+    }), zone)
+
+  return date && !isNaN(date) ? date : null
+}
+
+/**
+ * Compare an API key in constant time
+ *
+ * @param {String} given key
+ * @param {String} expected key
+ * @return {Boolean} equal
+ */
+
+function sameKey(given, key) {
+  var a = Buffer.from(String(given))
+    , b = Buffer.from(String(key))
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * REST/JSON gateway in front of an API instance, so clients never deal with
+ * SOAP or auth codes. Only `GET`, `HEAD` and CORS preflight requests are
+ * served:
+ *
+ *   - `GET /programs?progDate=&updateTime=&name=&description=&groupId=&hydrate=1`
+ *   - `GET /programs/range?start=&end=&inclusive=1&hydrate=1`
+ *   - `GET /programs/:id?groupId=`
+ *   - `GET /categories?tree=1`
+ *
+ * @param {Neulion} api instance
+ * @param {Object} options
+ *   - `apiKeys` {String|Array} keys accepted in the `X-Api-Key` header or `api_key` param (default none required)
+ *   - `cors` {Boolean|String|Array} allowed origins, `true` for any (default `true`)
+ *   - `prefix` {String} path all routes are under, such as `/v1` (default none)
+ */
+
+function Gateway(api, options) {
+  var opts = options || {}
+
+  this.api = api
+  this.apiKeys = opts.apiKeys ? [].concat(opts.apiKeys) : []
+  this.cors = opts.cors === undefined ? true : opts.cors
+  this.prefix = (opts.prefix || '').replace(/\/$/, '')
+  this.server = null
+}
+
+/*!
+ * Routes, matched in order against the path without the prefix. Each handler
+ * resolves `{ body, lastModified, etag }`.
+ */
+
+Gateway.routes = [
+  [/^\/programs\/?$/, function(api, query, limits) {
+    var options = _.extend({ hydrate: flag(query.hydrate) }, limits)
+
+    return api.list(paramsOf(query), options).then(function(result) {
+      return options.hydrate
+        ? { body: hydrated(result), lastModified: lastModified(result.programs, api.config.timezone) }
+        : { body: { ids: result } }
+    })
+  }]
+, [/^\/programs\/range\/?$/, function(api, query, limits) {
+    var options = _.extend({ hydrate: flag(query.hydrate), inclusive: flag(query.inclusive) }, limits)
+
+    if (!query.start || !query.end) {
+      return Promise.reject(new Errors.ValidationError('Missing `start` or `end`', ['start and end are required']))
+    }
+    return api.range(query.start, query.end, options).then(function(result) {
+      return options.hydrate
+        ? { body: hydrated(result), lastModified: lastModified(result.programs, api.config.timezone) }
+        : { body: { ids: result } }
+    })
+  }]
+, [/^\/programs\/([^\/]+)\/?$/, function(api, query, limits, id) {
+    var options = _.extend({}, limits, query.groupId !== undefined ? { groupId: +query.groupId } : {})
+      , programId = /^\d+$/.test(id) ? +id : id
+
+    return api.details(programId, options).then(function(program) {
+      return {
+        body: program
+      , lastModified: lastModified([program], api.config.timezone)
+      , etag: program.updateTime ? `"${program.groupId}-${program.programId}-${program.updateTime}"` : null
+      }
+    })
+  }]
+, [/^\/categories\/?$/, function(api, query, limits) {
+    var load = flag(query.tree) ? api.categoryTree(limits) : api.categories(limits)
+
+    return load.then(function(cats) {
+      return { body: cats }
+    })
+  }]
+]
+
+/**
+ * Set the CORS headers for the request origin
+ *
+ * @param {Object} http request
+ * @param {Object} http response
+ */
+
+Gateway.prototype.allow = function(req, res) {
+  var origin = req.headers.origin
+    , allowed = this.cors
+
+  if (!allowed) return
+  if (allowed === true || allowed === '*') {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+  } else {
+    if (!origin || !~[].concat(allowed).indexOf(origin)) return
+    res.setHeader('Access-Control-Allow-Origin', origin)
+    res.setHeader('Vary', 'Origin')
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'X-Api-Key, If-None-Match, If-Modified-Since')
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified')
+  res.setHeader('Access-Control-Max-Age', '600')
+}
+
+/**
+ * Check the API key of a request, any request passes without `apiKeys`
+ *
+ * @param {Object} http request
+ * @param {Object} query
+ * @return {Boolean} allowed
+ */
+
+Gateway.prototype.authorized = function(req, query) {
+  var given = req.headers['x-api-key'] || query.api_key
+
+  if (!this.apiKeys.length) return true
+  if (!given) return false
+  return _.some(this.apiKeys, function(key) {
+    return sameKey(given, key)
+  })
+}
+
+/**
+ * Send a JSON response, answering `304 Not Modified` when the client already
+ * has the same version
+ *
+ * @param {Object} http request
+ * @param {Object} http response
+ * @param {Number} status
+ * @param {Object} result, `{ body, lastModified, etag }`
+ */
+
+Gateway.prototype.send = function(req, res, status, result) {
+  var body = JSON.stringify(result.body)
+    , etag = result.etag || `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`
+    , modified = result.lastModified
+    , since = req.headers['if-modified-since'] && new Date(req.headers['if-modified-since'])
+    , match = req.headers['if-none-match']
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8')
+  res.setHeader('Cache-Control', 'no-cache')
+
+  if (status === 200) {
+    res.setHeader('ETag', etag)
+    if (modified) res.setHeader('Last-Modified', modified.toUTCString())
+
+    var fresh = match
+      ? _.some(match.split(','), function(x) {
+        return x.trim() === etag || x.trim() === '*'
+      })
+      : !!(since && modified && Math.floor(modified / 1000) <= Math.floor(since / 1000))
+
+    if (fresh) {
+      res.statusCode = 304
+      return res.end()
+    }
+  }
+
+  res.statusCode = status
+  res.setHeader('Content-Length', Buffer.byteLength(body))
+  res.end(req.method === 'HEAD' ? undefined : body)
+}
+
+/**
+ * Send an error response, with the error `name`, `code` and `message`
+ *
+ * @param {Object} http request
+ * @param {Object} http response
+ * @param {Number} status
+ * @param {Error} err
+ */
+
+Gateway.prototype.fail = function(req, res, status, err) {
+  this.send(req, res, status, {
+    body: {
+      error: {
+        name: err.name
+      , code: err.code || null
+      , message: err.message
+      }
+    }
+  })
+}
+
+/**
+ * Handle a single HTTP request, can be used as the request listener of any
+ * HTTP server or as middleware
+ *
+ * @param {Object} http request
+ * @param {Object} http response
+ * @return {Promise} promise, resolves once answered
+ */
+
+Gateway.prototype.handle = function(req, res) {
+  var self = this
+    , api = this.api
+    , started = Date.now()
+    , parsed = url.parse(req.url, true)
+    , pathname = parsed.pathname
+    , query = parsed.query
+    , ctrl = abort.controller()
+
+  function done() {
+    api.log.debug('answered', {
+      event: 'gateway'
+    , method: req.method
+    , path: pathname
+    , status: res.statusCode
+    , duration: Date.now() - started
+    })
+  }
+
+  function notFound() {
+    var err = new Errors.NotFoundError(`No route for \`${pathname}\``)
+    return self.fail(req, res, 404, err)
+  }
+
+  this.allow(req, res)
+
+  // Stop loading once the client is gone
+  res.on('close', function() {
+    if (!res.writableEnded) ctrl.abort()
+  })
+
+  return Promise
+    .try(function() {
+      if (req.method === 'OPTIONS') {
+        res.statusCode = 204
+        return res.end()
+      }
+      if (pathname.indexOf(self.prefix) !== 0) return notFound()
+
+      var route
+        , match
+        , rest = pathname.slice(self.prefix.length) || '/'
+
+      route = _.find(Gateway.routes, function(x) {
+        match = rest.match(x[0])
+        return match
+      })
+
+      if (!route) return notFound()
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD, OPTIONS')
+        return self.fail(req, res, 405, new Error(`Method \`${req.method}\` not allowed`))
+      }
+      if (!self.authorized(req, query)) {
+        return self.fail(req, res, 401, new Error('Missing or invalid API key'))
+      }
+
+      // Malformed escapes in the path are bad input, not a gateway failure
+      var params
+      try {
+        params = match.slice(1).map(decodeURIComponent)
+      } catch (e) {
+        throw new Errors.ValidationError(`Invalid path \`${rest}\``, [e.message])
+      }
+
+      var args = [api, query, { signal: ctrl.signal }].concat(params)
+
+      return route[1].apply(null, args).then(function(result) {
+        self.send(req, res, 200, result)
+      })
+    })
+    .catch(function(err) {
+      if (err instanceof Errors.AbortError && ctrl.signal.aborted) return
+      if (res.headersSent) return res.end()
+
+      var status = statusOf(err)
+      api.log[status >= 500 ? 'error' : 'debug'](err.message, { event: 'gateway', path: pathname, status: status, code: err.code })
+      self.fail(req, res, status, err)
+    })
+    .finally(done)
+}
+
+/**
+ * Start an HTTP server for the gateway
+ *
+ * @param {Number} port (default `0` for any free port)
+ * @param {String} host (default all interfaces)
+ * @return {Promise} promise, resolves the base url
+ */
+
+Gateway.prototype.listen = function(port, host) {
+  var self = this
+
+  this.server = http.createServer(function(req, res) {
+    self.handle(req, res)
+  })
+
+  return new Promise(function(res, rej) {
+    self.server.once('error', rej)
+    self.server.listen(port || 0, host, function() {
+      var addr = self.server.address()
+        , name = addr.family === 'IPv6' || addr.family === 6 ? `[${addr.address}]` : addr.address
+
+      self.url = `http://${name}:${addr.port}${self.prefix}`
+      self.api.log.info('listening', { event: 'gateway', url: self.url })
+      res(self.url)
+    })
+  })
+}
+
+/**
+ * Stop the HTTP server
+ *
+ * @return {Promise} promise
+ */
+
+Gateway.prototype.close = function() {
+  var server = this.server
+
+  this.server = null
+  if (!server) return Promise.resolve()
+  return new Promise(function(res) {
+    server.close(function() { res() })
+  })
+}
+
+/*!
+ * Exports
+ */
+
+module.exports = Gateway
+module.exports.STATUS_CODES = STATUS_CODES
+module.exports.statusOf = statusOf
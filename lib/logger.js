@@ -0,0 +1,153 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+  , debug = require('debug')('neulion')
+
+/*!
+ * Misc
+ */
+
+var LEVELS = ['trace', 'debug', 'info', 'warn', 'error']
+  , SECRETS = ['password', 'authCode', 'authenticateReturn']
+  , REDACTED = '[redacted]'
+  , MAX_DEPTH = 6
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @param {String} str
+ * @return {String} escaped
+ */
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Copy a value with the secret keys replaced, at any depth. XML strings
+ * have the text of the secret elements replaced.
+ *
+ * @param {Any} value
+ * @param {Array} keys (default `password`, `authCode` and `authenticateReturn`)
+ * @return {Any} redacted copy
+ */
+
+function redact(x, keys) {
+  var secrets = keys || SECRETS
+    , tags = new RegExp(`(<(?:[\\w.-]+:)?(?:${secrets.map(escapeRegExp).join('|')})(?:\\s[^>]*)?>)[^<]*`, 'g')
+    , seen = []
+
+  function copy(val, depth) {
+    if (varType(val, 'String')) return ~val.indexOf('<') ? val.replace(tags, `$1${REDACTED}`) : val
+    if (!varType(val, 'Object') && !Array.isArray(val)) return val
+    if (~seen.indexOf(val)) return '[circular]'
+    if (depth > MAX_DEPTH) return '[object]'
+
+    seen.push(val)
+    var out = Array.isArray(val) ? val.map(function(x) {
+      return copy(x, depth + 1)
+    }) : _.mapObject(val, function(v, key) {
+      return ~secrets.indexOf(key) ? REDACTED : copy(v, depth + 1)
+    })
+    seen.pop()
+    return out
+  }
+  return copy(x, 0)
+}
+
+/**
+ * Format the fields of an entry for `debug`, the same as the other
+ * `key=\`value\`` messages
+ *
+ * @param {Object} fields
+ * @return {String} formatted
+ */
+
+function format(fields) {
+  return _.map(fields, function(val, key) {
+    return `${key}=\`${varType(val, 'Object') || Array.isArray(val) ? JSON.stringify(val) : val}\``
+  }).join(' ')
+}
+
+/**
+ * Default sink, written with `debug` as `[event] msg key=value`
+ *
+ * @param {Object} entry
+ */
+
+function debugSink(entry) {
+  var fields = _.omit(entry, 'level', 'msg', 'time', 'name', 'event')
+
+  debug(`[${entry.event || entry.level}] ${entry.msg} ${format(fields)}`.trim())
+}
+
+/**
+ * Structured logger, every entry is an object of `level`, `msg`, `time` and
+ * the fields given, with all secrets redacted before reaching the sink.
+ *
+ * The sink is either a function called with each entry, or a pino or bunyan
+ * style logger with a method per level, called as `logger[level](fields, msg)`.
+ *
+ * @param {Object} options
+ *   - `logger` {Function|Object} sink (default `debug`)
+ *   - `redact` {Array} more keys to redact, added to the defaults
+ */
+
+function Logger(options) {
+  var opts = options || {}
+
+  this.sink = opts.logger || debugSink
+  this.secrets = _.uniq(SECRETS.concat(opts.redact || []))
+}
+
+/**
+ * Write an entry, the sink can never break the caller
+ *
+ * @param {String} level
+ * @param {String} message
+ * @param {Object} fields (optional)
+ */
+
+Logger.prototype.log = function(level, msg, fields) {
+  var sink = this.sink
+    , data = redact(fields || {}, this.secrets)
+
+  try {
+    if (varType(sink, 'Function')) {
+      return sink(_.extend({
+        level: level
+      , msg: msg
+      , time: new Date().toISOString()
+      , name: 'neulion'
+      }, data))
+    }
+    var fn = sink[level] || sink.info || sink.log
+    if (fn) fn.call(sink, _.extend({ name: 'neulion' }, data), msg)
+  } catch (err) {
+    debug('[logger] sink failed err=`%s`', err)
+  }
+}
+
+/**
+ * Shorthand methods for each level, `logger.info(msg, fields)`
+ */
+
+LEVELS.forEach(function(level) {
+  Logger.prototype[level] = function(msg, fields) {
+    this.log(level, msg, fields)
+  }
+})
+
+/*!
+ * Exports
+ */
+
+module.exports = Logger
+module.exports.LEVELS = LEVELS
+module.exports.REDACTED = REDACTED
+module.exports.redact = redact
@@ -0,0 +1,271 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+
+/*!
+ * Misc
+ */
+
+var BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+  , PREFIX = 'neulion'
+
+/**
+ * Create an empty latency histogram
+ *
+ * @param {Array} bucket upper bounds in milliseconds
+ * @return {Object} histogram
+ */
+
+function histogram(buckets) {
+  return {
+    count: 0
+  , sum: 0
+  , min: null
+  , max: null
+  , buckets: buckets.map(function(le) {
+      return { le: le, count: 0 }
+    })
+  }
+}
+
+/**
+ * Escape a Prometheus label value
+ *
+ * @param {Any} value
+ * @return {String} escaped
+ */
+
+function label(x) {
+  return String(x).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/**
+ * Format a set of Prometheus labels
+ *
+ * @param {Object} labels
+ * @return {String} formatted, empty for no labels
+ */
+
+function labels(obj) {
+  var pairs = _.map(obj, function(val, key) {
+    return `${key}="${label(val)}"`
+  })
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Request metrics, fed by the `Neulion` lifecycle events. Keeps counts,
+ * error counts by `code` and a latency histogram for every operation, and
+ * counts of connections, authentications, re-authentications by reason and
+ * failovers by the endpoint left.
+ *
+ * @param {Object} options
+ *   - `buckets` {Array} latency histogram bounds in milliseconds
+ */
+
+function Metrics(options) {
+  var opts = options || {}
+
+  this.bounds = (opts.buckets || BUCKETS).slice().sort(function(a, b) {
+    return a - b
+  })
+  this.reset()
+}
+
+/**
+ * Clear all metrics
+ */
+
+Metrics.prototype.reset = function() {
+  this.started = new Date()
+  this.operations = {}
+  this.connects = 0
+  this.auths = 0
+  this.reauths = {}
+  this.failovers = {}
+}
+
+/**
+ * Get the metrics of an operation, creating them when missing
+ *
+ * @param {String} operation
+ * @return {Object} operation metrics
+ */
+
+Metrics.prototype.operation = function(name) {
+  if (!this.operations[name]) {
+    this.operations[name] = {
+      requests: 0
+    , errors: 0
+    , codes: {}
+    , latency: histogram(this.bounds)
+    }
+  }
+  return this.operations[name]
+}
+
+/**
+ * Record a finished request
+ *
+ * @param {String} operation
+ * @param {Number} duration in milliseconds
+ * @param {Error} err (optional)
+ */
+
+Metrics.prototype.observe = function(name, duration, err) {
+  var op = this.operation(name)
+    , latency = op.latency
+
+  op.requests += 1
+  if (err) {
+    var code = err.code || 'ERROR'
+
+    op.errors += 1
+    op.codes[code] = (op.codes[code] || 0) + 1
+  }
+
+  latency.count += 1
+  latency.sum += duration
+  latency.min = latency.min === null ? duration : Math.min(latency.min, duration)
+  latency.max = latency.max === null ? duration : Math.max(latency.max, duration)
+  latency.buckets.forEach(function(x) {
+    if (duration <= x.le) x.count += 1
+  })
+}
+
+/**
+ * Record a lifecycle event, as emitted by `Neulion`
+ *
+ * @param {String} event
+ * @param {Object|Error} event data
+ * @param {Object} info, for `error` events
+ */
+
+Metrics.prototype.record = function(event, data, info) {
+  switch (event) {
+    case 'connect':
+      this.connects += 1
+      break
+
+    case 'auth':
+      this.auths += 1
+      break
+
+    case 'reauth':
+      this.reauths[data.reason] = (this.reauths[data.reason] || 0) + 1
+      break
+
+    case 'failover':
+      this.failovers[data.from] = (this.failovers[data.from] || 0) + 1
+      break
+
+    case 'response':
+      this.observe(data.operation, data.duration)
+      break
+
+    // Failed requests are timed too, failed connections are not requests
+    case 'error':
+      if (info && info.source === 'request') this.observe(info.operation, info.duration, data)
+      break
+  }
+}
+
+/**
+ * Get a copy of the current metrics
+ *
+ * @return {Object} snapshot
+ */
+
+Metrics.prototype.snapshot = function() {
+  return {
+    since: this.started
+  , connects: this.connects
+  , auths: this.auths
+  , reauths: _.clone(this.reauths)
+  , failovers: _.clone(this.failovers)
+  , operations: _.mapObject(this.operations, function(op) {
+      return {
+        requests: op.requests
+      , errors: op.errors
+      , codes: _.clone(op.codes)
+      , latency: _.extend({}, op.latency, {
+          mean: op.latency.count ? op.latency.sum / op.latency.count : null
+        , buckets: op.latency.buckets.map(_.clone)
+        })
+      }
+    })
+  }
+}
+
+/**
+ * Format a snapshot in the Prometheus text exposition format, latencies
+ * are converted to seconds
+ *
+ * @param {Object} snapshot (see `snapshot`)
+ * @return {String} text
+ */
+
+function prometheus(snap) {
+  var lines = []
+    , ops = snap.operations || {}
+
+  function metric(name, type, help, rows) {
+    lines.push(`# HELP ${PREFIX}_${name} ${help}`)
+    lines.push(`# TYPE ${PREFIX}_${name} ${type}`)
+    rows.forEach(function(x) {
+      lines.push(`${PREFIX}_${x[0]}${labels(x[1])} ${x[2]}`)
+    })
+  }
+
+  metric('connects_total', 'counter', 'WSDL connections made', [['connects_total', {}, snap.connects]])
+  metric('auths_total', 'counter', 'Authentications made', [['auths_total', {}, snap.auths]])
+  metric('reauths_total', 'counter', 'Re-authentications by reason', _.map(snap.reauths, function(count, reason) {
+    return ['reauths_total', { reason: reason }, count]
+  }))
+  metric('failovers_total', 'counter', 'Endpoint failovers by the endpoint left', _.map(snap.failovers, function(count, endpoint) {
+    return ['failovers_total', { endpoint: endpoint }, count]
+  }))
+  metric('requests_total', 'counter', 'SOAP requests by operation', _.map(ops, function(op, name) {
+    return ['requests_total', { operation: name }, op.requests]
+  }))
+  metric('errors_total', 'counter', 'Failed SOAP requests by operation and code', _.flatten(_.map(ops, function(op, name) {
+    return _.map(op.codes, function(count, code) {
+      return ['errors_total', { operation: name, code: code }, count]
+    })
+  }), true))
+  metric('request_duration_seconds', 'histogram', 'SOAP request latency by operation', _.flatten(_.map(ops, function(op, name) {
+    var latency = op.latency
+
+    return latency.buckets.map(function(x) {
+      return ['request_duration_seconds_bucket', { operation: name, le: x.le / 1000 }, x.count]
+    }).concat([
+      ['request_duration_seconds_bucket', { operation: name, le: '+Inf' }, latency.count]
+    , ['request_duration_seconds_sum', { operation: name }, latency.sum / 1000]
+    , ['request_duration_seconds_count', { operation: name }, latency.count]
+    ])
+  }), true))
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Format the current metrics for Prometheus
+ *
+ * @return {String} text
+ */
+
+Metrics.prototype.prometheus = function() {
+  return prometheus(this.snapshot())
+}
+
+/*!
+ * Exports
+ */
+
+module.exports = Metrics
+module.exports.BUCKETS = BUCKETS
+module.exports.prometheus = prometheus
@@ -0,0 +1,548 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , path = require('path')
+  , Promise = require('bluebird')
+  , _ = require('underscore')
+  , varType = require('var-type')
+  , Errors = require('./errors')
+  , timezone = require('./timezone')
+
+/*!
+ * Misc
+ */
+
+var DATE_FIELDS = ['endTime', 'progDate', 'startTime', 'videoTime']
+  , SCALAR_FILTERS = ['groupId', 'programType', 'highlightType', 'gameId', 'eventId']
+  , PROGRAMS_FILE = 'programs.ndjson'
+  , META_FILE = 'mirror.json'
+  , LIMIT = 100
+
+/**
+ * Create an empty mirror state
+ *
+ * @return {Object} state
+ */
+
+function empty() {
+  return {
+    syncedAt: null
+  , programs: {}
+  , categories: []
+  }
+}
+
+/**
+ * Key of a mirrored program, unique across groups
+ *
+ * @param {Object} program
+ * @return {String} key
+ */
+
+function keyOf(program) {
+  return `${program.groupId}:${program.programId}`
+}
+
+/**
+ * Restore the dates of a program read back from JSON
+ *
+ * @param {Object} program
+ * @return {Object} program
+ */
+
+function revive(program) {
+  DATE_FIELDS.forEach(function(key) {
+    if (varType(program[key], 'String')) program[key] = new Date(program[key])
+  })
+  return program
+}
+
+/**
+ * Write a file through a temporary file, so readers never see a partial write
+ *
+ * @param {String} file path
+ * @param {String} contents
+ * @return {Promise} promise
+ */
+
+function replace(file, str) {
+  var tmp = `${file}.${process.pid}.tmp`
+
+  return Promise.fromCallback(function(next) {
+    fs.writeFile(tmp, str, next)
+  })
+  .then(function() {
+    return Promise.fromCallback(function(next) {
+      fs.rename(tmp, file, next)
+    })
+  })
+}
+
+/**
+ * Read a file, resolving `null` when it does not exist
+ *
+ * @param {String} file path
+ * @return {Promise} promise
+ */
+
+function read(file) {
+  return new Promise(function(res, rej) {
+    fs.readFile(file, 'utf8', function(err, str) {
+      if (err && err.code === 'ENOENT') return res(null)
+      if (err) return rej(err)
+      res(str)
+    })
+  })
+}
+
+/**
+ * Create a directory and any missing parents, `fs.mkdir` only creates
+ * parents itself since Node 10.12
+ *
+ * @param {String} directory path
+ * @return {Promise} promise
+ */
+
+function mkdirp(dir) {
+  return Promise
+    .fromCallback(function(next) {
+      fs.mkdir(dir, next)
+    })
+    .catch(function(err) {
+      if (err.code === 'EEXIST') return
+      if (err.code !== 'ENOENT' || path.dirname(dir) === dir) throw err
+
+      return mkdirp(path.dirname(dir)).then(function() {
+        return mkdirp(dir)
+      })
+    })
+}
+
+/**
+ * In-memory mirror store, the mirror is lost when the process exits
+ */
+
+function MemoryStore() {
+  this.data = null
+}
+
+/**
+ * Load the stored mirror
+ *
+ * @return {Promise} promise, resolves `null` if nothing was stored
+ */
+
+MemoryStore.prototype.load = function() {
+  var data = this.data && JSON.parse(this.data)
+
+  if (data) _.each(data.programs, revive)
+  return Promise.resolve(data)
+}
+
+/**
+ * Store the mirror, copied so later changes to it are not stored
+ *
+ * @param {Object} state
+ * @return {Promise} promise
+ */
+
+MemoryStore.prototype.save = function(state) {
+  this.data = JSON.stringify(state)
+  return Promise.resolve()
+}
+
+/**
+ * File mirror store, programs are kept one per line in `programs.ndjson` and
+ * the categories and sync time in `mirror.json`, within `dir`. The directory
+ * is created if missing.
+ *
+ * @param {String} directory path
+ */
+
+function FileStore(dir) {
+  this.dir = dir
+  this.log = null
+}
+
+/**
+ * Load the stored mirror
+ *
+ * @return {Promise} promise, resolves `null` if nothing was stored
+ */
+
+FileStore.prototype.load = function() {
+  var self = this
+
+  return Promise
+    .all([
+      read(path.join(this.dir, META_FILE))
+    , read(path.join(this.dir, PROGRAMS_FILE))
+    ])
+    .spread(function(meta, lines) {
+      if (meta === null && lines === null) return null
+
+      var state = _.extend(empty(), meta && JSON.parse(meta))
+        , rows = (lines || '').split('\n')
+
+      rows.forEach(function(line, i) {
+        if (!line.trim()) return
+        try {
+          var program = revive(JSON.parse(line))
+          state.programs[keyOf(program)] = program
+        } catch (err) {
+          if (self.log) self.log.warn('skipping invalid line', { event: 'mirror', line: i + 1, dir: self.dir })
+        }
+      })
+      return state
+    })
+}
+
+/**
+ * Store the mirror, rewriting both files
+ *
+ * @param {Object} state
+ * @return {Promise} promise
+ */
+
+FileStore.prototype.save = function(state) {
+  var self = this
+    , lines = _.map(state.programs, function(x) {
+      return JSON.stringify(x) + '\n'
+    })
+
+  return mkdirp(this.dir)
+    .then(function() {
+      return replace(path.join(self.dir, PROGRAMS_FILE), lines.join(''))
+    })
+    .then(function() {
+      return replace(path.join(self.dir, META_FILE), JSON.stringify({
+        syncedAt: state.syncedAt
+      , categories: state.categories
+      }))
+    })
+}
+
+/**
+ * Check a value against a wanted value or list of values, anything matches
+ * when nothing is wanted
+ *
+ * @param {Any} value
+ * @param {Any|Array} wanted
+ * @return {Boolean} matches
+ */
+
+function anyOf(val, wanted) {
+  if (wanted === undefined || wanted === null) return true
+  return _.some([].concat(wanted), function(x) {
+    return String(x) === String(val)
+  })
+}
+
+/**
+ * Compare two values for sorting, missing values always sort last
+ *
+ * @param {Any} a
+ * @param {Any} b
+ * @param {Boolean} descending
+ * @return {Number} order
+ */
+
+function compare(a, b, desc) {
+  var x = a instanceof Date ? +a : a
+    , y = b instanceof Date ? +b : b
+
+  if (x === y) return 0
+  if (x === null || x === undefined) return 1
+  if (y === null || y === undefined) return -1
+  return (x < y ? -1 : 1) * (desc ? -1 : 1)
+}
+
+/**
+ * Parse a date filter, throws a `ValidationError` for invalid dates
+ *
+ * @param {String} filter name
+ * @param {Date|String|Number} date
+ * @param {String} zone
+ * @return {Date} date, `null` when missing
+ */
+
+function dateFilter(name, x, zone) {
+  if (x === undefined || x === null) return null
+
+  var date = timezone.parse(x, zone)
+  if (isNaN(date)) {
+    throw new Errors.ValidationError(`Invalid \`${name}\`: ${x}`, [`${name}: expected a date, got \`${x}\``])
+  }
+  return date
+}
+
+/**
+ * Local copy of the Neulion catalog, synced through `range` and `categories`.
+ * Answers queries Neulion can not, and the read methods of an `offline` API
+ * when Neulion can not be reached.
+ *
+ * @param {Neulion} api instance
+ * @param {Object} options
+ *   - `path` {String} directory for the `FileStore` (default in memory)
+ *   - `store` {Object} custom store with `load` and `save`
+ */
+
+function Mirror(api, options) {
+  var opts = options || {}
+
+  this.api = api
+  this.store = opts.store || (opts.path ? new FileStore(opts.path) : new MemoryStore())
+  this.state = null
+
+  if (this.store instanceof FileStore && !this.store.log) this.store.log = api.log
+}
+
+/**
+ * Load the stored mirror, only read once
+ *
+ * @return {Promise} promise, resolves the state
+ */
+
+Mirror.prototype.load = function() {
+  var self = this
+
+  if (this.state) return Promise.resolve(this.state)
+  if (this._loading) return this._loading
+
+  this._loading = this.store
+    .load()
+    .then(function(state) {
+      self.state = _.extend(empty(), state || {})
+      self.api.log.debug('loaded', { event: 'mirror', programs: _.size(self.state.programs), syncedAt: self.state.syncedAt })
+      return self.state
+    })
+    .finally(function() {
+      self._loading = null
+    })
+  return this._loading
+}
+
+/**
+ * Sync the programs of a date range and all categories from Neulion. Mirrored
+ * programs of the synced days and groups that Neulion no longer lists are
+ * removed, programs that failed to load are kept as they were.
+ *
+ * @param {Date|String|Number} start date
+ * @param {Date|String|Number} end date
+ * @param {Object} options, any `range` options and
+ *   - `categories` {Boolean} sync the categories too (default `true`)
+ * @return {Promise} promise, resolves `{ added, updated, removed, programs, categories, failures }`
+ */
+
+Mirror.prototype.sync = function(start, end, options) {
+  var self = this
+    , api = this.api
+    , opts = _.extend({}, options, { hydrate: true, offline: false })
+    , zone = api.config.timezone
+    , group = api.config.group
+    , groups = group === undefined || group === null ? null : [].concat(group).map(function(x) {
+      return String(varType(x, 'Object') ? x.id : x)
+    })
+    , summary = { added: 0, updated: 0, removed: 0, failures: [] }
+
+  return this
+    .load()
+    .then(function() {
+      return api.range(start, end, opts)
+    })
+    .then(function(result) {
+      var programs = self.state.programs
+        , days = timezone.days(timezone.parse(start, zone), timezone.parse(end, zone), zone, opts.inclusive)
+        , from = days[0]
+        , to = days.length && timezone.addDays(_.last(days), 1, zone)
+        , seen = {}
+        , failed = {}
+
+      result.programs.forEach(function(program) {
+        var key = keyOf(program)
+          , prev = programs[key]
+
+        if (!prev) summary.added += 1
+        else if (JSON.stringify(prev) !== JSON.stringify(program)) summary.updated += 1
+
+        programs[key] = program
+        seen[key] = true
+      })
+
+      // Failures only carry their `groupId` with multiple groups, keyed the same as the programs
+      result.failures.forEach(function(x) {
+        if (x.reason !== 'not-found') failed[x.groupId === undefined ? x.id : `${x.groupId}:${x.id}`] = true
+        summary.failures.push(x)
+      })
+
+      // Without a `group` every mirrored program was searched
+      _.each(programs, function(program, key) {
+        var date = program.progDate
+
+        if (seen[key] || failed[key] || failed[program.programId] || !date || !days.length) return
+        if (date < from || date >= to || !anyOf(program.groupId, groups)) return
+
+        delete programs[key]
+        summary.removed += 1
+      })
+
+      if (opts.categories === false) return
+      return api.categories(_.pick(opts, 'timeout', 'signal', 'offline')).then(function(cats) {
+        self.state.categories = cats.map(function(x) {
+          return x.groupId === undefined ? _.extend({ groupId: api.config.group }, x) : x
+        })
+      })
+    })
+    .then(function() {
+      self.state.syncedAt = new Date().toISOString()
+      self.api.log.info('synced', { event: 'mirror', added: summary.added, updated: summary.updated, removed: summary.removed })
+      return self.store.save(self.state)
+    })
+    .then(function() {
+      return _.extend(summary, {
+        programs: _.size(self.state.programs)
+      , categories: self.state.categories.length
+      })
+    })
+}
+
+/**
+ * Find mirrored programs. Every filter given must match, filters given as a
+ * list match any of the values.
+ *
+ * @param {Object} filter
+ *   - `groupId`, `programType`, `highlightType`, `gameId`, `eventId` {Any|Array}
+ *   - `tags` {String|Array} tags the program must all have
+ *   - `categories` {Number|Array} category IDs the program must have any of
+ *   - `name` {String} case insensitive part of the name
+ *   - `from` {Date|String} earliest `progDate`, days are read in `config.timezone`
+ *   - `to` {Date|String} latest `progDate`, not included
+ * @param {Object} options
+ *   - `sort` {String} field to sort by, prefixed with `-` for descending (default `-progDate`)
+ *   - `limit` {Number} max programs (default 100)
+ *   - `offset` {Number} programs to skip (default 0)
+ * @return {Promise} promise, resolves `{ total, offset, limit, programs }`
+ */
+
+Mirror.prototype.query = function(filter, options) {
+  var f = filter || {}
+    , opts = options || {}
+    , zone = this.api.config.timezone
+    , sort = opts.sort || '-progDate'
+    , desc = sort[0] === '-'
+    , field = desc ? sort.slice(1) : sort
+    , limit = varType(opts.limit, 'Number') ? opts.limit : LIMIT
+    , offset = opts.offset || 0
+    , from
+    , to
+
+  try {
+    from = dateFilter('from', f.from, zone)
+    to = dateFilter('to', f.to, zone)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  var tags = f.tags ? [].concat(f.tags) : []
+    , cats = f.categories ? [].concat(f.categories).map(Number) : []
+    , name = f.name ? String(f.name).toLowerCase() : null
+
+  return this.load().then(function(state) {
+    var found = _.filter(state.programs, function(x) {
+      var matches = _.every(SCALAR_FILTERS, function(key) {
+        return anyOf(x[key], f[key])
+      })
+
+      if (!matches) return false
+      if (tags.length && _.difference(tags, x.tagArray || []).length) return false
+      if (cats.length && !_.intersection(cats, x.categoryIdArray || []).length) return false
+      if (name && !~String(x.name || '').toLowerCase().indexOf(name)) return false
+      if (from && (!x.progDate || x.progDate < from)) return false
+      if (to && (!x.progDate || x.progDate >= to)) return false
+      return true
+    })
+
+    found.sort(function(a, b) {
+      return compare(a[field], b[field], desc)
+    })
+
+    return {
+      total: found.length
+    , offset: offset
+    , limit: limit
+    , programs: found.slice(offset, offset + limit)
+    }
+  })
+}
+
+/**
+ * Search the mirror the same way as `searchVodPrograms`, a day for
+ * `progDate`, exact `name` and `description`, and `updateTime` or later
+ *
+ * @param {Object} params, see `Neulion#search`
+ * @return {Promise} promise, resolves the program IDs
+ */
+
+Mirror.prototype.search = function(params) {
+  var p = params || {}
+    , zone = this.api.config.timezone
+    , day = p.progDate ? timezone.dayKey(timezone.parse(p.progDate, zone), zone) : null
+
+  return this.load().then(function(state) {
+    return _.filter(state.programs, function(x) {
+      if (p.groupId !== undefined && p.groupId !== null && !anyOf(x.groupId, p.groupId)) return false
+      if (day && (!x.progDate || timezone.dayKey(x.progDate, zone) !== day)) return false
+      if (p.name && x.name !== p.name) return false
+      if (p.description && x.desc !== p.description) return false
+      if (p.updateTime && (!x.updateTime || x.updateTime < p.updateTime)) return false
+      return true
+    })
+    .map(function(x) {
+      return x.programId
+    })
+  })
+}
+
+/**
+ * Get a mirrored program
+ *
+ * @param {Number} program id
+ * @param {Number} group id (optional, any group)
+ * @return {Promise} promise, resolves `null` if not mirrored
+ */
+
+Mirror.prototype.program = function(id, groupId) {
+  return this.load().then(function(state) {
+    return _.find(state.programs, function(x) {
+      return String(x.programId) === String(id) && anyOf(x.groupId, groupId)
+    }) || null
+  })
+}
+
+/**
+ * Get the mirrored categories
+ *
+ * @param {Number} group id (optional, all groups)
+ * @return {Promise} promise
+ */
+
+Mirror.prototype.categories = function(groupId) {
+  return this.load().then(function(state) {
+    return state.categories.filter(function(x) {
+      return anyOf(x.groupId, groupId)
+    })
+  })
+}
+
+/*!
+ * Exports
+ */
+
+Mirror.MemoryStore = MemoryStore
+Mirror.FileStore = FileStore
+
+module.exports = Mirror
@@ -4,177 +4,870 @@
  * Dependencies
  */
 
-var soap = require('soap')
+var util = require('util')
+  , EventEmitter = require('events').EventEmitter
+  , soap = require('soap')
   , Promise = require('bluebird')
   , _ = require('underscore')
   , varType = require('var-type')
-  , debug = require('debug')('neulion')
   , Errors = require('./errors')
+  , Schema = require('./schema')
+  , xml = require('./xml')
+  , categories = require('./categories')
+  , games = require('./games')
+  , operations = require('./operations')
+  , ChangeFeed = require('./change-feed')
+  , ProgramStream = require('./program-stream')
+  , Cache = require('./cache')
+  , retry = require('./retry')
+  , timezone = require('./timezone')
+  , Logger = require('./logger')
+  , Metrics = require('./metrics')
+  , Endpoints = require('./endpoints')
+  , Mirror = require('./mirror')
+  , TextIndex = require('./text-index')
+  , Gateway = require('./gateway')
+  , feeds = require('./feeds')
+  , abort = require('./abort')
 
 /*!
  * Misc
  */
 
 var concat = Array.prototype.concat
-  , HOUR = 60 * 60 * 1000
-  , DAY = 24 * HOUR
+  , MINUTE = 60 * 1000
+  , HOUR = 60 * MINUTE
+  , DEFAULT_TIMEOUT = MINUTE
+  , EVENTS = ['connect', 'auth', 'reauth', 'request', 'response', 'error', 'failover']
 
 /**
- * Convert an object into simple XML
+ * Pick the per call `timeout`, `signal`, `offline` and `fresh` from method options
  *
+ * @param {Object} options
+ * @return {Object} limits
+ */
+
+function limitsOf(options) {
+  return _.pick(options || {}, 'timeout', 'signal', 'offline', 'fresh')
+}
+
+/**
+ * Check if a failed read should be answered from the mirror instead, only
+ * for `offline` instances when Neulion could not be reached. Passing
+ * `offline: false` to a method always asks Neulion.
+ *
+ * @param {Neulion} api instance
+ * @param {Error} err
+ * @param {Object} method options
+ * @return {Boolean} use the mirror
+ */
+
+function unreachable(api, err, options) {
+  if (!api.config.offline || !api.mirror) return false
+  if (options && options.offline === false) return false
+  return err instanceof Errors.CircuitOpenError || Endpoints.unhealthy(err)
+}
+
+/**
+ * Answer a failed read from the mirror when Neulion could not be reached,
+ * otherwise rethrow the error. Anything missing from the mirror rethrows
+ * the original error as well.
+ *
+ * @param {Neulion} api instance
+ * @param {Error} err
+ * @param {Object} method options
+ * @param {String} method name, for logging
+ * @param {Function} promise returning mirror lookup
+ * @return {Promise} promise
+ */
+
+function fromMirror(api, err, options, label, fn) {
+  if (!unreachable(api, err, options)) return Promise.reject(err)
+
+  api.log.warn('answering from mirror', { event: 'offline', operation: label, code: err.code })
+  return Promise.resolve(fn(api.mirror)).then(function(found) {
+    if (found === null) throw err
+    return found
+  })
+}
+
+/**
+ * Ensure the SOAP client is connected, without authenticating
+ *
+ * @param {Neulion} api instance
+ * @param {Object} options, `signal` to stop waiting (optional)
+ * @return {Promise} promise
+ */
+
+function connected(api, options) {
+  return api.client ? Promise.resolve(api.client) : api.connect(_.pick(options || {}, 'signal'))
+}
+
+/**
+ * Check if the `authCode` is missing, or close enough to `authMaxAge` that it
+ * should be refreshed before sending another request
+ *
+ * @param {Neulion} api instance
+ * @return {Boolean} stale
+ */
+
+function authStale(api) {
+  if (!api.authCode) return true
+
+  var maxAge = api.config.authMaxAge || HOUR
+    , ahead = varType(api.config.authRefreshAhead, 'Number') ? api.config.authRefreshAhead : 5 * MINUTE
+
+  return Date.now() - api.authTime >= maxAge - ahead
+}
+
+/**
+ * Get the time limit for a kind of call. The `timeout` config is either the
+ * milliseconds for all calls, or an object of `connect`, `auth` and `request`
+ * limits. A limit of `0` disables it.
+ *
+ * @param {Neulion} api instance
+ * @param {String} kind of call
+ * @param {Number} per call limit (optional)
+ * @return {Number} milliseconds
+ */
+
+function timeoutFor(api, kind, override) {
+  var limit = api.config.timeout
+
+  if (varType(override, 'Number')) return override
+  if (varType(limit, 'Object')) limit = limit[kind]
+  return varType(limit, 'Number') ? limit : DEFAULT_TIMEOUT
+}
+
+/**
+ * Wait on a promise returning function for up to `timeout` milliseconds, or
+ * until the `signal` is aborted. The SOAP client can not cancel a request, so
+ * it is only no longer waited on.
+ *
+ * @param {Neulion} api instance
+ * @param {String} operation
+ * @param {Object} limits
+ *   - `timeout` {Number} milliseconds, `0` to wait forever
+ *   - `signal` {AbortSignal} cancels the call (optional)
+ *   - `params` {Object} request params, for errors
+ * @param {Function} promise returning call
+ * @return {Promise} promise
+ */
+
+function guard(api, label, limits, fn) {
+  var signal = limits.signal
+
+  function fail(err) {
+    Errors.context(err, label, limits.params)
+    err.retryable = api.retry.retryable(err, label)
+    return err
+  }
+
+  if (signal && signal.aborted) {
+    return Promise.reject(fail(new Errors.AbortError(`\`${label}\` aborted`)))
+  }
+
+  return new Promise(function(res, rej) {
+    var timer = limits.timeout && setTimeout(function() {
+      api.log.debug('timed out', { event: 'guard', operation: label, timeout: limits.timeout })
+      rej(fail(new Errors.TimeoutError(`\`${label}\` timed out after ${limits.timeout}ms`)))
+    }, limits.timeout)
+
+    function abort() {
+      rej(fail(new Errors.AbortError(`\`${label}\` aborted`)))
+    }
+    if (signal) signal.addEventListener('abort', abort)
+
+    Promise
+      .try(fn)
+      .then(res, rej)
+      .finally(function() {
+        clearTimeout(timer)
+        if (signal) signal.removeEventListener('abort', abort)
+      })
+  })
+}
+
+/**
+ * Run a SOAP call through the circuit breaker, retrying transient failures
+ *
+ * @param {Neulion} api instance
+ * @param {String} label for debugging
+ * @param {Function} promise returning call
+ * @return {Promise} promise
+ */
+
+function attempt(api, label, fn) {
+  return api.retry.run(function() {
+    return api.breaker.run(fn, label)
+  }, label)
+}
+
+/**
+ * Record a lifecycle event in the metrics and emit it. Errors are only
+ * emitted when listened for, so they never throw.
+ *
+ * @param {Neulion} api instance
+ * @param {String} event
+ * @param {Object|Error} event data
+ * @param {Object} info, for `error` events
+ */
+
+function notify(api, event, data, info) {
+  if (api.stats) api.stats.record(event, data, info)
+  if (event === 'error' && !api.listenerCount('error')) return
+  api.emit(event, data, info)
+}
+
+/**
+ * Log and emit a failed call, transient failures that will be retried are
+ * logged as warnings
+ *
+ * @param {Neulion} api instance
+ * @param {Error} err
+ * @param {Object} info
+ *   - `source` {String} `connect` or `request`
+ *   - `operation` {String}
+ *   - `duration` {Number} milliseconds
+ */
+
+function failed(api, err, info) {
+  api.log[err.retryable ? 'warn' : 'error'](err.message, {
+    event: 'error'
+  , source: info.source
+  , operation: info.operation
+  , code: err.code
+  , retryable: err.retryable
+  , hostname: err.hostname
+  , duration: info.duration
+  })
+  notify(api, 'error', err, info)
+}
+
+/**
+ * Time a single SOAP request, emitting `request` and then `response` or
+ * `error`
+ *
+ * @param {Neulion} api instance
+ * @param {String} operation
+ * @param {Object|String} params
+ * @param {Function} promise returning call
+ * @return {Promise} promise
+ */
+
+function timed(api, operation, params, fn) {
+  var started = Date.now()
+
+  api.log.debug('sending', { event: 'request', operation: operation, params: params })
+  notify(api, 'request', {
+    operation: operation
+  , params: Logger.redact(params, api.log.secrets)
+  })
+
+  return fn().then(function(resp) {
+    var duration = Date.now() - started
+
+    api.log.debug('received', { event: 'response', operation: operation, duration: duration })
+    notify(api, 'response', { operation: operation, duration: duration })
+    return resp
+  }, function(err) {
+    failed(api, err, {
+      source: 'request'
+    , operation: operation
+    , duration: Date.now() - started
+    })
+    throw err
+  })
+}
+
+/**
+ * Leave an endpoint after a request to it failed because of the endpoint
+ * itself, so the next attempt connects and authenticates on another one.
+ * Requests that were sent before an earlier switch are ignored.
+ *
+ * @param {Neulion} api instance
+ * @param {Error} err
+ * @param {String} endpoint the request was sent to
+ * @return {Boolean} failed over
+ */
+
+function failover(api, err, uri) {
+  if (api.endpoints.list.length < 2 || !uri || api.endpoint !== uri) return false
+  if (!Endpoints.unhealthy(err)) return false
+
+  api.endpoints.fail(uri)
+  api.endpoint = null
+  api.client = null
+  api.authCode = undefined
+  api.authTime = undefined
+
+  api.log.warn('failing over', { event: 'failover', endpoint: uri, code: err.code })
+  notify(api, 'failover', { from: uri, reason: err.code })
+  return true
+}
+
+/**
+ * Normalize the `group` config into a list of `{ id, overrides }`, groups
+ * given as objects may override any other config such as the `endpoint`
+ * or credentials
+ *
+ * @param {Neulion} api instance
+ * @return {Array} groups
+ */
+
+function groupsOf(api) {
+  return [].concat(api.config.group).filter(function(x) {
+    return x !== undefined && x !== null
+  }).map(function(x) {
+    if (!varType(x, 'Object')) return { id: x, overrides: {} }
+    return { id: x.id, overrides: _.omit(x, 'id') }
+  })
+}
+
+/**
+ * Check if a call should be sent to every configured group, which is only
+ * done when `group` is an array and no `groupId` was given
+ *
+ * @param {Neulion} api instance
+ * @param {Object} params
+ * @return {Boolean} fan out
+ */
+
+function fanOut(api, params) {
+  return Array.isArray(api.config.group) && (!params || params.groupId === undefined || params.groupId === null)
+}
+
+/**
+ * Key of a program ID, either a number or `{ programId, groupId }` as
+ * resolved by `list` for multiple groups
+ *
+ * @param {Number|Object} program id
+ * @return {String} key
+ */
+
+function programKey(x) {
+  return varType(x, 'Object') ? `${x.groupId}:${x.programId}` : String(x)
+}
+
+/**
+ * Create the API instance for a group with its own config. Its events are
+ * re-emitted by the parent tagged with the `groupId`, and recorded in the
+ * parent metrics.
+ *
+ * @param {Neulion} api instance
+ * @param {Object} group
+ * @return {Neulion} group instance
+ */
+
+function groupClient(api, group) {
+  var child = new Neulion(_.extend(_.omit(api.config, 'group'), group.overrides, {
+    group: group.id
+  , metrics: false
+  , mirror: api.mirror
+  , textIndex: api.textIndex
+  }))
+
+  EVENTS.forEach(function(name) {
+    child.on(name, function(data, info) {
+      notify(api, name, data, _.extend({ groupId: group.id }, info))
+    })
+  })
+  return child
+}
+
+/**
+ * Validate the input for a WSDL type or element, and encode it for sending.
+ * Throws a `ValidationError` listing every problem found.
+ *
+ * @param {Neulion} api instance
+ * @param {String} type or element name
  * @param {Object} input
- * @return {String} xml output
+ * @return {Object} encoded input
  */
 
-function toXML(obj) {
-  var xml = ''
-  for (var prop in obj) {
-    xml += `<${prop}>${obj[prop]}</${prop}>`
+function encode(api, type, obj) {
+  var errors = api.types
+    ? api.types.validate(type, obj)
+    : [`${type}: no WSDL definitions loaded`]
+
+  if (errors.length) {
+    api.log.debug('invalid input', { event: 'encode', type: type, errors: errors })
+    throw new Errors.ValidationError(`Invalid \`${type}\`: ${errors.join(', ')}`, errors)
   }
-  return xml
+  return api.types.encode(type, obj)
+}
+
+/**
+ * Parse a date param, strings without an offset are read in the zone.
+ * Throws a `ValidationError` for invalid dates.
+ *
+ * @param {String} param name
+ * @param {Date|String|Number} date
+ * @param {String} zone
+ * @return {Date} date
+ */
+
+function checkDate(name, x, zone) {
+  var date = timezone.parse(x, zone)
+
+  if (isNaN(date)) {
+    throw new Errors.ValidationError(`Invalid \`${name}\`: ${x}`, [`${name}: expected a date, got \`${x}\``])
+  }
+  return date
+}
+
+/**
+ * Serialize object params for an operation described in the WSDL, so all
+ * values are escaped and in sequence order. Anything else is sent as-is.
+ *
+ * @param {Neulion} api instance
+ * @param {String} soap method
+ * @param {Object|String} params
+ * @return {Object|String} params
+ */
+
+function serialize(api, method, params) {
+  var op = api.types && api.types.operations[method]
+    , element = op && op.input || method
+
+  if (!varType(params, 'Object') || !api.types || !api.types.fields(element)) return params
+  return xml.serialize(api.types, element, params)
+}
+
+/**
+ * Decode a SOAP response into typed values using the WSDL definition of the
+ * `<method>Response` element, responses without a definition are untouched.
+ *
+ * @param {Neulion} api instance
+ * @param {String} soap method
+ * @param {Object} response
+ * @return {Object} decoded response
+ */
+
+function decode(api, method, resp) {
+  var op = api.types && api.types.operations[method]
+    , name = op && op.output || method + 'Response'
+
+  if (!api.types || !api.types.fields(name)) {
+    api.log.debug('no WSDL definition', { event: 'decode', name: name })
+    return resp
+  }
+  return api.types.decode(name, resp)
 }
 
 /**
  * Neulion API constructor
  *
  * @param {Object} config
- *   - `endpoint` {String}
+ *   - `endpoint` {String|Array} WSDL url, or a list of them to fail over between
+ *   - `failover` {Object} endpoint selection options (see `Endpoints`)
  *   - `username` {String}
  *   - `password` {String}
- *   - `group` {Number}
+ *   - `group` {Number|Array} group id, or a list of ids or `{ id, endpoint, username, password }` objects
+ *   - `cache` {Object|Boolean} response cache options (see `Cache`)
+ *   - `retry` {Object|Boolean} retry options (see `RetryPolicy`)
+ *   - `breaker` {Object|Boolean} circuit breaker options (see `CircuitBreaker`)
+ *   - `authMaxAge` {Number} milliseconds an `authCode` is used for (default 1 hour)
+ *   - `authRefreshAhead` {Number} milliseconds before `authMaxAge` to refresh (default 5 minutes)
+ *   - `timeout` {Number|Object} milliseconds for each call, or `{ connect, auth, request }` (default 1 minute)
+ *   - `timezone` {String} IANA zone of the Neulion days and times (default `UTC`)
+ *   - `logger` {Function|Object} log sink, a function or a pino or bunyan style logger (default `debug`)
+ *   - `redact` {Array} more keys to redact from logs, added to `password` and `authCode`
+ *   - `metrics` {Object|Boolean} metrics options, `false` to disable (see `Metrics`)
+ *   - `mirror` {Object|Boolean} local catalog mirror options (see `Mirror`)
+ *   - `offline` {Boolean} answer reads from the `mirror` when Neulion can not be reached
+ *   - `textIndex` {Object|Boolean} full text index options, `true` to enable with the defaults (see `TextIndex`)
+ *   - `games` {Object} match package options, `expected`, `classify`, `days` and `window` (see `gamePackages` and `game`)
  * @return {Promise} promise
  */
 
 function Neulion(config) {
-  debug('[init] using config: `%j`', config)
+  EventEmitter.call(this)
+
+  var self = this
 
   this.config = _.extend({}, config || {})
+  this.log = new Logger(this.config)
+  this.stats = this.config.metrics === false ? null : new Metrics(this.config.metrics)
+  this.log.debug('using config', { event: 'init', config: _.omit(this.config, 'logger') })
+
+  if (this.config.timezone) timezone.check(this.config.timezone)
+
+  var groups = groupsOf(this)
+  groups.forEach(function(x) {
+    if (x.id === undefined || x.id === null) throw new TypeError('Invalid `group`, every group needs an `id`')
+  })
+
+  this.endpoints = new Endpoints(this.config.endpoint, this.config.failover)
+  this.endpoint = null
+
+  // Group instances may share the cache store of their parent, keys are kept apart by group and endpoint
+  this.cache = this.config.cache ? new Cache(_.extend({ log: this.log }, this.config.cache, {
+    group: groups.length === 1 ? groups[0].id : null
+  , endpoint: this.config.endpoint
+  })) : null
+
+  // Group instances share the mirror of their parent
+  var mirror = this.config.mirror
+  this.mirror = mirror instanceof Mirror ? mirror : mirror ? new Mirror(this, mirror === true ? {} : mirror) : null
+  if (this.config.offline && !this.mirror) throw new TypeError('Invalid `offline`, a `mirror` is required')
+
+  // Once enabled, every program loaded is added to the full text index
+  var index = this.config.textIndex
+  this.textIndex = index instanceof TextIndex ? index : index ? new TextIndex(index === true ? {} : index) : null
+  this.retry = new retry.RetryPolicy(this.config.retry === false ? false : _.extend({ log: this.log }, this.config.retry))
+
+  // The breaker counts the same errors as the retry policy by default
+  var breaker = this.config.breaker
+  this.breaker = new retry.CircuitBreaker(breaker === false ? false : _.extend({
+    isFailure: function(err) {
+      return self.retry.retryable(err)
+    }
+  , log: this.log
+  }, breaker))
 }
 
+util.inherits(Neulion, EventEmitter)
+
 /*!
  * Add all Error classes
  */
 
 _.extend(Neulion, Errors)
 
+/*!
+ * Exports
+ */
+
+Neulion.ChangeFeed = ChangeFeed
+Neulion.Cache = Cache
+Neulion.ProgramStream = ProgramStream
+Neulion.Logger = Logger
+Neulion.Metrics = Metrics
+Neulion.Endpoints = Endpoints
+Neulion.Mirror = Mirror
+Neulion.TextIndex = TextIndex
+Neulion.Gateway = Gateway
+Neulion.feeds = feeds
+Neulion.AbortController = abort.Controller
+
+/**
+ * Get the API instance used for a group. Groups with their own `endpoint`,
+ * credentials or other config get a separate instance, created once, any
+ * other group is queried through this one.
+ *
+ * @param {Number} group id
+ * @return {Neulion} api instance
+ */
+
+Neulion.prototype.forGroup = function(id) {
+  var group = _.find(groupsOf(this), function(x) {
+    return String(x.id) === String(id)
+  })
+
+  if (!group || _.isEmpty(group.overrides)) return this
+
+  this._groups = this._groups || {}
+  if (!this._groups[group.id]) this._groups[group.id] = groupClient(this, group)
+  return this._groups[group.id]
+}
+
 /**
  * Connect to the SOAP endpoint and authenticate. Not entirely sure yet if this
  * ever expires, it might be worth putting in auto logic the same as auth to 
- * re-create the connection every X minutes.
+ * re-create the connection every X minutes. Concurrent calls share the same
+ * pending connection. Once connected a method is added for every WSDL
+ * operation, see `operations`.
+ *
+ * With a list of configured endpoints each attempt tries them in the order
+ * of the `failover.strategy`, until one connects. The connected one is kept
+ * as `api.endpoint`.
  *
  * @param {String} endpoint (optional, uses config)
+ * @param {Object} options
+ *   - `timeout` {Number} milliseconds to load the WSDL (default `config.timeout`)
+ *   - `signal` {AbortSignal} stop waiting on the connection
  * @return {Promise} promise
  */
 
-Neulion.prototype.connect = function(endpoint) {
+Neulion.prototype.connect = function(endpoint, options) {
+  if (varType(endpoint, 'Object')) {
+    options = endpoint
+    endpoint = null
+  }
+
   var self = this
-    , uri = endpoint || this.config.endpoint
+    , opts = options || {}
 
-  debug('[connect] endpoint=`%s`', uri)
+  // Aborting only stops this caller waiting on the shared connection
+  function wait(promise) {
+    if (!opts.signal) return promise
 
-  return new Promise(function(res, rej) {
-    soap.createClient(uri, function(err, client) {
-      if (err) {
-        debug('[connect] error: `%s`', err)
-        return rej(new Neulion.NotConnectedError(err))
-      }
-      self.client = client
-      self.schema = client.wsdl && client.wsdl.xml
+    // Failures are still reported to any other callers
+    promise.catch(_.noop)
+    return guard(self, 'connect', { signal: opts.signal }, function() {
+      return promise
+    })
+  }
+
+  if (opts.signal && opts.signal.aborted) return wait(Promise.resolve())
+  if (this._connecting) {
+    this.log.debug('joining pending connection', { event: 'connect' })
+    return wait(this._connecting)
+  }
+
+  var limits = {
+    timeout: timeoutFor(this, 'connect', opts.timeout)
+  }
+
+  // Load the WSDL from a single endpoint
+  function load(uri) {
+    var started = Date.now()
+
+    self.log.info('connecting', { event: 'connect', endpoint: uri })
+
+    return guard(self, 'connect', _.extend({ params: { endpoint: uri } }, limits), function() {
+      return new Promise(function(res, rej) {
+        soap.createClient(uri, function(err, client) {
+          if (err) return rej(new Neulion.NotConnectedError(err))
+
+          self.client = client
+          self.endpoint = uri
+          self.endpoints.use(uri)
+          self.schema = client.wsdl && client.wsdl.xml
+          self.types = new Schema(self.schema, { timezone: self.config.timezone })
+          operations.register(self)
+          res(client)
+        })
+      })
+    })
+    .then(function(client) {
+      var duration = Date.now() - started
+
+      self.log.info('connected', { event: 'connect', endpoint: uri, duration: duration })
+      notify(self, 'connect', { endpoint: uri, duration: duration })
+      return client
+    }, function(err) {
+      failed(self, err, { source: 'connect', duration: Date.now() - started })
+      throw err
+    })
+  }
+
+  // Try each endpoint in turn, failing over to the next on any error
+  function next(uris) {
+    return load(uris[0]).catch(function(err) {
+      self.endpoints.fail(uris[0])
+      if (uris.length < 2) throw err
 
-      debug('[connect] connected')
-      res(client)
+      self.log.warn('failing over', { event: 'failover', endpoint: uris[0], code: err.code })
+      notify(self, 'failover', { from: uris[0], reason: err.code })
+      return next(uris.slice(1))
     })
+  }
+
+  var promise = this._connecting = attempt(this, 'connect', function() {
+    return next(endpoint ? [endpoint] : self.endpoints.order())
   })
+  .finally(function() {
+    if (self._connecting === promise) self._connecting = null
+  })
+
+  return wait(promise)
 }
 
 /**
  * SOAP method execution wrapper, ensure that the client is connected
- * and authenticated before doing so
+ * and authenticated before doing so. Object parameters for operations in the
+ * WSDL are serialized in sequence order with escaped values, strings are sent
+ * as-is. Raw responses are cached when the cache is enabled, and decoded for
+ * every call.
+ *
+ * Cached operations share one load between concurrent callers, it runs with
+ * the default `config.timeout` and no signal, and each caller's own limits
+ * only stop that caller waiting on it.
  *
  * @param {String} soap method
  * @param {Object|String} method parameters
+ * @param {Object} limits
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`), or to wait on a shared load
+ *   - `signal` {AbortSignal} cancel the call, including any retries
+ *   - `fresh` {Boolean} skip the cache, neither reading nor storing the response
  * @return {Promise} promise
  */
 
-Neulion.prototype.exec = function(method, options) {
+Neulion.prototype.exec = function(method, options, limits) {
   var self = this
-
-  debug('[exec] method=`%s`', method)
+    , caller = limits || {}
+    , shared = !caller.fresh && !!(this.cache && this.cache.key(method, options))
+    , lim = shared ? {} : caller
+    , timeout = timeoutFor(this, 'request', lim.timeout)
+    , used
+    , host
 
   // Promise handler
   function handler(res, rej) {
+    var params = options
 
-    // Inject the `authCode` into the options, slight chicken and egg issue
-    if (varType(options, 'String') && ~options.indexOf('{authCode}')) {
-      options = options.replace('{authCode}', self.authCode)
+    // Track the code and endpoint used, to know if they were already
+    // replaced on failure
+    used = self.authCode
+    host = self.endpoint
+
+    // Inject the `authCode` into the options, slight chicken and egg issue,
+    // the original is kept intact in case of retries with a new `authCode`
+    if (varType(params, 'String') && ~params.indexOf('{authCode}')) {
+      params = params.replace('{authCode}', used)
     }
 
     // Fill in any empty authCode parameter
-    if (varType(options, 'Object') && options.hasOwnProperty('authCode')) {
-      options.authCode = self.authCode
+    if (varType(params, 'Object') && params.hasOwnProperty('authCode')) {
+      params = _.extend({}, params, {
+        authCode: used
+      })
+    }
+
+    if (!varType(self.client[method], 'Function')) {
+      return rej(Errors.context(new Errors.SoapError(`Unknown SOAP method \`${method}\``), method, options))
+    }
+
+    try {
+      params = serialize(self, method, params)
+    } catch (err) {
+      return rej(Errors.context(err, method, options))
     }
 
-    // Run the soap call
-    self.client[method](options, function(err, resp) {
+    // Run the soap call, the socket is closed by the SOAP client on timeout
+    self.client[method](params, function(err, resp) {
       if (err) {
-        debug('[exec] method=`%s` err=`%s`', method, err)
+        // Recast the error to extract error data from the XML response, an
+        // invalid `authCode` is dropped unless it was already replaced
+        var custom = Errors.fromSoap(err, method, options)
+        custom.retryable = self.retry.retryable(custom, method)
 
-        // Recast the error with the `SoapError` to extract error data from the 
-        // XML response, then check if this is an authentication issue
-        var custom = new Errors.SoapError(err)
-        if (custom.code === 'INVALID_AUTH_CODE') {
-          custom = new Errors.AuthenticationError(err)
+        if (custom instanceof Errors.AuthenticationError && self.authCode === used) {
           self.authCode = undefined
         }
         return rej(custom)
       }
-      debug('[exec] done: method=`%s`', method)
       res(resp)
+    }, timeout ? { timeout: timeout } : {})
+  }
+
+  // Single SOAP call, retried on transient failures. Each attempt after a
+  // failover connects and authenticates on the next endpoint first.
+  function call() {
+    return attempt(self, method, function() {
+      return switched().then(function() {
+        return timed(self, method, options, function() {
+          return guard(self, method, {
+            timeout: timeout
+          , signal: lim.signal
+          , params: options
+          }, function() {
+            return new Promise(handler)
+          })
+        })
+      })
+      .catch(function(err) {
+        failover(self, err, host)
+        throw err
+      })
     })
   }
 
+  // Authenticate with the same limits as this call, the reason is reported
+  // with the `reauth` event
+  function auth(reason) {
+    return self.auth(null, null, _.extend(_.pick(lim, 'signal'), { reason: reason }))
+  }
+
+  // Reconnect after the endpoint was dropped by a failover
+  function switched() {
+    if (self.client) return Promise.resolve()
+    return self
+      .connect(_.pick(lim, 'signal'))
+      .then(function() {
+        return auth('failover')
+      })
+  }
+
   // Primary method runner
   function go() {
-    return new Promise(handler)
+    return call()
       // Check for invalid `authCode`, this seems to happen at random intervals
       // within the neulion API, so we will only know when a request fails
       .catch(Errors.AuthenticationError, function(err) {
 
+        // Another request may have already replaced the code, in which case
+        // only a replay is needed
+        if (self.authCode && self.authCode !== used) {
+          self.log.debug('`authCode` already replaced, replaying', { event: 'auth', operation: method })
+          return call()
+        }
+
         // Authenticate and then try one more time
-        return self
-          .auth()
-          .then(function() {
-            return new Promise(handler)
-          })
+        return auth('rejected').then(call)
       })
   }
 
-  // Auto-connect if we are missing the `client`
-  if (!this.client) {
-    return this
-      .connect()
-      .then(function() {
-        return self.auth()
-      })
-      .then(go)
+  // Authenticate if the `authCode` is missing or about to expire
+  function ready() {
+    if (!authStale(self)) return
+    self.log.debug('`authCode` missing or expiring, authenticating', { event: 'auth', operation: method })
+
+    // A missing code after a previous login was rejected by another request
+    if (self.authCode) return auth('expired')
+    return auth(self.authTime ? 'rejected' : null)
+  }
+
+  // Connect and authenticate as needed before running
+  function run() {
+
+    // Auto-connect if we are missing the `client`
+    if (!self.client) {
+      return self
+        .connect(_.pick(lim, 'signal'))
+        .then(ready)
+        .then(go)
+    }
+
+    // Good to go
+    return Promise.resolve(ready()).then(go)
   }
 
-  // Auto-authenticate if we are missing the `authCode`
-  if (!this.authCode) {
-    debug('[exec] no `authCode` found, auto-authenticating')
-    return this.auth().then(go)
+  // Stop waiting on a shared load, failures are still reported to any
+  // other callers
+  function wait(promise) {
+    if (!caller.signal && !varType(caller.timeout, 'Number')) return promise
+
+    promise.catch(_.noop)
+    return guard(self, method, {
+      timeout: caller.timeout
+    , signal: caller.signal
+    , params: options
+    }, function() {
+      return promise
+    })
   }
 
-  // Good to go
-  return go()
+  var promise = shared ? wait(this.cache.fetch(method, options, run)) : run()
+
+  return promise.then(function(resp) {
+    return decode(self, method, resp)
+  })
 }
 
 /**
  * Authenticate against the Neulion API and cache the resulting token. 
- * Not entirely sure how long the `authCode` lasts, cache for 1 hour.
+ * Not entirely sure how long the `authCode` lasts, it is used for up to
+ * `authMaxAge` (default 1 hour). Concurrent calls without new credentials
+ * share the same pending authentication.
  *
  * @param {String} username (optional, uses config)
  * @param {String} password (optional, uses config)
+ * @param {Object} options
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} stop waiting on the authentication
  * @return {Promise} promise
  *
  * SOAP Definition:
@@ -198,53 +891,109 @@ Neulion.prototype.exec = function(method, options) {
  */
 
 Neulion.prototype.auth = 
-Neulion.prototype.authenticate = function(user, pass) {
+Neulion.prototype.authenticate = function(user, pass, options) {
   var self = this
+    , opts = options || {}
+
+  // Aborting only stops this caller waiting on a shared authentication
+  function wait(promise) {
+    if (!opts.signal) return promise
+
+    // Failures are still reported to any other callers
+    promise.catch(_.noop)
+    return guard(self, 'authenticate', { signal: opts.signal }, function() {
+      return promise
+    })
+  }
 
   // Auto-connect if we are missing the soap client
   if (!this.client) {
     return this
-      .connect()
+      .connect(_.pick(opts, 'signal'))
       .then(function() {
-        return self.auth(user, pass)
+        return self.auth(user, pass, options)
       })
   }
-  
+
+  if (opts.signal && opts.signal.aborted) return wait(Promise.resolve())
+  if (this._authenticating && !user && !pass) {
+    this.log.debug('joining pending authentication', { event: 'auth' })
+    return wait(this._authenticating)
+  }
+
   if (user) this.config.username = user
   if (pass) this.config.password = pass
 
-  var opts = {
+  var params = {
     loginId: this.config.username
   , password: this.config.password
   }
-  debug('[auth] authenticating: opts=`%j`', opts)
-
-  return new Promise(function(res, rej) {
-    self.client.authenticate(opts, function(err, resp) {
-      if (err) {
-        debug('[auth] err=`%s`', err)
+  this.log.info('authenticating', { event: 'auth', loginId: params.loginId })
+  if (opts.reason) notify(this, 'reauth', { reason: opts.reason })
 
-        self.authCode = undefined
-        return rej(new Neulion.AuthenticationError(err))
-      }
-      self.authCode = resp && resp.authenticateReturn.$value
+  var started = Date.now()
+    , limits = {
+    timeout: timeoutFor(this, 'auth', opts.timeout)
+  , params: params
+  }
 
-      debug('[auth] code=`%s`', self.authCode)
+  var promise = this._authenticating = attempt(this, 'authenticate', function() {
+    return timed(self, 'authenticate', params, function() {
+      return guard(self, 'authenticate', limits, function() {
+        return new Promise(function(res, rej) {
+          self.client.authenticate(serialize(self, 'authenticate', params), function(err, resp) {
+            if (err) {
+              // Any fault without a more specific class is a failed login,
+              // network errors without a fault keep their class
+              var custom = Errors.fromSoap(err, 'authenticate', params)
+              if (custom.constructor === Errors.SoapError && Errors.faultOf(err)) {
+                custom = Errors.context(new Neulion.AuthenticationError(err), 'authenticate', params)
+              }
+              custom.retryable = self.retry.retryable(custom)
+
+              self.authCode = undefined
+              return rej(custom)
+            }
+            resp = decode(self, 'authenticate', resp)
+            self.authCode = resp && resp.authenticateReturn
+            self.authTime = Date.now()
+
+            return res(self.authCode)
+          }, limits.timeout ? { timeout: limits.timeout } : {})
+        })
+      })
+    })
+  })
+  .then(function(code) {
+    var duration = Date.now() - started
 
-      return res(self.authCode)
-    })
+    self.log.info('authenticated', { event: 'auth', loginId: params.loginId, duration: duration })
+    notify(self, 'auth', { loginId: params.loginId, duration: duration })
+    return code
+  })
+  .finally(function() {
+    if (self._authenticating === promise) self._authenticating = null
   })
+
+  return wait(promise)
 }
 
 /**
- * List all known Neulion IDs since a given time interval
+ * List all known Neulion IDs since a given time interval. When `group` is a
+ * list, every group is searched and the IDs are resolved as
+ * `{ programId, groupId }` instead.
  *
  * @param {Object} API params (see below)
- *   - `groupId` {Number} uses config for default
- *   - `progDate` {Date}
+ *   - `groupId` {Number} uses config for default, only this group is searched
+ *   - `progDate` {Date|String} sent as the start of its day in `config.timezone`
  *   - `name` {String}
  *   - `description` {String}
- *   - `updateTime` {String} `yyyyMMddhhmmss` format
+ *   - `updateTime` {Date|String} `yyyyMMddhhmmss` format in `config.timezone`
+ * @param {Object} options
+ *   - `hydrate` {Boolean} load the details of each ID (see `detailsMany`)
+ *   - `concurrency` {Number} concurrent details requests when hydrating
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the search
  * @return {Promise} promise
  *
  * SOAP Definition:
@@ -278,91 +1027,118 @@ Neulion.prototype.authenticate = function(user, pass) {
  */
 
 Neulion.prototype.list = 
-Neulion.prototype.search = function(params) {
+Neulion.prototype.search = function(params, options) {
+  var self = this
+
+  if (fanOut(this, params)) {
+    return Promise
+      .map(groupsOf(this), function(group) {
+        return self
+          .forGroup(group.id)
+          .list(_.extend({}, params, { groupId: group.id }), _.omit(options, 'hydrate'))
+          .then(function(ids) {
+            return ids.map(function(id) {
+              return { programId: id, groupId: group.id }
+            })
+          })
+      })
+      .then(function(results) {
+        var tagged = concat.apply([], results)
+
+        if (options && options.hydrate) return self.detailsMany(tagged, options)
+        return tagged
+      })
+  }
+
+  // Groups with their own config are searched with their own instance
+  var client = params && params.groupId !== undefined ? this.forGroup(params.groupId) : this
+  if (client !== this) return client.list(params, options)
+
   var opts = _.extend({}, {
     authCode: '{authCode}'
   , groupId: this.config.group
   }, params || {})
 
-  // Normalize the `progDate` param if sent as date
-  if (varType(opts.progDate, 'Date')) {
-    opts.progDate = opts.progDate.toISOString()
-  }
-
-  // Format to `yyyyMMddhhmmss` if `updateTime` sent as date
-  var ut = opts.updateTime
-  if (varType(ut, 'Date')) {
-    opts.updateTime = [
-      ut.getFullYear()     // yyyy
-    , (ut.getMonth() + 1)  // MM
-    , ut.getDate()         // dd
-    , ut.getHours()        // hh
-    , ut.getMinutes()      // mm
-    , ut.getSeconds()      // ss
-    ].map(function(x) {
-      var s = x.toString()
-      if (s.length < 2) s = '0' + s
-      return s
-    }).join('')
-  }
-
-  debug('[list] options=`%j`', opts)
-
-  // Hack to get around SOAP putting <impl:parameter>
-  var xml = toXML({
-    'impl:searchVodPrograms': toXML(opts)
-  })
+  var zone = this.config.timezone
+    , ut = opts.updateTime
 
-  return this
-    .exec('searchVodPrograms', xml)
-    .then(function(resp) {
-      var ids = (resp && resp.ArrayOfInteger && resp.ArrayOfInteger.ArrayOfInteger) || []
+  try {
+    // Neulion matches the whole day of `progDate`, send the start of the
+    // day so it falls on the same day for the server
+    if (opts.progDate !== null && opts.progDate !== undefined) {
+      opts.progDate = timezone.startOfDay(checkDate('progDate', opts.progDate, zone), zone).toISOString()
+    }
+
+    // Format to `yyyyMMddhhmmss` if `updateTime` sent as a date
+    if (ut !== null && ut !== undefined && !/^\d{14}$/.test(ut)) {
+      opts.updateTime = timezone.updateTime(checkDate('updateTime', ut, zone), zone)
+    }
+  } catch (err) {
+    return Promise.reject(Errors.context(err, 'searchVodPrograms', opts))
+  }
 
-      // If searching by `name` or `description`, a single object will be returned
-      if (!Array.isArray(ids)) ids = [ids]
+  this.log.debug('searching', { event: 'list', params: opts })
 
-      ids = ids.map(function(x) {
-        return +x.$value
+  return this
+    .exec('searchVodPrograms', opts, limitsOf(options))
+    .then(function(resp) {
+      return (resp && resp.ArrayOfInteger) || []
+    }, function(err) {
+      return fromMirror(self, err, options, 'searchVodPrograms', function(mirror) {
+        return mirror.search(opts)
       })
-      
-      debug('[list] ids=`%s`', ids)
+    })
+    .then(function(ids) {
+      self.log.debug('found', { event: 'list', count: ids.length })
+
+      if (options && options.hydrate) return self.detailsMany(ids, options)
       return ids
     })
 }
 
 /**
- * Shortcut method for searching the Neulion API for a given date range.
+ * Shortcut method for searching the Neulion API for a given date range, one
+ * search per calendar day in `config.timezone`.
  *
  * @param {Date|String|Number} start date
  * @param {Date|String|Number} end date
+ * @param {Object} options
+ *   - `inclusive` {Boolean} include the day of `end` (default `false`)
+ *   - `hydrate` {Boolean} load the details of each ID (see `detailsMany`)
+ *   - `concurrency` {Number} concurrent details requests when hydrating
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the search, no further days are sent
  * @param {Promise} promise
  */
 
-Neulion.prototype.range = function(start, end) {
+Neulion.prototype.range = function(start, end, options) {
   var self = this
-    , dates = []
-
-  // Recast dates to prevent modification by reference
-  start = new Date(start)
-  end = new Date(end)
+    , zone = this.config.timezone
+    , dates
+
+  try {
+    start = checkDate('start', start, zone)
+    end = checkDate('end', end, zone)
+  } catch (err) {
+    return Promise.reject(err)
+  }
 
-  debug('[range] start=`%s` end=`%s`', start, end)
+  this.log.debug('searching', { event: 'range', start: start, end: end })
 
-  // Increment start 24 hours via timestamp to prevent edge cases
-  while (start < end) {
-    dates.push(start)
-    start = new Date(+start + DAY)
-  }
+  // Walk calendar days, not 24 hours, so DST changes keep to day boundaries
+  dates = timezone.days(start, end, zone, options && options.inclusive)
 
   return Promise
     .mapSeries(dates, function(x) {
       return self.list({
         progDate: x
-      })
+      }, limitsOf(options))
     })
     .then(function(results) {
       var flat = concat.apply([], results || [])
-      debug('[range] found=`%s`', flat.length)
+      self.log.debug('found', { event: 'range', count: flat.length })
+
+      if (options && options.hydrate) return self.detailsMany(flat, options)
       return flat
     })
 }
@@ -370,6 +1146,9 @@ Neulion.prototype.range = function(start, end) {
 /**
  * Load all available categories for the group
  *
+ * @param {Object} options
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call
  * @param {Promise} promise
  *
  * SOAP Definition:
@@ -407,36 +1186,74 @@ Neulion.prototype.range = function(start, end) {
   </complexType>
  */
 
-Neulion.prototype.categories = function() {
+Neulion.prototype.categories = function(options) {
+  var self = this
+
+  if (fanOut(this)) {
+    return Promise
+      .map(groupsOf(this), function(group) {
+        var client = self.forGroup(group.id)
+          , load = client === self ? self.groupCategories(group.id, options) : client.categories(options)
+
+        return load.then(function(cats) {
+          return cats.map(function(x) {
+            return _.extend({}, x, { groupId: group.id })
+          })
+        })
+      })
+      .then(function(results) {
+        return concat.apply([], results)
+      })
+  }
+  return this.groupCategories(this.config.group, options)
+}
+
+/**
+ * Find all video categories of a single group
+ *
+ * @param {Number} group id
+ * @param {Object} options, see `categories`
+ * @return {Promise} promise
+ */
+
+Neulion.prototype.groupCategories = function(groupId, options) {
+  var self = this
+
   var opts = {
     authCode: '{authCode}'
-  , groupId: this.config.group
+  , groupId: groupId
   }
 
-  debug('[categories] options=`%j`', opts)
+  this.log.debug('loading', { event: 'categories', groupId: groupId })
 
   return this
-    .exec('getCategories', opts)
+    .exec('getCategories', opts, limitsOf(options))
     .then(function(resp) {
-      var cats = resp && resp.ArrayOfCategory.ArrayOfCategory
-      
-      cats = cats.map(function(x) {
-        var cat = {}
-        for (var prop in x) {
-          cat[prop] = x[prop].$value
-        }
-        return cat
+      return (resp && resp.ArrayOfCategory) || []
+    }, function(err) {
+      return fromMirror(self, err, options, 'getCategories', function(mirror) {
+        return mirror.categories(groupId).then(function(cats) {
+          return cats.length ? cats : null
+        })
       })
-
-      debug('[categories] found=`%s`', cats.length)
+    })
+    .then(function(cats) {
+      self.log.debug('found', { event: 'categories', count: cats.length })
       return cats
     })
 }
 
 /**
- * Find the video details for a given ID
+ * Find the video details for a given ID, rejects with a `NotFoundError` if
+ * there is no such program
  *
  * @param {Number} neulion id
+ * @param {Object} options
+ *   - `categories` {Boolean} expand `categoryIdArray` into `categories`
+ *   - `groupId` {Number} group of the program, for groups with their own config
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call
+ *   - `fresh` {Boolean} skip the cache
  * @param {Promise} promise
  *
  * SOAP Definition:
@@ -494,50 +1311,486 @@ Neulion.prototype.categories = function() {
   </complexType>
  */
 
-Neulion.prototype.details = function(id) {
+Neulion.prototype.details = function(id, options) {
+  var self = this
+    , client = options && options.groupId !== undefined ? this.forGroup(options.groupId) : this
+
+  if (client !== this) return client.details(id, _.omit(options, 'groupId'))
+
   var opts = {
     authCode: '{authCode}'
   , programId: id
   }
 
-  debug('[details] options=`%j`', opts)
+  // Group of the program, for the mirror and index
+  var group = options && options.groupId !== undefined ? options.groupId : this.config.group
+  if (Array.isArray(group)) group = null
+
+  this.log.debug('loading', { event: 'details', programId: id })
 
   return this
-    .exec('getProgramDetail', opts)
+    .exec('getProgramDetail', opts, limitsOf(options))
     .then(function(resp) {
-      var details = resp && resp.ProgramDetail
-        , video = {}
+      return resp && resp.ProgramDetail
+    }, function(err) {
+      return fromMirror(self, err, options, 'getProgramDetail', function(mirror) {
+        return mirror.program(id, group)
+      })
+    })
+    .then(function(video) {
+      self.log.debug('loaded', { event: 'details', programId: id, found: !!video })
 
-      // Map all basic properties with a $value
-      for (var prop in details) {
-        video[prop] = details[prop].$value
+      // Unknown programs come back as an empty response
+      if (!video) {
+        if (self.textIndex) self.textIndex.remove(id, group)
+        throw Errors.context(new Errors.NotFoundError(`Program \`${id}\` not found`), 'getProgramDetail', opts)
+      }
+      if (self.textIndex) self.textIndex.add(video)
+      if (options && options.categories) {
+        return self.expandCategories(video)
       }
+      return video
+    })
+}
+
+/**
+ * Find the video details for a list of IDs, with a limited number of requests
+ * running at once. Duplicate IDs are only loaded once, and a failure for one ID
+ * does not reject the others. Failures are reported per ID with a `reason` of
+ * `not-found`, `auth`, `invalid`, `soap` or `error`. IDs tagged with their
+ * group as `{ programId, groupId }` are loaded from that group, and their
+ * failures include the `groupId`.
+ *
+ * @param {Array} neulion ids
+ * @param {Object} options
+ *   - `concurrency` {Number} uses config for default, otherwise 5
+ *   - `categories` {Boolean} see `details`
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call, rejecting instead of reporting failures
+ *   - `fresh` {Boolean} skip the cache
+ * @return {Promise} promise, resolves `{ programs: [], failures: [] }`
+ */
+
+Neulion.prototype.detailsMany = function(ids, options) {
+  var self = this
+    , opts = options || {}
+    , concurrency = opts.concurrency || this.config.concurrency || 5
+    , failures = []
 
-      // Map the category array as numbers if present
-      var cats = details.categoryIdArray && details.categoryIdArray.categoryIdArray
-      if (cats) {
-        if (!Array.isArray(cats)) cats = [cats]
+  ids = _.uniq(ids || [], programKey)
 
-        video.categoryIdArray = cats.map(function(x) {
-          return +x.$value
-        })
+  this.log.debug('loading', { event: 'detailsMany', count: ids.length, concurrency: concurrency })
+
+  function fail(x, reason, err) {
+    var id = varType(x, 'Object') ? x.programId : x
+
+    self.log.debug('failed', { event: 'detailsMany', programId: id, reason: reason })
+    failures.push(_.extend({
+      id: id
+    , reason: reason
+    , error: err || null
+    }, varType(x, 'Object') ? { groupId: x.groupId } : {}))
+  }
+
+  return Promise
+    .map(ids, function(x) {
+      var id = x
+        , params = _.pick(opts, 'categories', 'timeout', 'signal', 'offline', 'fresh')
+
+      if (varType(x, 'Object')) {
+        id = x.programId
+        params.groupId = x.groupId
       }
 
-      // Map the tag array if present
-      var tags = details.tagArray && details.tagArray.tagArray
-      if (tags) {
-        if (!Array.isArray(tags)) tags = [tags]
-          
-        video.tagArray = tags.map(function(x) {
-          return x.$value
+      return self
+        .details(id, params)
+        .catch(Errors.NotFoundError, function(err) {
+          fail(x, 'not-found', err)
+        })
+        .catch(Errors.AuthenticationError, function(err) {
+          fail(x, 'auth', err)
+        })
+        .catch(Errors.ValidationError, function(err) {
+          fail(x, 'invalid', err)
         })
+        .catch(Errors.SoapError, function(err) {
+          fail(x, 'soap', err)
+        })
+        .catch(function(err) {
+          // Cancelling stops the whole batch
+          if (err instanceof Errors.AbortError) throw err
+          fail(x, 'error', err)
+        })
+    }, {
+      concurrency: concurrency
+    })
+    .then(function(results) {
+      var programs = _.compact(results)
+
+      self.log.debug('found', { event: 'detailsMany', count: programs.length, failed: failures.length })
+      return {
+        programs: programs
+      , failures: failures
       }
+    })
+}
 
-      debug('[details] video=`%j`', video)
-      return video
+/**
+ * Create a new VOD program, the `detail` uses the same fields returned from
+ * `details`. Validated against the WSDL `ProgramDetail` type before sending.
+ *
+ * @param {Object} program detail
+ * @param {Object} options
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call
+ * @return {Promise} promise, resolves the new program id
+ *
+ * SOAP Definition:
+
+  <element name="createVodProgram">
+    <complexType>
+      <sequence>
+        <element name="authCode" type="xsd:string"/>
+        <element name="ProgramDetail" type="impl:ProgramDetail"/>
+      </sequence>
+    </complexType>
+  </element>
+
+  <element name="createVodProgramResponse">
+    <complexType>
+      <sequence>
+        <element name="createVodProgramReturn" type="xsd:int"/>
+      </sequence>
+    </complexType>
+  </element>
+ */
+
+Neulion.prototype.createProgram = function(detail, options) {
+  var self = this
+
+  this.log.debug('creating', { event: 'createProgram', detail: detail })
+
+  return connected(this, options)
+    .then(function() {
+      return self.exec('createVodProgram', encode(self, 'createVodProgram', {
+        authCode: '{authCode}'
+      , ProgramDetail: detail
+      }), limitsOf(options))
+    })
+    .then(function(resp) {
+      var id = resp && resp.createVodProgramReturn
+
+      self.log.info('created', { event: 'createProgram', programId: id })
+
+      if (self.textIndex && id) {
+        self.textIndex.add(_.extend({ groupId: self.config.group }, detail, { programId: id }))
+      }
+      return id
+    })
+}
+
+/**
+ * Update an existing VOD program. The current details are loaded and the
+ * `patch` fields merged over them, since Neulion replaces the full program.
+ * Rejects with a `NotFoundError` if there is no such program.
+ *
+ * @param {Number} neulion id
+ * @param {Object} program detail fields to change
+ * @param {Object} options
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call
+ * @return {Promise} promise, resolves `true` if updated
+ *
+ * SOAP Definition:
+
+  <element name="updateVodProgram">
+    <complexType>
+      <sequence>
+        <element name="authCode" type="xsd:string"/>
+        <element name="programId" type="xsd:int"/>
+        <element name="ProgramDetail" type="impl:ProgramDetail"/>
+      </sequence>
+    </complexType>
+  </element>
+
+  <element name="updateVodProgramResponse">
+    <complexType>
+      <sequence>
+        <element name="updateVodProgramReturn" type="xsd:boolean"/>
+      </sequence>
+    </complexType>
+  </element>
+ */
+
+Neulion.prototype.updateProgram = function(id, patch, options) {
+  var self = this
+    , detail
+
+  this.log.debug('updating', { event: 'updateProgram', programId: id, patch: patch })
+
+  // The current details are merged with the patch, a cached or mirrored copy
+  // would overwrite any newer edits
+  return this
+    .details(id, _.extend(limitsOf(options), { fresh: true, offline: false }))
+    .then(function(current) {
+      detail = _.extend({}, current, patch, {
+        programId: id
+      })
+
+      return self.exec('updateVodProgram', encode(self, 'updateVodProgram', {
+        authCode: '{authCode}'
+      , programId: id
+      , ProgramDetail: detail
+      }), limitsOf(options))
+    })
+    .then(function(resp) {
+      var ok = !!(resp && resp.updateVodProgramReturn)
+
+      self.log.info('updated', { event: 'updateProgram', programId: id, updated: ok })
+      if (self.textIndex && ok) self.textIndex.add(detail)
+
+      if (!self.cache) return ok
+      return self.cache.invalidate(id).return(ok)
+    })
+}
+
+/**
+ * Delete a VOD program
+ *
+ * @param {Number} neulion id
+ * @param {Object} options
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call
+ * @return {Promise} promise, resolves `true` if deleted
+ *
+ * SOAP Definition:
+
+  <element name="deleteVodProgram">
+    <complexType>
+      <sequence>
+        <element name="authCode" type="xsd:string"/>
+        <element name="programId" type="xsd:int"/>
+      </sequence>
+    </complexType>
+  </element>
+
+  <element name="deleteVodProgramResponse">
+    <complexType>
+      <sequence>
+        <element name="deleteVodProgramReturn" type="xsd:boolean"/>
+      </sequence>
+    </complexType>
+  </element>
+ */
+
+Neulion.prototype.deleteProgram = function(id, options) {
+  var self = this
+
+  this.log.debug('deleting', { event: 'deleteProgram', programId: id })
+
+  return connected(this, options)
+    .then(function() {
+      return self.exec('deleteVodProgram', encode(self, 'deleteVodProgram', {
+        authCode: '{authCode}'
+      , programId: id
+      }), limitsOf(options))
+    })
+    .then(function(resp) {
+      var ok = !!(resp && resp.deleteVodProgramReturn)
+
+      self.log.info('deleted', { event: 'deleteProgram', programId: id, deleted: ok })
+      if (self.textIndex && ok) self.textIndex.remove(id)
+
+      if (!self.cache) return ok
+      return self.cache.invalidate(id).return(ok)
+    })
+}
+
+/**
+ * Watch for changed programs, see `ChangeFeed` for options and events
+ *
+ * @param {Object} options
+ * @return {ChangeFeed} started change feed
+ */
+
+Neulion.prototype.watch = function(options) {
+  return new ChangeFeed(this, options).start()
+}
+
+/**
+ * Stream hydrated programs over a date range, one day at a time. See
+ * `ProgramStream` for params, options and events. Call `destroy()` on the
+ * stream to stop the scan.
+ *
+ * @param {Object} params, `start`, `end` and any `search` params
+ * @param {Object} options
+ * @return {ProgramStream} readable object stream
+ */
+
+Neulion.prototype.stream = function(params, options) {
+  return new ProgramStream(this, params, options)
+}
+
+/**
+ * Async iterator over hydrated programs, the same as `stream`. Leaving a
+ * `for await` loop early stops the scan.
+ *
+ * @param {Object} params, `start`, `end` and any `search` params
+ * @param {Object} options
+ * @return {AsyncIterator} iterator
+ */
+
+Neulion.prototype.iterate = function(params, options) {
+  return this.stream(params, options)[Symbol.asyncIterator]()
+}
+
+/**
+ * Search the names, descriptions and tags of every program loaded so far,
+ * and of the mirror when there is one. Words may be partly typed, programs
+ * matching more of them rank first. Programs are indexed as they are loaded
+ * with `details` and changed through this instance.
+ *
+ * @param {String} query
+ * @param {Object} options
+ *   - `limit` {Number} max results (default 20)
+ * @return {Promise} promise, resolves `[{ score, program }]` best first
+ */
+
+Neulion.prototype.fullTextSearch = function(query, options) {
+  var self = this
+    , index = this.textIndex
+
+  if (!index) return Promise.reject(new TypeError('Full text search is disabled, enable it with `textIndex`'))
+
+  // Mirrored programs not loaded since are added once
+  var seeded = !this.mirror || this._indexSeeded ? Promise.resolve() : this.mirror.load().then(function(state) {
+    _.each(state.programs, function(x) {
+      if (!index.has(x)) index.add(x)
+    })
+    self._indexSeeded = true
+  })
+
+  return seeded.then(function() {
+    var results = index.search(query, options)
+
+    self.log.debug('searched', { event: 'fullTextSearch', query: query, count: results.length })
+    return results
+  })
+}
+
+/**
+ * Build a Media RSS (`rss`), JSON Feed (`json`) or Google video sitemap
+ * (`sitemap`) feed, see `feeds` for the builder options. The programs are
+ * either a list of program details, or a query loaded with `range`, newest
+ * first. Programs that fail to load are left out. Category names come from
+ * the category index unless `categories` is given.
+ *
+ * @param {String} format, `rss`, `json` or `sitemap`
+ * @param {Array|Object} programs, or a query
+ *   - `start` {Date|String} first day
+ *   - `end` {Date|String} last day
+ *   - `inclusive` {Boolean} include the `end` day
+ *   - `category` {Number|String} only programs in this category or any below it, by id or key
+ *   - `limit` {Number} max programs
+ * @param {Object} options, builder options and
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} cancel the call
+ * @return {Promise} promise, resolves the xml, or the feed object for `json`
+ */
+
+Neulion.prototype.feed = function(format, source, options) {
+  var self = this
+    , build = feeds.FORMATS[format]
+    , query = source || {}
+    , zone = this.config.timezone
+    , limits = limitsOf(options)
+
+  if (!build) {
+    return Promise.reject(new TypeError(`Invalid feed format: ${format}, expected one of ${_.keys(feeds.FORMATS).join(', ')}`))
+  }
+
+  var loaded = varType(source, 'Array') ? Promise.resolve(source) : this
+    .range(query.start, query.end, _.extend({ hydrate: true, inclusive: query.inclusive }, limits))
+    .then(function(result) {
+      if (result.failures.length) self.log.warn('skipped', { event: 'feed', count: result.failures.length })
+      return _.sortBy(result.programs, function(x) {
+        var date = timezone.parse(x.progDate, zone)
+        return isNaN(date) ? 0 : -date
+      })
+    })
+
+  // Category to keep, with the IDs of the category itself and all below it
+  // within its group
+  var wanted = query.category === undefined || varType(source, 'Array') ? null : Promise
+    .join(this.category(query.category), this.categoryDescendants(query.category), function(cat, below) {
+      if (!cat) throw new Errors.NotFoundError(`Category \`${query.category}\` not found`)
+      return {
+        groupId: cat.groupId
+      , ids: _.pluck([cat].concat(below), 'categoryId')
+      }
     })
+
+  var names = options && options.categories ? Promise.resolve(options.categories) : this.categoryIndex()
+
+  return Promise.join(loaded, wanted, names, function(programs, cat, cats) {
+    if (cat) {
+      programs = programs.filter(function(x) {
+        if (cat.groupId !== undefined && x.groupId !== cat.groupId) return false
+        return _.intersection(x.categoryIdArray || [], cat.ids).length
+      })
+    }
+    if (varType(query.limit, 'Number')) programs = programs.slice(0, query.limit)
+
+    self.log.debug('built', { event: 'feed', format: format, count: programs.length })
+    return build(programs, _.extend({ zone: zone }, _.omit(options, 'timeout', 'signal', 'offline'), { categories: cats }))
+  })
+}
+
+/**
+ * Create a REST/JSON gateway for this instance, see `Gateway` for routes and
+ * options. Call `listen(port)` on it to start serving.
+ *
+ * @param {Object} options
+ * @return {Gateway} gateway
+ */
+
+Neulion.prototype.gateway = function(options) {
+  return new Gateway(this, options)
+}
+
+/**
+ * Snapshot of the request metrics, see `Metrics`. Pass `prometheus` as the
+ * format for the Prometheus text exposition format instead.
+ *
+ * @param {String} format (optional)
+ * @return {Object|String} snapshot, `null` when metrics are disabled
+ */
+
+Neulion.prototype.metrics = function(format) {
+  if (!this.stats) return null
+
+  var snap = this.stats.snapshot()
+  return format === 'prometheus' ? Metrics.prometheus(snap) : snap
 }
 
+/*!
+ * Category tree and lookups
+ */
+
+_.extend(Neulion.prototype, categories)
+
+/*!
+ * Match packages by game
+ */
+
+_.extend(Neulion.prototype, games)
+
+/*!
+ * Generated WSDL operation methods
+ */
+
+Neulion.prototype.operations = operations.operations
+
 /*!
  * Exports
  */
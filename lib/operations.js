@@ -0,0 +1,129 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var Promise = require('bluebird')
+  , _ = require('underscore')
+
+/**
+ * Convert an operation name into a method name, `get_program-detail` and
+ * `GetProgramDetail` both become `getProgramDetail`
+ *
+ * @param {String} operation name
+ * @return {String} method name
+ */
+
+function camelCase(name) {
+  return String(name)
+    .replace(/[-_\s]+(.)?/g, function(m, x) {
+      return x ? x.toUpperCase() : ''
+    })
+    .replace(/^./, function(x) {
+      return x.toLowerCase()
+    })
+}
+
+/**
+ * Describe an operation with its input and output fields
+ *
+ * @param {Schema} schema
+ * @param {Object} operation
+ * @return {Object} description
+ */
+
+function describe(schema, op) {
+  function fields(name) {
+    return (name && schema.fields(name) || []).map(function(x) {
+      return _.pick(x, 'name', 'type', 'nillable', 'optional', 'array')
+    })
+  }
+
+  return {
+    name: op.name
+  , method: camelCase(op.name)
+  , input: fields(op.input)
+  , output: fields(op.output)
+  }
+}
+
+/**
+ * Create the wrapper method for an operation. The `authCode` is filled in
+ * when the operation takes one, and responses with a single field resolve
+ * that field only. Methods take the `timeout` and `signal` options of `exec`.
+ *
+ * @param {Neulion} api instance
+ * @param {Object} operation description
+ * @return {Function} method
+ */
+
+function wrap(api, desc) {
+  var auth = _.findWhere(desc.input, { name: 'authCode' })
+    , single = desc.output.length === 1 ? desc.output[0].name : null
+
+  function method(params, options) {
+    var input = _.extend({}, params)
+
+    if (auth && input.authCode === undefined) input.authCode = '{authCode}'
+
+    return api.exec(desc.name, input, _.pick(options || {}, 'timeout', 'signal')).then(function(resp) {
+      if (!single || !resp) return resp
+      return resp[single] === undefined ? null : resp[single]
+    })
+  }
+  method.operation = desc.name
+  return method
+}
+
+/**
+ * Add a wrapper method to the API instance for every WSDL operation, any
+ * existing method of the same name is left alone.
+ *
+ * @param {Neulion} api instance
+ */
+
+function register(api) {
+  var schema = api.types
+
+  _.each(schema.operations, function(op) {
+    var desc = describe(schema, op)
+      , existing = api[desc.method]
+
+    if (existing && !existing.operation) {
+      api.log.debug('skipping, method exists', { event: 'operations', method: desc.method })
+      return
+    }
+    api[desc.method] = wrap(api, desc)
+  })
+}
+
+/*!
+ * Prototype methods, mixed into `Neulion`
+ */
+
+/**
+ * List all WSDL operations with their method name and the input and output
+ * fields, connecting first if needed
+ *
+ * @return {Promise} promise, resolves the operations
+ */
+
+exports.operations = function() {
+  var self = this
+
+  return Promise
+    .resolve(this.client || this.connect())
+    .then(function() {
+      return _.map(self.types.operations, function(op) {
+        return describe(self.types, op)
+      })
+    })
+}
+
+/*!
+ * Helpers used by `connect`
+ */
+
+exports.camelCase = camelCase
+exports.register = register
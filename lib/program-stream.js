@@ -0,0 +1,200 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var util = require('util')
+  , Readable = require('stream').Readable
+  , _ = require('underscore')
+  , Errors = require('./errors')
+  , timezone = require('./timezone')
+
+/**
+ * Readable object stream of hydrated programs over a date range, searched
+ * one calendar day of `config.timezone` at a time. Only one day of IDs and
+ * `concurrency` programs are held in memory, the next request is not sent
+ * until the consumer reads more. Programs are pushed in search order,
+ * programs that could not be loaded are emitted as `failure` events, the same
+ * as the `detailsMany` failures.
+ *
+ * @param {Neulion} api instance
+ * @param {Object} params
+ *   - `start` {Date|String|Number} first day
+ *   - `end` {Date|String|Number} end date, the day of `end` is not included (default one day after `start`)
+ *   - any other `search` params, sent with each day
+ * @param {Object} options
+ *   - `concurrency` {Number} concurrent details requests (default `config.concurrency` or 5)
+ *   - `categories` {Boolean} expand the categories of each program (see `details`)
+ *   - `highWaterMark` {Number} programs buffered before pausing (default 16)
+ *   - `inclusive` {Boolean} include the day of `end` (default `false`)
+ *   - `timeout` {Number} milliseconds per request (default `config.timeout`)
+ *   - `signal` {AbortSignal} destroy the stream with an `AbortError`
+ */
+
+function ProgramStream(api, params, options) {
+  var opts = options || {}
+    , p = params || {}
+
+  Readable.call(this, {
+    objectMode: true
+  , highWaterMark: opts.highWaterMark || 16
+  })
+
+  this.api = api
+  this.params = _.omit(p, 'start', 'end')
+  this.zone = api.config.timezone
+  this.day = timezone.parse(p.start || Date.now(), this.zone)
+  this.end = p.end ? timezone.parse(p.end, this.zone) : null
+  this.concurrency = opts.concurrency || api.config.concurrency || 5
+  this.categories = !!opts.categories
+  this.limits = _.pick(opts, 'timeout', 'signal')
+  this.ids = []
+  this.queue = []
+  this.listing = false
+  this.wanted = false
+  this.stopped = false
+
+  if (isNaN(+this.day) || (this.end && isNaN(+this.end))) {
+    throw new TypeError('Invalid `start` or `end` date')
+  }
+  this.day = timezone.startOfDay(this.day, this.zone)
+  this.end = this.end
+    ? timezone.addDays(this.end, opts.inclusive ? 1 : 0, this.zone)
+    : timezone.addDays(this.day, 1, this.zone)
+
+  var self = this
+    , signal = opts.signal
+
+  if (signal) {
+    this.abort = function() {
+      self.destroy(new Errors.AbortError('Stream aborted'))
+    }
+    if (signal.aborted) process.nextTick(this.abort)
+    else signal.addEventListener('abort', this.abort)
+  }
+}
+
+util.inherits(ProgramStream, Readable)
+
+/**
+ * Readable implementation, called when the consumer wants more programs
+ */
+
+ProgramStream.prototype._read = function() {
+  this.wanted = true
+  this.pump()
+}
+
+/**
+ * Readable implementation, stop sending requests. Responses for requests
+ * already sent are dropped.
+ *
+ * @param {Error} err
+ * @param {Function} callback
+ */
+
+ProgramStream.prototype._destroy = function(err, next) {
+  this.api.log.debug('stopped', { event: 'stream', day: this.day })
+  this.stopped = true
+  this.ids = []
+  this.queue = []
+  if (this.abort) this.limits.signal.removeEventListener('abort', this.abort)
+  next(err)
+}
+
+/**
+ * Start as many requests as allowed, moving on to the next day once all
+ * IDs of the current one have been sent
+ */
+
+ProgramStream.prototype.pump = function() {
+  var self = this
+
+  if (this.stopped) return
+
+  while (this.wanted && this.ids.length && this.queue.length < this.concurrency) {
+    this.load(this.ids.shift())
+  }
+  if (this.ids.length || this.listing) return
+
+  if (this.day >= this.end) {
+    if (!this.queue.length) {
+      this.stopped = true
+      this.push(null)
+    }
+    return
+  }
+
+  // Only search ahead once the current day is done, to keep memory bounded
+  if (this.queue.length || !this.wanted) return
+
+  var day = this.day
+  this.listing = true
+  this.day = timezone.addDays(day, 1, this.zone)
+
+  this.api.log.debug('searching day', { event: 'stream', day: day })
+
+  this.api
+    .list(_.extend({}, this.params, { progDate: day }), this.limits)
+    .then(function(ids) {
+      self.listing = false
+      // IDs are `{ programId, groupId }` when searching multiple groups
+      self.ids = _.uniq(ids || [], function(x) {
+        return x && x.programId ? `${x.groupId}:${x.programId}` : String(x)
+      })
+      self.pump()
+    })
+    .catch(function(err) {
+      self.listing = false
+      if (!self.stopped) self.destroy(err)
+    })
+}
+
+/**
+ * Load the details of a program, keeping its place in the output order
+ *
+ * @param {Number} program id
+ */
+
+ProgramStream.prototype.load = function(id) {
+  var self = this
+    , item = { done: false, program: null }
+
+  this.queue.push(item)
+
+  this.api
+    .detailsMany([id], _.extend({ concurrency: 1, categories: this.categories }, this.limits))
+    .then(function(result) {
+      if (self.stopped) return
+
+      item.done = true
+      item.program = result.programs[0] || null
+      result.failures.forEach(function(x) {
+        self.emit('failure', x)
+      })
+      self.flush()
+    })
+    .catch(function(err) {
+      if (!self.stopped) self.destroy(err)
+    })
+}
+
+/**
+ * Push finished programs from the front of the queue
+ */
+
+ProgramStream.prototype.flush = function() {
+  while (!this.stopped && this.queue.length && this.queue[0].done) {
+    var item = this.queue.shift()
+
+    if (item.program && !this.push(item.program)) this.wanted = false
+  }
+  this.pump()
+}
+
+/*!
+ * Exports
+ */
+
+module.exports = ProgramStream
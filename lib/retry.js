@@ -0,0 +1,291 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var Promise = require('bluebird')
+  , varType = require('var-type')
+  , Errors = require('./errors')
+  , Logger = require('./logger')
+
+/*!
+ * Network error codes that are worth trying again
+ */
+
+var NETWORK_CODES = [
+  'ECONNRESET'
+, 'ECONNREFUSED'
+, 'ECONNABORTED'
+, 'ETIMEDOUT'
+, 'ESOCKETTIMEDOUT'
+, 'EPIPE'
+, 'EHOSTUNREACH'
+, 'ENETUNREACH'
+, 'EAI_AGAIN'
+]
+
+/*!
+ * SOAP fault codes that are worth trying again, `soapenv:Server.userException`
+ * is deliberately missing as Neulion uses it for invalid input
+ */
+
+var FAULT_CODES = [
+  'soapenv:Server'
+]
+
+/*!
+ * Operations that change data, they may already have been applied when the
+ * response fails, so sending them again could apply them twice
+ */
+
+var UNSAFE_OPERATIONS = [
+  'createVodProgram'
+, 'updateVodProgram'
+, 'deleteVodProgram'
+]
+
+/*!
+ * Network error codes raised before a request is sent
+ */
+
+var UNSENT_CODES = [
+  'ECONNREFUSED'
+, 'EHOSTUNREACH'
+, 'ENETUNREACH'
+, 'EAI_AGAIN'
+, 'ENOTFOUND'
+]
+
+/**
+ * Check if an error proves the request never reached the server, the
+ * connection was refused or the host not found, or the WSDL could not be
+ * loaded before sending
+ *
+ * @param {Error} err
+ * @return {Boolean} unsent
+ */
+
+function unsent(err) {
+  if (!err) return false
+  if (err instanceof Errors.NotConnectedError) return true
+
+  var orig = err.originalError || err
+  return !!~UNSENT_CODES.indexOf(orig.code)
+}
+
+/**
+ * Check if an error is transient. Timeouts and rate limits always are, SOAP
+ * faults are checked by their fault code since they are always sent as HTTP
+ * 500, anything else by the network error code or HTTP status.
+ *
+ * @param {Error} err
+ * @param {Array} transient fault codes (optional)
+ * @return {Boolean} transient
+ */
+
+function transient(err, codes) {
+  if (!err || err instanceof Errors.CircuitOpenError) return false
+  if (err instanceof Errors.TimeoutError || err instanceof Errors.RateLimitError) return true
+
+  var orig = err.originalError || err
+    , status = orig.response && orig.response.statusCode
+
+  if (orig.root) return !!~(codes || FAULT_CODES).indexOf(err.faultcode || err.code)
+  if (~NETWORK_CODES.indexOf(orig.code)) return true
+  return status >= 500
+}
+
+/**
+ * Retry policy with exponential backoff and full jitter
+ *
+ * @param {Object|Boolean} options, `false` to disable retries
+ *   - `attempts` {Number} max attempts including the first (default 3)
+ *   - `delay` {Number} base delay in milliseconds (default 100)
+ *   - `maxDelay` {Number} max delay in milliseconds (default 5000)
+ *   - `factor` {Number} backoff multiplier (default 2)
+ *   - `jitter` {Boolean} randomize delays (default true)
+ *   - `codes` {Array} transient SOAP fault codes (default `['soapenv:Server']`)
+ *   - `retryable` {Function} custom classifier, `function(err) -> Boolean`
+ *   - `unsafe` {Array} operations only retried when the request was never sent (default create, update and delete)
+ *   - `log` {Logger} logger for retries (default `debug`)
+ */
+
+function RetryPolicy(options) {
+  var opts = varType(options, 'Object') ? options : {}
+
+  this.attempts = options === false ? 1 : (opts.attempts || 3)
+  this.delay = varType(opts.delay, 'Number') ? opts.delay : 100
+  this.maxDelay = opts.maxDelay || 5000
+  this.factor = opts.factor || 2
+  this.jitter = opts.jitter !== false
+  this.codes = opts.codes || FAULT_CODES
+  this.classifier = opts.retryable || null
+  this.unsafe = opts.unsafe || UNSAFE_OPERATIONS
+  this.log = opts.log || new Logger()
+}
+
+/**
+ * Check if an error should be retried. Errors of `unsafe` operations are
+ * only retried when the request was never sent.
+ *
+ * @param {Error} err
+ * @param {String} operation (optional)
+ * @return {Boolean} retryable
+ */
+
+RetryPolicy.prototype.retryable = function(err, operation) {
+  if (operation && ~this.unsafe.indexOf(operation) && !unsent(err)) return false
+  if (this.classifier) return !!this.classifier(err)
+  return transient(err, this.codes)
+}
+
+/**
+ * Get the delay before the next attempt
+ *
+ * @param {Number} attempt number, starting from 1
+ * @return {Number} milliseconds
+ */
+
+RetryPolicy.prototype.backoff = function(attempt) {
+  var max = Math.min(this.maxDelay, this.delay * Math.pow(this.factor, attempt - 1))
+  return this.jitter ? Math.round(Math.random() * max) : max
+}
+
+/**
+ * Run a promise returning function, retrying on transient errors
+ *
+ * @param {Function} fn
+ * @param {String} label for debugging
+ * @return {Promise} promise
+ */
+
+RetryPolicy.prototype.run = function(fn, label) {
+  var self = this
+
+  function attempt(n) {
+    return Promise
+      .try(fn)
+      .catch(function(err) {
+        if (n >= self.attempts || !self.retryable(err, label)) throw err
+
+        var wait = self.backoff(n)
+        self.log.debug('retrying', { event: 'retry', operation: label, attempt: n, wait: wait, code: err.code })
+
+        return Promise.delay(wait).then(function() {
+          return attempt(n + 1)
+        })
+      })
+  }
+  return attempt(1)
+}
+
+/**
+ * Circuit breaker, stops sending requests after `threshold` failures in a
+ * row. Once `resetTimeout` has passed a single trial request is let through,
+ * closing the circuit again if it succeeds.
+ *
+ * @param {Object|Boolean} options, `false` to disable
+ *   - `threshold` {Number} failures before opening (default 5)
+ *   - `resetTimeout` {Number} milliseconds before a trial (default 30000)
+ *   - `isFailure` {Function} which errors count, `function(err) -> Boolean`
+ *   - `log` {Logger} logger for state changes (default `debug`)
+ */
+
+function CircuitBreaker(options) {
+  var opts = varType(options, 'Object') ? options : {}
+
+  this.enabled = options !== false
+  this.threshold = opts.threshold || 5
+  this.resetTimeout = opts.resetTimeout || 30000
+  this.isFailure = opts.isFailure || transient
+  this.log = opts.log || new Logger()
+  this.state = 'closed'
+  this.failures = 0
+  this.openedAt = null
+}
+
+/**
+ * Current breaker state
+ *
+ * @return {Object} status
+ */
+
+CircuitBreaker.prototype.status = function() {
+  return {
+    state: this.state
+  , failures: this.failures
+  , openedAt: this.openedAt && new Date(this.openedAt)
+  }
+}
+
+/**
+ * Run a promise returning function through the breaker
+ *
+ * @param {Function} fn
+ * @param {String} label for debugging
+ * @return {Promise} promise
+ */
+
+CircuitBreaker.prototype.run = function(fn, label) {
+  var self = this
+    , trial = false
+
+  if (!this.enabled) return Promise.try(fn)
+
+  function reject() {
+    return Promise.reject(new Errors.CircuitOpenError(
+      `Circuit ${self.state} after ${self.failures} failures, not sending \`${label}\``
+    ))
+  }
+
+  if (this.state === 'half-open') return reject()
+  if (this.state === 'open') {
+    if (Date.now() - this.openedAt < this.resetTimeout) return reject()
+
+    this.log.info('half-open, sending trial', { event: 'breaker', operation: label })
+    this.state = 'half-open'
+    trial = true
+  }
+
+  // Anything other than a counted failure means the server is responding
+  function close() {
+    if (self.state !== 'closed') self.log.info('closed', { event: 'breaker' })
+    self.state = 'closed'
+    self.failures = 0
+    self.openedAt = null
+  }
+
+  return Promise
+    .try(fn)
+    .then(function(resp) {
+      close()
+      return resp
+    })
+    .catch(function(err) {
+      if (!self.isFailure(err)) {
+        close()
+        throw err
+      }
+      self.failures += 1
+
+      if (trial || self.failures >= self.threshold) {
+        self.log.warn('open', { event: 'breaker', operation: label, failures: self.failures })
+        self.state = 'open'
+        self.openedAt = Date.now()
+      }
+      throw err
+    })
+}
+
+/*!
+ * Exports
+ */
+
+exports.transient = transient
+exports.unsent = unsent
+exports.RetryPolicy = RetryPolicy
+exports.CircuitBreaker = CircuitBreaker
+exports.NETWORK_CODES = NETWORK_CODES
+exports.FAULT_CODES = FAULT_CODES
+exports.UNSAFE_OPERATIONS = UNSAFE_OPERATIONS
@@ -0,0 +1,547 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+  , timezone = require('./timezone')
+
+/*!
+ * Misc
+ */
+
+var XSD_NS = 'http://www.w3.org/2001/XMLSchema'
+  , TAG = /<(\/?)([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g
+  , ATTR = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  , concat = Array.prototype.concat
+
+/*!
+ * Builtin XSD types, each with a `check` for validating outgoing values,
+ * an `encode` for casting them into what the SOAP server expects, and a
+ * `decode` for casting the raw response strings, given the schema for options
+ */
+
+var integer = {
+  check: function(x) {
+    return (varType(x, 'Number') && x % 1 === 0)
+      || (varType(x, 'String') && /^-?\d+$/.test(x))
+  }
+, encode: function(x) {
+    return +x
+  }
+, decode: function(x) {
+    return x === '' ? null : parseInt(x, 10)
+  }
+}
+
+var number = {
+  check: function(x) {
+    return (varType(x, 'Number') && isFinite(x))
+      || (varType(x, 'String') && x.trim() !== '' && isFinite(x))
+  }
+, encode: function(x) {
+    return +x
+  }
+, decode: function(x) {
+    return x === '' ? null : +x
+  }
+}
+
+var bool = {
+  check: function(x) {
+    return varType(x, 'Boolean') || x === 'true' || x === 'false'
+  }
+, encode: function(x) {
+    return x === true || x === 'true'
+  }
+, decode: function(x) {
+    if (x === '') return null
+    return x === true || x === 'true' || x === '1'
+  }
+}
+
+var date = {
+  check: function(x) {
+    if (varType(x, 'Date')) return !isNaN(x)
+    if (varType(x, 'String') || varType(x, 'Number')) return !isNaN(new Date(x))
+    return false
+  }
+, encode: function(x, schema) {
+    return timezone.parse(x, schema.timezone).toISOString()
+  }
+, decode: function(x, schema) {
+    var d = timezone.parse(x, schema.timezone)
+    return x === '' || isNaN(d) ? null : d
+  }
+}
+
+var string = {
+  check: function(x) {
+    return varType(x, 'String') || varType(x, 'Number')
+  }
+, encode: function(x) {
+    return String(x)
+  }
+, decode: function(x) {
+    return String(x)
+  }
+}
+
+var BUILTINS = {
+  int: integer
+, integer: integer
+, long: integer
+, short: integer
+, double: number
+, float: number
+, decimal: number
+, boolean: bool
+, dateTime: date
+, date: date
+, string: string
+}
+
+/**
+ * Split a qualified XML name into its prefix and local name
+ *
+ * @param {String} qualified name (ex: `xsd:int`)
+ * @return {Object} prefix and name
+ */
+
+function qname(str) {
+  var idx = (str || '').indexOf(':')
+  if (idx === -1) return { prefix: '', name: str }
+  return { prefix: str.slice(0, idx), name: str.slice(idx + 1) }
+}
+
+/**
+ * Unwrap a SOAP response value, which may come back as `{ $value: x }`
+ *
+ * @param {Object|Any} response value
+ * @return {Any} raw value
+ */
+
+function value(x) {
+  return varType(x, 'Object') && x.hasOwnProperty('$value') ? x.$value : x
+}
+
+/**
+ * Check if a SOAP response value was sent as `xsi:nil`. The SOAP client
+ * usually drops these entirely, but may leave the attributes behind.
+ *
+ * @param {Object|Any} response value
+ * @return {Boolean} nil
+ */
+
+function isNil(x) {
+  if (x === null || x === undefined) return true
+  var attrs = varType(x, 'Object') && x.attributes
+  if (!attrs) return false
+  return !x.hasOwnProperty('$value') && _.some(attrs, function(val, key) {
+    return /(^|:)nil$/.test(key) && (val === 'true' || val === '1')
+  })
+}
+
+/**
+ * Get the list of items from an array wrapper response. The item element
+ * names returned by Neulion do not always match the WSDL, they are usually
+ * named after the wrapper instead (ex: `categoryIdArray.categoryIdArray`).
+ *
+ * @param {Object|Array} response value
+ * @param {Array} possible item names
+ * @return {Array} items
+ */
+
+function items(x, names) {
+  if (Array.isArray(x)) return x
+  if (isNil(x) || !varType(x, 'Object')) return []
+
+  var key = _.find(names, function(name) {
+    return x.hasOwnProperty(name)
+  }) || _.without(Object.keys(x), 'attributes', '$value')[0]
+
+  if (!key || isNil(x[key])) return []
+  return concat.call([], x[key])
+}
+
+/**
+ * Parse the attribute section of an XML tag
+ *
+ * @param {String} raw attributes
+ * @return {Object} attributes
+ */
+
+function attributes(str) {
+  var attrs = {}
+    , match
+
+  ATTR.lastIndex = 0
+  while ((match = ATTR.exec(str || ''))) {
+    attrs[match[1]] = match[2] !== undefined ? match[2] : match[3]
+  }
+  return attrs
+}
+
+/**
+ * Parse XML into a minimal element tree. This is only intended for WSDL
+ * documents, text content is ignored entirely.
+ *
+ * @param {String} xml
+ * @return {Object} root node
+ */
+
+function tree(xml) {
+  var root = { name: '#root', attrs: {}, children: [] }
+    , stack = [root]
+    , match
+
+  xml = String(xml || '').replace(/<!--[\s\S]*?-->/g, '')
+
+  TAG.lastIndex = 0
+  while ((match = TAG.exec(xml))) {
+    if (match[1]) {
+      if (stack.length > 1) stack.pop()
+      continue
+    }
+    var node = {
+      name: qname(match[2]).name
+    , attrs: attributes(match[3])
+    , children: []
+    }
+    stack[stack.length - 1].children.push(node)
+    if (!match[4]) stack.push(node)
+  }
+  return root
+}
+
+/**
+ * Find all direct children of a node by local name
+ *
+ * @param {Object} node
+ * @param {String} local name
+ * @return {Array} nodes
+ */
+
+function children(node, name) {
+  return (node && node.children || []).filter(function(x) {
+    return x.name === name
+  })
+}
+
+/**
+ * Recursively find all descendants of a node by local name
+ *
+ * @param {Object} node
+ * @param {String} local name
+ * @return {Array} nodes
+ */
+
+function find(node, name) {
+  return node.children.reduce(function(found, x) {
+    if (x.name === name) found.push(x)
+    return found.concat(find(x, name))
+  }, [])
+}
+
+/**
+ * WSDL type definitions, parsed from the raw WSDL XML
+ *
+ * @param {String} wsdl xml
+ * @param {Object} options
+ *   - `timezone` {String} zone of dates given or sent back without an offset (default `UTC`)
+ */
+
+function Schema(xml, options) {
+  var self = this
+    , root = tree(xml)
+    , namespaces = {}
+
+  this.timezone = (options && options.timezone) || timezone.DEFAULT
+
+  this.types = {}
+  this.elements = {}
+  this.operations = {}
+  this.namespace = null
+  this.qualified = false
+
+  // Gather all namespace prefixes, WSDL documents rarely redefine them
+  function walk(node) {
+    for (var key in node.attrs) {
+      if (key.indexOf('xmlns:') === 0) namespaces[key.slice(6)] = node.attrs[key]
+    }
+    node.children.forEach(walk)
+  }
+  walk(root)
+
+  // Describe all elements within a complex type sequence
+  function fields(complex) {
+    var seq = children(complex, 'sequence')[0] || children(complex, 'all')[0]
+
+    return children(seq, 'element').map(function(x) {
+      var type = qname(x.attrs.type)
+        , max = x.attrs.maxOccurs
+
+      return {
+        name: x.attrs.name
+      , type: type.name
+      , builtin: namespaces[type.prefix] === XSD_NS || (!type.prefix && !!BUILTINS[type.name])
+      , nillable: x.attrs.nillable === 'true'
+      , optional: x.attrs.minOccurs === '0'
+      , array: max === 'unbounded' || +max > 1
+      }
+    })
+  }
+
+  find(root, 'schema').forEach(function(schema) {
+    // Requests are written in the namespace of the first schema
+    if (!self.namespace) {
+      self.namespace = schema.attrs.targetNamespace || null
+      self.qualified = schema.attrs.elementFormDefault === 'qualified'
+    }
+    children(schema, 'complexType').forEach(function(x) {
+      self.types[x.attrs.name] = fields(x)
+    })
+    children(schema, 'element').forEach(function(x) {
+      var complex = children(x, 'complexType')[0]
+
+      self.elements[x.attrs.name] = complex
+        ? fields(complex)
+        : qname(x.attrs.type).name
+    })
+  })
+
+  // Document style messages have a single part naming its element
+  var messages = {}
+  find(root, 'message').forEach(function(x) {
+    var part = children(x, 'part')[0]
+    messages[x.attrs.name] = part && part.attrs.element ? qname(part.attrs.element).name : null
+  })
+
+  find(root, 'portType').forEach(function(port) {
+    children(port, 'operation').forEach(function(x) {
+      var input = children(x, 'input')[0]
+        , output = children(x, 'output')[0]
+
+      self.operations[x.attrs.name] = {
+        name: x.attrs.name
+      , input: input ? messages[qname(input.attrs.message).name] || null : null
+      , output: output ? messages[qname(output.attrs.message).name] || null : null
+      }
+    })
+  })
+}
+
+/**
+ * Get the field definitions for a named complex type or top level element
+ *
+ * @param {String} type or element name
+ * @return {Array|Null} fields
+ */
+
+Schema.prototype.fields = function(name) {
+  var el = this.elements[name]
+  if (varType(el, 'String')) el = this.types[el]
+  return el || this.types[name] || null
+}
+
+/**
+ * Get the repeated item field of an array wrapper type, such as
+ * `ArrayOfInteger`, which has a single unbounded child element
+ *
+ * @param {String} type name
+ * @return {Object|Null} item field
+ */
+
+Schema.prototype.arrayItem = function(name) {
+  var fields = this.types[name]
+  if (fields && fields.length === 1 && fields[0].array) return fields[0]
+  return null
+}
+
+/**
+ * Validate an object against a WSDL type, returns a list of problems found
+ *
+ * @param {String} type or element name
+ * @param {Object} input
+ * @param {String} path prefix for messages (optional)
+ * @return {Array} errors
+ */
+
+Schema.prototype.validate = function(name, obj, path) {
+  var self = this
+    , fields = this.fields(name)
+
+  path = path || name
+
+  if (!fields) return [`${path}: unknown type \`${name}\``]
+  if (!varType(obj, 'Object')) return [`${path}: expected an object`]
+
+  var known = _.pluck(fields, 'name')
+    , errors = []
+
+  Object.keys(obj).forEach(function(key) {
+    if (!~known.indexOf(key)) errors.push(`${path}.${key}: unknown field`)
+  })
+
+  return concat.apply(errors, fields.map(function(field) {
+    return self.check(field, obj[field.name], `${path}.${field.name}`)
+  }))
+}
+
+/**
+ * Validate a single value against its field definition
+ *
+ * @param {Object} field
+ * @param {Any} value
+ * @param {String} path for messages
+ * @return {Array} errors
+ */
+
+Schema.prototype.check = function(field, val, path) {
+  var self = this
+
+  if (val === undefined || val === null) {
+    if (field.optional || field.nillable) return []
+    return [`${path}: is required`]
+  }
+
+  // Array wrapper types are sent as plain arrays
+  var item = !field.builtin && this.arrayItem(field.type)
+  if (item || field.array) {
+    if (!Array.isArray(val)) {
+      if (field.array) val = [val]
+      else return [`${path}: expected an array`]
+    }
+    var single = _.extend({}, item || field, { array: false, optional: false, nillable: false })
+
+    return concat.apply([], val.map(function(x, i) {
+      return self.check(single, x, `${path}[${i}]`)
+    }))
+  }
+
+  if (!field.builtin) return this.validate(field.type, val, path)
+
+  var builtin = BUILTINS[field.type] || string
+  if (!builtin.check(val)) return [`${path}: expected ${field.type}, got \`${val}\``]
+  return []
+}
+
+/**
+ * Encode a validated object into the structure expected by the SOAP client,
+ * with fields in WSDL sequence order.
+ *
+ * @param {String} type or element name
+ * @param {Object} input
+ * @return {Object} encoded
+ */
+
+Schema.prototype.encode = function(name, obj) {
+  var self = this
+    , out = {}
+
+  this.fields(name).forEach(function(field) {
+    if (obj[field.name] === undefined) return
+    out[field.name] = self.encodeValue(field, obj[field.name])
+  })
+  return out
+}
+
+/**
+ * Encode a single value according to its field definition
+ *
+ * @param {Object} field
+ * @param {Any} value
+ * @return {Any} encoded
+ */
+
+Schema.prototype.encodeValue = function(field, val) {
+  var self = this
+
+  if (val === null || val === undefined) return null
+
+  var item = !field.builtin && this.arrayItem(field.type)
+  if (item) {
+    var wrapped = {}
+    wrapped[item.name] = concat.call([], val).map(function(x) {
+      return self.encodeValue(item, x)
+    })
+    return wrapped
+  }
+  if (!field.builtin) return this.encode(field.type, val)
+
+  var builtin = BUILTINS[field.type] || string
+  if (Array.isArray(val)) {
+    return val.map(function(x) {
+      return builtin.encode(x, self)
+    })
+  }
+  return builtin.encode(val, this)
+}
+
+/**
+ * Decode a SOAP response object into typed values using a WSDL type. Every
+ * declared field is included, nil or missing fields are set to `null`, and
+ * any undeclared fields are unwrapped as-is.
+ *
+ * @param {String} type or element name
+ * @param {Object} response object
+ * @return {Object} decoded
+ */
+
+Schema.prototype.decode = function(name, obj) {
+  var self = this
+    , fields = this.fields(name)
+    , out = {}
+
+  if (isNil(obj)) return null
+  if (!fields || !varType(obj, 'Object')) return value(obj)
+
+  fields.forEach(function(field) {
+    out[field.name] = self.decodeValue(field, obj[field.name])
+  })
+
+  _.difference(Object.keys(obj), _.pluck(fields, 'name'), ['attributes']).forEach(function(key) {
+    out[key] = value(obj[key])
+  })
+  return out
+}
+
+/**
+ * Decode a single response value according to its field definition
+ *
+ * @param {Object} field
+ * @param {Any} response value
+ * @return {Any} decoded
+ */
+
+Schema.prototype.decodeValue = function(field, val) {
+  var self = this
+
+  if (isNil(val)) return null
+
+  var item = !field.builtin && this.arrayItem(field.type)
+  if (item) {
+    var single = _.extend({}, item, { array: false })
+
+    return items(val, [item.name, field.name]).map(function(x) {
+      return self.decodeValue(single, x)
+    })
+  }
+  if (field.array) {
+    return concat.call([], val).map(function(x) {
+      return self.decodeValue(_.extend({}, field, { array: false }), x)
+    })
+  }
+  if (!field.builtin) return this.decode(field.type, val)
+
+  var builtin = BUILTINS[field.type] || string
+  return builtin.decode(value(val), this)
+}
+
+/*!
+ * Exports
+ */
+
+module.exports = Schema
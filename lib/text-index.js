@@ -0,0 +1,311 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+
+/*!
+ * Misc
+ */
+
+var FIELDS = {
+  name: 3
+, altName: 2
+, tagArray: 2
+, desc: 1
+, altDesc: 1
+}
+
+var STOPWORDS = ['a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'v', 'vs', 'with']
+  , PREFIX_WEIGHT = 0.5
+  , LIMIT = 20
+  , MAX = 10000
+
+/**
+ * Reduce a word to its stem with a light English suffix stripper, so
+ * `goals`, `scored` and `scoring` match `goal` and `score`. The same stem is
+ * used for indexing and searching, so it only needs to be consistent.
+ *
+ * @param {String} word, lowercase
+ * @return {String} stem
+ */
+
+function stem(word) {
+  var x = word
+
+  if (x.length <= 3 || /\d/.test(x)) return x
+
+  if (/ies$/.test(x)) x = x.slice(0, -3) + 'y'
+  else if (/(ch|sh|x|z)es$/.test(x)) x = x.slice(0, -2)
+  else if (/s$/.test(x) && !/(ss|us|is)$/.test(x)) x = x.slice(0, -1)
+
+  if (x.length > 5 && /ing$/.test(x)) x = x.slice(0, -3)
+  else if (x.length > 4 && /ed$/.test(x)) x = x.slice(0, -2)
+
+  // Doubled endings left by the suffixes, `scoring` and `score` both end up as `scor`
+  if (x.length >= 4 && /([bdgmnprt])\1$/.test(x)) x = x.slice(0, -1)
+  if (x.length > 3 && /e$/.test(x)) x = x.slice(0, -1)
+  return x
+}
+
+/**
+ * Split text into lowercase words without accents or punctuation, stop
+ * words are dropped
+ *
+ * @param {String} text
+ * @return {Array} words
+ */
+
+function words(text) {
+  if (text === null || text === undefined) return []
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(function(x) {
+      return x && !~STOPWORDS.indexOf(x)
+    })
+}
+
+/**
+ * Split text into stemmed search terms
+ *
+ * @param {String} text
+ * @return {Array} terms
+ */
+
+function tokenize(text) {
+  return words(text).map(stem)
+}
+
+/**
+ * Key of an indexed program, unique across groups
+ *
+ * @param {Object} program
+ * @return {String} key
+ */
+
+function keyOf(program) {
+  return `${program.groupId}:${program.programId}`
+}
+
+/**
+ * In-memory inverted index over program text fields, ranked by the field
+ * weights and how rare each term is. Programs are replaced whenever they are
+ * added again. The index keeps each program it holds, so once it has `max`
+ * programs the least recently added one is dropped.
+ *
+ * @param {Object} options
+ *   - `fields` {Object} weight by program field (default `name` 3, `altName` and `tagArray` 2, `desc` and `altDesc` 1)
+ *   - `max` {Number} max programs held (default 10000)
+ */
+
+function TextIndex(options) {
+  var opts = options || {}
+
+  this.fields = opts.fields || FIELDS
+  this.max = varType(opts.max, 'Number') ? opts.max : MAX
+  this.clear()
+}
+
+/**
+ * Remove all programs
+ */
+
+TextIndex.prototype.clear = function() {
+  this.docs = new Map()
+  this.terms = new Map()
+}
+
+/**
+ * Number of indexed programs
+ *
+ * @return {Number} size
+ */
+
+TextIndex.prototype.size = function() {
+  return this.docs.size
+}
+
+/**
+ * Add or replace a program
+ *
+ * @param {Object} program, as resolved by `details`
+ * @return {TextIndex} this
+ */
+
+TextIndex.prototype.add = function(program) {
+  var self = this
+    , key = keyOf(program)
+    , weights = {}
+
+  this.delete(key)
+
+  _.each(this.fields, function(weight, field) {
+    var val = program[field]
+
+    tokenize(varType(val, 'Array') ? val.join(' ') : val).forEach(function(term) {
+      weights[term] = (weights[term] || 0) + weight
+    })
+  })
+
+  _.each(weights, function(weight, term) {
+    if (!self.terms.has(term)) self.terms.set(term, new Map())
+    self.terms.get(term).set(key, weight)
+  })
+
+  this.docs.set(key, {
+    program: program
+  , terms: Object.keys(weights)
+  })
+
+  // Maps keep insertion order, and replaced programs were deleted first
+  while (this.docs.size > this.max) this.delete(this.docs.keys().next().value)
+  return this
+}
+
+/**
+ * Check if a program is indexed
+ *
+ * @param {Object} program
+ * @return {Boolean} indexed
+ */
+
+TextIndex.prototype.has = function(program) {
+  return this.docs.has(keyOf(program))
+}
+
+/**
+ * Remove a program by its key
+ *
+ * @param {String} key, `groupId:programId`
+ */
+
+TextIndex.prototype.delete = function(key) {
+  var self = this
+    , doc = this.docs.get(key)
+
+  if (!doc) return
+
+  doc.terms.forEach(function(term) {
+    var postings = self.terms.get(term)
+
+    postings.delete(key)
+    if (!postings.size) self.terms.delete(term)
+  })
+  this.docs.delete(key)
+}
+
+/**
+ * Remove a program
+ *
+ * @param {Number} program id
+ * @param {Number} group id (optional, any group)
+ * @return {TextIndex} this
+ */
+
+TextIndex.prototype.remove = function(id, groupId) {
+  var self = this
+
+  Array.from(this.docs.values()).forEach(function(doc) {
+    var x = doc.program
+
+    if (String(x.programId) !== String(id)) return
+    if (groupId !== undefined && groupId !== null && String(x.groupId) !== String(groupId)) return
+    self.delete(keyOf(x))
+  })
+  return this
+}
+
+/**
+ * Score every program matching a single query term, exact matches of the
+ * stem score higher than words starting with it
+ *
+ * @param {String} term
+ * @return {Map} score by program key
+ */
+
+TextIndex.prototype.match = function(term) {
+  var scores = new Map()
+    , total = this.docs.size
+
+  this.terms.forEach(function(postings, indexed) {
+    if (indexed.indexOf(term)) return
+
+    var boost = indexed === term ? 1 : PREFIX_WEIGHT
+      , idf = Math.log(1 + total / postings.size)
+
+    postings.forEach(function(weight, key) {
+      scores.set(key, Math.max(scores.get(key) || 0, weight * idf * boost))
+    })
+  })
+  return scores
+}
+
+/**
+ * Find the programs containing any word of the query, as full words or the
+ * start of one, best matches first. Scores are weighted by the share of the
+ * query words each program contains.
+ *
+ * @param {String} query
+ * @param {Object} options
+ *   - `limit` {Number} max results (default 20)
+ * @return {Array} results, `{ score, program }`
+ */
+
+TextIndex.prototype.search = function(query, options) {
+  var self = this
+    , opts = options || {}
+    , limit = varType(opts.limit, 'Number') ? opts.limit : LIMIT
+    , terms = _.uniq(words(query))
+    , totals = new Map()
+    , counts = new Map()
+
+  terms.forEach(function(word) {
+    // Match both the stem and the word as typed, for partly typed words
+    var scores = self.match(stem(word))
+      , typed = stem(word) === word ? null : self.match(word)
+
+    if (typed) {
+      typed.forEach(function(score, key) {
+        scores.set(key, Math.max(scores.get(key) || 0, score))
+      })
+    }
+
+    scores.forEach(function(score, key) {
+      totals.set(key, (totals.get(key) || 0) + score)
+      counts.set(key, (counts.get(key) || 0) + 1)
+    })
+  })
+
+  totals.forEach(function(score, key) {
+    totals.set(key, score * counts.get(key) / terms.length)
+  })
+
+  return Array.from(totals.entries())
+    .sort(function(a, b) {
+      return b[1] - a[1] || (a[0] < b[0] ? -1 : 1)
+    })
+    .slice(0, limit)
+    .map(function(x) {
+      return {
+        score: Math.round(x[1] * 1000) / 1000
+      , program: self.docs.get(x[0]).program
+      }
+    })
+}
+
+/*!
+ * Exports
+ */
+
+module.exports = TextIndex
+module.exports.FIELDS = FIELDS
+module.exports.stem = stem
+module.exports.tokenize = tokenize
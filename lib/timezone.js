@@ -0,0 +1,259 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var varType = require('var-type')
+
+/*!
+ * Misc
+ */
+
+var DEFAULT = 'UTC'
+  , LOCAL_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/
+  , UPDATE_TIME = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/
+  , formatters = {}
+
+/**
+ * Get a cached formatter for the wall clock time of a zone. `hourCycle` is
+ * ignored before Node 12, so this uses `hour12`, which some versions format
+ * midnight with as hour 24, see `parts`
+ *
+ * @param {String} zone
+ * @return {Intl.DateTimeFormat} formatter
+ */
+
+function formatter(zone) {
+  var key = zone || DEFAULT
+
+  if (!formatters[key]) {
+    formatters[key] = new Intl.DateTimeFormat('en-US', {
+      timeZone: key
+    , hour12: false
+    , year: 'numeric'
+    , month: 'numeric'
+    , day: 'numeric'
+    , hour: 'numeric'
+    , minute: 'numeric'
+    , second: 'numeric'
+    })
+  }
+  return formatters[key]
+}
+
+/**
+ * Pad a number with zeros
+ *
+ * @param {Number} value
+ * @param {Number} length (default 2)
+ * @return {String} padded
+ */
+
+function pad(x, len) {
+  var s = String(x)
+  while (s.length < (len || 2)) s = '0' + s
+  return s
+}
+
+/**
+ * Check that a zone is a known IANA time zone, such as `America/New_York`
+ *
+ * @param {String} zone
+ * @throws {TypeError} unknown zone
+ */
+
+function check(zone) {
+  try {
+    formatter(zone)
+  } catch (err) {
+    throw new TypeError(`Invalid \`timezone\`: ${zone}`)
+  }
+}
+
+/**
+ * Get the wall clock time of a date in a zone
+ *
+ * @param {Date} date
+ * @param {String} zone (default `UTC`)
+ * @return {Object} `year`, `month` (1-12), `day`, `hour`, `minute` and `second`
+ */
+
+function parts(date, zone) {
+  var out = {}
+
+  formatter(zone).formatToParts(date).forEach(function(x) {
+    if (x.type !== 'literal') out[x.type] = parseInt(x.value, 10)
+  })
+  if (out.hour === 24) out.hour = 0
+  return out
+}
+
+/**
+ * Get the offset of a zone from UTC at the given time
+ *
+ * @param {Date} date
+ * @param {String} zone
+ * @return {Number} milliseconds ahead of UTC
+ */
+
+function offset(date, zone) {
+  var p = parts(date, zone)
+    , wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+
+  return wall - Math.floor(+date / 1000) * 1000
+}
+
+/**
+ * Get the time for a wall clock time in a zone. Times repeated by a DST
+ * change resolve to the first one, times skipped are moved forward by the
+ * length of the change.
+ *
+ * @param {Object} wall clock, see `parts` (`ms` for milliseconds)
+ * @param {String} zone (default `UTC`)
+ * @return {Date} date
+ */
+
+function fromParts(p, zone) {
+  var wall = Date.UTC(p.year, p.month - 1, p.day, p.hour || 0, p.minute || 0, p.second || 0, p.ms || 0)
+    , first = wall - offset(new Date(wall), zone)
+    , second = wall - offset(new Date(first), zone)
+
+  // Near a DST change the first guess can use the wrong offset, prefer the
+  // earlier time when both are valid and the later one when neither is
+  var valid = [first, second].filter(function(x) {
+    return x + offset(new Date(x), zone) === wall
+  })
+  return new Date(valid.length ? Math.min.apply(Math, valid) : Math.max(first, second))
+}
+
+/**
+ * Parse a date, strings without an offset such as `2015-10-28`,
+ * `2015-10-28T12:00:00` or an `updateTime` of `20151028120000` are read
+ * as the wall clock time in the zone
+ *
+ * @param {Date|String|Number} date
+ * @param {String} zone (default `UTC`)
+ * @return {Date} date, invalid if it could not be parsed
+ */
+
+function parse(x, zone) {
+  if (varType(x, 'Date')) return new Date(+x)
+  if (!varType(x, 'String')) return new Date(x)
+
+  var m = LOCAL_DATE.exec(x) || UPDATE_TIME.exec(x)
+  if (!m) return new Date(x)
+
+  return fromParts({
+    year: +m[1]
+  , month: +m[2]
+  , day: +m[3]
+  , hour: +m[4] || 0
+  , minute: +m[5] || 0
+  , second: +m[6] || 0
+  , ms: m[7] ? +(m[7] + '00').slice(0, 3) : 0
+  }, zone)
+}
+
+/**
+ * Get the start of the day of a date in a zone
+ *
+ * @param {Date|String|Number} date
+ * @param {String} zone (default `UTC`)
+ * @return {Date} midnight
+ */
+
+function startOfDay(date, zone) {
+  var p = parts(parse(date, zone), zone)
+
+  return fromParts({ year: p.year, month: p.month, day: p.day }, zone)
+}
+
+/**
+ * Get the start of the day a number of calendar days from a date, days
+ * are not always 24 hours long
+ *
+ * @param {Date|String|Number} date
+ * @param {Number} days
+ * @param {String} zone (default `UTC`)
+ * @return {Date} midnight
+ */
+
+function addDays(date, n, zone) {
+  var p = parts(parse(date, zone), zone)
+    , next = new Date(Date.UTC(p.year, p.month - 1, p.day + n))
+
+  return fromParts({
+    year: next.getUTCFullYear()
+  , month: next.getUTCMonth() + 1
+  , day: next.getUTCDate()
+  }, zone)
+}
+
+/**
+ * List the start of each day from `start` up to `end`
+ *
+ * @param {Date|String|Number} start
+ * @param {Date|String|Number} end
+ * @param {String} zone (default `UTC`)
+ * @param {Boolean} include the day of `end` (default `false`)
+ * @return {Array} dates
+ */
+
+function days(start, end, zone, inclusive) {
+  var day = startOfDay(start, zone)
+    , last = startOfDay(end, zone)
+    , out = []
+
+  while (day < last || (inclusive && +day === +last)) {
+    out.push(day)
+    day = addDays(day, 1, zone)
+  }
+  return out
+}
+
+/**
+ * Format a date as the `YYYY-MM-DD` day in a zone
+ *
+ * @param {Date|String|Number} date
+ * @param {String} zone (default `UTC`)
+ * @return {String} day
+ */
+
+function dayKey(date, zone) {
+  var p = parts(parse(date, zone), zone)
+
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`
+}
+
+/**
+ * Format a date as an `updateTime`, `yyyyMMddhhmmss` in a zone
+ *
+ * @param {Date|String|Number} date
+ * @param {String} zone (default `UTC`)
+ * @return {String} update time
+ */
+
+function updateTime(date, zone) {
+  var p = parts(parse(date, zone), zone)
+
+  return [pad(p.year, 4), p.month, p.day, p.hour, p.minute, p.second].map(function(x) {
+    return pad(x)
+  }).join('')
+}
+
+/*!
+ * Exports
+ */
+
+exports.DEFAULT = DEFAULT
+exports.check = check
+exports.parts = parts
+exports.offset = offset
+exports.fromParts = fromParts
+exports.parse = parse
+exports.startOfDay = startOfDay
+exports.addDays = addDays
+exports.days = days
+exports.dayKey = dayKey
+exports.updateTime = updateTime
@@ -0,0 +1,173 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var _ = require('underscore')
+  , varType = require('var-type')
+  , Errors = require('./errors')
+
+/*!
+ * Misc
+ */
+
+var XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance'
+  , PREFIX = 'ns1'
+  , INVALID_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g
+
+/**
+ * Escape a value for use as XML text or an attribute value. Characters not
+ * allowed in XML 1.0 at all are removed.
+ *
+ * @param {Any} value
+ * @return {String} escaped
+ */
+
+function escape(x) {
+  return String(x)
+    .replace(INVALID_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Format a single value as text, dates are sent as ISO strings
+ *
+ * @param {Any} value
+ * @param {String} path for errors
+ * @return {String} text
+ */
+
+function text(x, path) {
+  if (varType(x, 'Date')) return x.toISOString()
+  if (varType(x, 'Object') || Array.isArray(x)) {
+    throw new Errors.ValidationError(`Invalid value: ${path}: expected a single value`, [`${path}: expected a single value`])
+  }
+  return String(x)
+}
+
+/**
+ * Serializer bound to a WSDL schema, all elements are written in the order
+ * of their type's sequence.
+ *
+ * @param {Schema} schema
+ */
+
+function Writer(schema) {
+  this.schema = schema
+}
+
+/**
+ * Qualify an element name, child elements are only qualified when the
+ * schema `elementFormDefault` is `qualified`
+ *
+ * @param {String} name
+ * @param {Boolean} top level element
+ * @return {String} tag name
+ */
+
+Writer.prototype.tag = function(name, top) {
+  return top || this.schema.qualified ? `${PREFIX}:${name}` : name
+}
+
+/**
+ * Write the fields of a complex type
+ *
+ * @param {String} type or element name
+ * @param {Object} input
+ * @param {String} path for errors
+ * @return {String} xml
+ */
+
+Writer.prototype.complex = function(type, obj, path) {
+  var self = this
+    , fields = this.schema.fields(type)
+
+  if (!varType(obj, 'Object')) {
+    throw new Errors.ValidationError(`Invalid value: ${path}: expected an object`, [`${path}: expected an object`])
+  }
+
+  // Unknown fields can not be placed in the sequence, never guess
+  var unknown = _.difference(Object.keys(obj), _.pluck(fields, 'name')).map(function(key) {
+    return `${path}.${key}: unknown field`
+  })
+  if (unknown.length) {
+    throw new Errors.ValidationError(`Invalid \`${path}\`: ${unknown.join(', ')}`, unknown)
+  }
+
+  return fields.map(function(field) {
+    return self.element(field, obj[field.name], `${path}.${field.name}`)
+  }).join('')
+}
+
+/**
+ * Write a single field. Missing optional fields are left out, any other
+ * `null` or `undefined` value is sent as `xsi:nil`.
+ *
+ * @param {Object} field
+ * @param {Any} value
+ * @param {String} path for errors
+ * @return {String} xml
+ */
+
+Writer.prototype.element = function(field, val, path) {
+  var self = this
+    , tag = this.tag(field.name)
+
+  if (val === undefined && field.optional) return ''
+  if (val === null || val === undefined) return `<${tag} xsi:nil="true"/>`
+
+  // Array wrapper types, such as `ArrayOfString`, accept plain arrays
+  var item = !field.builtin && this.schema.arrayItem(field.type)
+  if (item) {
+    var list = varType(val, 'Object') && val.hasOwnProperty(item.name) ? val[item.name] : val
+      , single = _.extend({}, item, { array: false, optional: false })
+
+    return `<${tag}>` + [].concat(list).map(function(x, i) {
+      return self.element(single, x, `${path}[${i}]`)
+    }).join('') + `</${tag}>`
+  }
+
+  if (field.array) {
+    return [].concat(val).map(function(x, i) {
+      return self.element(_.extend({}, field, { array: false }), x, `${path}[${i}]`)
+    }).join('')
+  }
+
+  if (!field.builtin) return `<${tag}>${this.complex(field.type, val, path)}</${tag}>`
+  return `<${tag}>${escape(text(val, path))}</${tag}>`
+}
+
+/**
+ * Serialize the parameters of a SOAP operation into its request element,
+ * declaring the namespaces used so it can be placed in any envelope.
+ *
+ * @param {Schema} schema
+ * @param {String} element name, usually the operation name
+ * @param {Object} params
+ * @return {String} xml
+ */
+
+function serialize(schema, name, params) {
+  var writer = new Writer(schema)
+    , tag = writer.tag(name, true)
+
+  if (!schema.fields(name)) {
+    throw new Errors.ValidationError(`Unknown element \`${name}\``, [`${name}: unknown element`])
+  }
+
+  return `<${tag} xmlns:${PREFIX}="${escape(schema.namespace)}" xmlns:xsi="${XSI_NS}">`
+    + writer.complex(name, params || {}, name)
+    + `</${tag}>`
+}
+
+/*!
+ * Exports
+ */
+
+exports.escape = escape
+exports.serialize = serialize
@@ -4,9 +4,73 @@
  * Dependencies
  */
 
-var mock = require('mock-require')
+var fs = require('fs')
+  , path = require('path')
+  , mock = require('mock-require')
+  , parseRequest = require('./server').parseRequest
   , tick = process.nextTick
 
+/*!
+ * Sample program detail as returned by the SOAP client
+ */
+
+var program = {
+  altDesc: { '$value': 'Alternate description' }
+, altName: { '$value': 'Alternate name' }
+, categoryIdArray: {
+    categoryIdArray: [{ '$value': '12' }, { '$value': '14' }]
+  }
+, desc: { '$value': 'some description' }
+, endTime: { '$value': '2015-10-28T19:00:00.000Z' }
+, gameId: { '$value': '2015-10-28-POR-SEA' }
+, groupId: { '$value': '404' }
+, name: { '$value': 'some name' }
+, progDate: { '$value': '2015-10-28T17:33:33.000Z' }
+, programId: { '$value': '65041' }
+, regRequired: { '$value': 'false' }
+, shareInPlayer: { '$value': 'true' }
+, startTime: { '$value': '2015-10-28T17:00:00.000Z' }
+, tagArray: {
+    tagArray: [{ '$value': 'goal' }, { '$value': 'highlight' }]
+  }
+, updateTime: { '$value': '20151028103333' }
+}
+
+/*!
+ * Sample category list, the root category is nil so has no `parentId`
+ */
+
+var categories = [
+  { categoryId: { '$value': '10' }, categoryKey: { '$value': 'video' }, name: { '$value': 'Video' } }
+, { categoryId: { '$value': '12' }, categoryKey: { '$value': 'highlights' }, name: { '$value': 'Highlights' }, parentId: { '$value': '10' } }
+, { categoryId: { '$value': '14' }, categoryKey: { '$value': 'goals' }, name: { '$value': 'Goals' }, parentId: { '$value': '12' } }
+, { categoryId: { '$value': '16' }, categoryKey: { '$value': 'replays' }, name: { '$value': 'Replays' }, parentId: { '$value': '10' } }
+]
+
+/**
+ * Create an error the same as the SOAP client does for a fault response
+ *
+ * @param {String} fault code
+ * @param {String} fault string
+ * @return {Error} error
+ */
+
+function fault(code, str) {
+  var err = new Error(code + ': ' + str)
+  err.root = {
+    Envelope: {
+      Body: {
+        Fault: {
+          faultcode: code
+        , faultstring: str
+        , detail: { hostname: 'fnycweb01' }
+        }
+      }
+    }
+  }
+  return err
+}
+
 /**
  * Mock soap client
  */
@@ -33,7 +97,7 @@ var Client = {
 , getCategories: function(opts, next) {
     var resp = {
       ArrayOfCategory: {
-        ArrayOfCategory: []
+        ArrayOfCategory: categories
       }
     }
     tick(function() { next(null, resp) })
@@ -41,20 +105,71 @@ var Client = {
 
 , getProgramDetail: function(opts, next) {
     var resp = {
-      ProgramDetail: {
-        categoryIdArray: {
-          categoryIdArray: []
-        }
+      ProgramDetail: program
+    }
+
+    if (opts.authCode === 'expired') {
+      return tick(function() { next(fault('INVALID_AUTH_CODE', 'Invalid auth code')) })
+    }
+
+    // Unknown programs come back empty
+    if (+opts.programId === 404) resp = {}
+
+    if (isNaN(opts.programId)) {
+      var err = fault('soapenv:Server.userException', `java.lang.NumberFormatException: For input string: "${opts.programId}"`)
+      return tick(function() { next(err) })
+    }
+    tick(function() { next(null, resp) })
+  }
+
+, createVodProgram: function(opts, next) {
+    var resp = {
+      createVodProgramReturn: {
+        '$value': '65042'
       }
     }
     tick(function() { next(null, resp) })
   }
-  
+
+, updateVodProgram: function(opts, next) {
+    var resp = {
+      updateVodProgramReturn: {
+        '$value': 'true'
+      }
+    }
+    tick(function() { next(null, resp) })
+  }
+
+, deleteVodProgram: function(opts, next) {
+    var resp = {
+      deleteVodProgramReturn: {
+        '$value': 'true'
+      }
+    }
+    tick(function() { next(null, resp) })
+  }
+
 , wsdl: {
-    schema: '<xml></xml>'
+    xml: fs.readFileSync(path.join(__dirname, 'fixtures/ContentWS.wsdl'), 'utf8')
   }
 }
 
+/*!
+ * Requests are sent as serialized XML, parse them back into the params
+ */
+
+Object.keys(Client).forEach(function(key) {
+  var fn = Client[key]
+  if (typeof fn !== 'function') return
+
+  Client[key] = function(args, next) {
+    if (typeof args === 'string') {
+      args = parseRequest(`<Envelope><Body>${args}</Body></Envelope>`).params
+    }
+    return fn.call(Client, args, next)
+  }
+})
+
 /**
  * Mock soap wrapper
  */
@@ -0,0 +1,744 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , url = require('url')
+  , path = require('path')
+  , http = require('http')
+  , https = require('https')
+  , crypto = require('crypto')
+  , _ = require('underscore')
+
+/*!
+ * Misc
+ */
+
+var WSDL_PATH = path.join(__dirname, 'fixtures/ContentWS.wsdl')
+  , WSDL_FIXTURE = 'ContentWS.wsdl'
+  , SERVICE_PATH = '/iptv-admin-mlsws/services/ContentWS'
+  , SECRETS = ['authCode', 'loginId', 'password']
+  , RECORDED_AUTH_CODE = 'recorded-auth-code'
+
+/*!
+ * Field types of a program detail, everything else is a string
+ */
+
+var PROGRAM_TYPES = {
+  endTime: 'xsd:dateTime'
+, groupId: 'xsd:int'
+, progDate: 'xsd:dateTime'
+, programId: 'xsd:int'
+, regRequired: 'xsd:boolean'
+, shareInPlayer: 'xsd:boolean'
+, startTime: 'xsd:dateTime'
+, videoTime: 'xsd:dateTime'
+}
+
+/*!
+ * Default dataset
+ */
+
+function dataset() {
+  return {
+    users: {
+      username: 'some password'
+    }
+  , categories: [
+      { categoryId: 10, categoryKey: 'video', name: 'Video', parentId: null }
+    , { categoryId: 12, categoryKey: 'highlights', name: 'Highlights', parentId: 10 }
+    , { categoryId: 14, categoryKey: 'goals', name: 'Goals', parentId: 12 }
+    , { categoryId: 16, categoryKey: 'replays', name: 'Replays', parentId: 10 }
+    ]
+  , programs: [
+      {
+        programId: 65041
+      , groupId: 404
+      , name: 'Dempsey goal vs Portland'
+      , desc: 'Clint Dempsey scores from the edge of the box'
+      , progDate: '2015-10-28T17:33:33.000Z'
+      , startTime: '2015-10-28T17:00:00.000Z'
+      , endTime: '2015-10-28T19:00:00.000Z'
+      , gameId: '2015-10-28-POR-SEA'
+      , programType: 'highlight'
+      , highlightType: 'goal'
+      , categoryIdArray: [12, 14]
+      , tagArray: ['goal', 'dempsey']
+      , regRequired: false
+      , shareInPlayer: true
+      , updateTime: '20151028103333'
+      }
+    , {
+        programId: 65042
+      , groupId: 404
+      , name: 'Portland vs Seattle condensed'
+      , desc: 'Condensed game'
+      , progDate: '2015-10-28T21:00:00.000Z'
+      , gameId: '2015-10-28-POR-SEA'
+      , programType: 'condensed'
+      , categoryIdArray: [16]
+      , tagArray: ['condensed']
+      , regRequired: true
+      , shareInPlayer: false
+      , updateTime: '20151029080000'
+      }
+    ]
+  }
+}
+
+/**
+ * Escape text for XML
+ *
+ * @param {Any} value
+ * @return {String} escaped
+ */
+
+function escape(x) {
+  return String(x)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Unescape XML text
+ *
+ * @param {String} text
+ * @return {String} unescaped
+ */
+
+function unescape(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Parse the SOAP request body into the operation name and its parameters.
+ * Repeated elements become arrays, nil elements become `null`.
+ *
+ * @param {String} xml
+ * @return {Object} `{ operation, params }`
+ */
+
+function parseRequest(xml) {
+  var tag = /<(\/?)(?:[\w.-]+:)?([\w.-]+)([^>]*?)(\/?)>|([^<]+)/g
+    , root = { children: {} }
+    , stack = [root]
+    , match
+
+  xml = xml.replace(/<\?[\s\S]*?\?>/g, '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, function(m, x) {
+    return escape(x)
+  })
+
+  while ((match = tag.exec(xml))) {
+    var top = stack[stack.length - 1]
+
+    if (match[5] !== undefined) {
+      top.text = (top.text || '') + unescape(match[5])
+      continue
+    }
+    if (match[1]) {
+      stack.pop()
+      continue
+    }
+    var node = { name: match[2], children: {}, nil: /nil="(true|1)"/.test(match[3]) }
+
+    top.children[node.name] = top.children[node.name] || []
+    top.children[node.name].push(node)
+    if (!match[4]) stack.push(node)
+  }
+
+  function value(node) {
+    var keys = Object.keys(node.children)
+
+    if (node.nil) return null
+    if (!keys.length) return node.text === undefined ? '' : node.text
+
+    var obj = {}
+    keys.forEach(function(key) {
+      var list = node.children[key].map(value)
+      obj[key] = list.length > 1 ? list : list[0]
+    })
+    return obj
+  }
+
+  var envelope = value(root).Envelope || {}
+    , body = envelope.Body || {}
+    , operation = Object.keys(body)[0]
+
+  return {
+    operation: operation
+  , params: body[operation] || {}
+  }
+}
+
+/**
+ * Build a SOAP response envelope
+ *
+ * @param {String} inner body xml
+ * @return {String} xml
+ */
+
+function envelope(body) {
+  return '<?xml version="1.0" encoding="utf-8"?>'
+    + '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"'
+    + ' xmlns:xsd="http://www.w3.org/2001/XMLSchema"'
+    + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + `<soapenv:Body>${body}</soapenv:Body>`
+    + '</soapenv:Envelope>'
+}
+
+/**
+ * Build a SOAP fault envelope, the same as the Axis server Neulion runs
+ *
+ * @param {String} fault code
+ * @param {String} fault string
+ * @return {String} xml
+ */
+
+function faultXML(code, str) {
+  return envelope('<soapenv:Fault>'
+    + `<faultcode>${escape(code)}</faultcode>`
+    + `<faultstring>${escape(str)}</faultstring>`
+    + '<detail><ns1:hostname xmlns:ns1="http://xml.apache.org/axis/">fnycweb01</ns1:hostname></detail>'
+    + '</soapenv:Fault>')
+}
+
+/**
+ * Build a typed leaf element, nil if the value is missing
+ *
+ * @param {String} name
+ * @param {Any} value
+ * @param {String} xsi type
+ * @return {String} xml
+ */
+
+function leaf(name, val, type) {
+  if (val === null || val === undefined) return `<${name} xsi:nil="true"/>`
+  return `<${name} xsi:type="${type || 'xsd:string'}">${escape(val)}</${name}>`
+}
+
+/**
+ * Build an array element, items are named after the array itself
+ *
+ * @param {String} name
+ * @param {Array} values
+ * @param {String} xsi type of items
+ * @return {String} xml
+ */
+
+function list(name, vals, type) {
+  if (!vals) return `<${name} xsi:nil="true"/>`
+  return `<${name}>${vals.map(function(x) { return leaf(name, x, type) }).join('')}</${name}>`
+}
+
+/**
+ * Build a program detail element
+ *
+ * @param {Object} program
+ * @return {String} xml
+ */
+
+function programXML(program) {
+  var fields = [
+    'altDesc', 'altName', 'archiveTime', 'bigImage', 'bigImageUrl', 'categoryIdArray', 'data1'
+  , 'data2', 'desc', 'endTime', 'eventId', 'extUrl', 'gameId', 'gameTime', 'groupId', 'highlightType'
+  , 'name', 'progDate', 'programId', 'programType', 'regRequired', 'shareInPlayer', 'smallImage'
+  , 'smallImageUrl', 'startTime', 'tagArray', 'updateTime', 'videoName', 'videoTime', 'videoUrl'
+  ]
+
+  return '<ProgramDetail>' + fields.map(function(key) {
+    if (key === 'categoryIdArray') return list(key, program[key], 'xsd:int')
+    if (key === 'tagArray') return list(key, program[key])
+    return leaf(key, program[key], PROGRAM_TYPES[key])
+  }).join('') + '</ProgramDetail>'
+}
+
+/**
+ * Convert a program detail from a request into a stored program
+ *
+ * @param {Object} request detail
+ * @return {Object} program
+ */
+
+function programFromRequest(detail) {
+  var program = {}
+
+  _.each(detail || {}, function(val, key) {
+    if (key === 'categoryIdArray' || key === 'tagArray') {
+      var items = val && (val.item || val[key])
+      val = val === null ? null : [].concat(items === undefined ? [] : items)
+      if (val && key === 'categoryIdArray') val = val.map(Number)
+    } else if (val !== null && PROGRAM_TYPES[key] === 'xsd:int') {
+      val = +val
+    } else if (val !== null && PROGRAM_TYPES[key] === 'xsd:boolean') {
+      val = val === 'true'
+    }
+    program[key] = val
+  })
+  return program
+}
+
+/**
+ * Format a date the same as the `updateTime` field, `yyyyMMddhhmmss`
+ *
+ * @param {Date} date
+ * @return {String} update time
+ */
+
+function updateTime(date) {
+  return date.toISOString().replace(/[^\d]/g, '').slice(0, 14)
+}
+
+/**
+ * Key for a recorded request, secrets are never part of the key
+ *
+ * @param {String} operation
+ * @param {Object} params
+ * @return {String} fixture file name
+ */
+
+function fixtureName(operation, params) {
+  var hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(_.omit(params, SECRETS)))
+    .digest('hex')
+    .slice(0, 12)
+
+  return `${operation}-${hash}.json`
+}
+
+/**
+ * Fake Neulion ContentWS server. Serves the WSDL from `test/fixtures` and
+ * answers from an in-memory dataset by default.
+ *
+ * @param {Object} options
+ *   - `data` {Object} dataset (default `FakeServer.dataset()`)
+ *   - `record` {Object} proxy to `target` WSDL url, saving fixtures and the WSDL in `dir`
+ *   - `replay` {String} answer from fixtures saved in this directory, with the
+ *     recorded WSDL when there is one
+ */
+
+function FakeServer(options) {
+  var self = this
+    , opts = options || {}
+
+  this.data = opts.data || dataset()
+  this.record = opts.record || null
+  this.replay = opts.replay || null
+  this.faults = {}
+  this.delays = {}
+  this.codes = {}
+  this.requests = []
+  this.server = http.createServer(function(req, res) {
+    self.handle(req, res)
+  })
+}
+
+/**
+ * Start listening on a random port
+ *
+ * @return {Promise} promise, resolves the WSDL url
+ */
+
+FakeServer.prototype.listen = function() {
+  var self = this
+
+  return new Promise(function(res, rej) {
+    self.server.once('error', rej)
+    self.server.listen(0, '127.0.0.1', function() {
+      self.base = `http://127.0.0.1:${self.server.address().port}`
+      self.url = `${self.base}${SERVICE_PATH}?wsdl`
+      res(self.url)
+    })
+  })
+}
+
+/**
+ * Stop listening
+ *
+ * @return {Promise} promise
+ */
+
+FakeServer.prototype.close = function() {
+  var self = this
+
+  return new Promise(function(res) {
+    self.server.close(function() { res() })
+  })
+}
+
+/**
+ * Respond with a fault for the next calls to an operation
+ *
+ * @param {String} operation
+ * @param {String} fault code
+ * @param {String} fault string
+ * @param {Number} times (default 1)
+ * @return {FakeServer} this
+ */
+
+FakeServer.prototype.fault = function(operation, code, str, times) {
+  this.faults[operation] = {
+    code: code
+  , string: str || code
+  , times: times || 1
+  }
+  return this
+}
+
+/**
+ * Delay the next responses for an operation, or the WSDL with `wsdl`
+ *
+ * @param {String} operation
+ * @param {Number} milliseconds
+ * @param {Number} times (default 1)
+ * @return {FakeServer} this
+ */
+
+FakeServer.prototype.delay = function(operation, ms, times) {
+  this.delays[operation] = {
+    ms: ms
+  , times: times || 1
+  }
+  return this
+}
+
+/**
+ * Invalidate all issued auth codes, later calls fail with `INVALID_AUTH_CODE`
+ *
+ * @return {FakeServer} this
+ */
+
+FakeServer.prototype.expireAuth = function() {
+  this.codes = {}
+  return this
+}
+
+/**
+ * Count the requests made for an operation
+ *
+ * @param {String} operation
+ * @return {Number} count
+ */
+
+FakeServer.prototype.count = function(operation) {
+  return this.requests.filter(function(x) {
+    return x.operation === operation
+  }).length
+}
+
+/**
+ * Get the params of every request made for an operation
+ *
+ * @param {String} operation
+ * @return {Array} params
+ */
+
+FakeServer.prototype.sent = function(operation) {
+  return _.pluck(_.where(this.requests, { operation: operation }), 'params')
+}
+
+/**
+ * Send an XML response
+ *
+ * @param {Object} http response
+ * @param {Number} status code
+ * @param {String} xml
+ */
+
+function send(res, status, xml) {
+  res.writeHead(status, {
+    'Content-Type': 'text/xml; charset=utf-8'
+  , 'Content-Length': Buffer.byteLength(xml)
+  })
+  res.end(xml)
+}
+
+/**
+ * Handle a HTTP request
+ *
+ * @param {Object} http request
+ * @param {Object} http response
+ */
+
+FakeServer.prototype.handle = function(req, res) {
+  var self = this
+    , body = ''
+
+  // Wait for any delay set for the operation
+  function later(operation, fn) {
+    var delay = self.delays[operation]
+
+    if (!delay) return fn()
+    if (--delay.times <= 0) delete self.delays[operation]
+    setTimeout(fn, delay.ms)
+  }
+
+  req.setEncoding('utf8')
+  req.on('data', function(x) { body += x })
+  req.on('end', function() {
+    if (req.method === 'GET') {
+      return later('wsdl', function() { self.wsdl(res) })
+    }
+    if (self.record) return self.proxy(req, body, res)
+
+    var call = parseRequest(body)
+    self.requests.push(call)
+
+    later(call.operation, function() {
+      self.answer(call, res)
+    })
+  })
+}
+
+/**
+ * Answer a parsed call, from fixtures when replaying
+ *
+ * @param {Object} parsed call
+ * @param {Object} http response
+ */
+
+FakeServer.prototype.answer = function(call, res) {
+  var self = this
+
+  if (self.replay) return self.fromFixture(call, res)
+
+  var fault = self.faults[call.operation]
+  if (fault) {
+    if (--fault.times <= 0) delete self.faults[call.operation]
+    return send(res, 500, faultXML(fault.code, fault.string))
+  }
+
+  try {
+    send(res, 200, envelope(self.respond(call.operation, call.params)))
+  } catch (err) {
+    send(res, 500, faultXML(err.code || 'soapenv:Server.userException', err.message))
+  }
+}
+
+/**
+ * Serve the WSDL, pointing the service address back at this server. When
+ * recording, the upstream WSDL is saved next to the fixtures, and served
+ * again when replaying them.
+ *
+ * @param {Object} http response
+ */
+
+FakeServer.prototype.wsdl = function(res) {
+  var self = this
+    , recorded = this.replay && path.join(this.replay, WSDL_FIXTURE)
+
+  function done(xml) {
+    send(res, 200, xml.replace(/(<wsdlsoap:address\s+location=")[^"]*(")/, `$1${self.base}${SERVICE_PATH}$2`))
+  }
+
+  if (recorded && fs.existsSync(recorded)) return done(fs.readFileSync(recorded, 'utf8'))
+  if (!this.record) return done(fs.readFileSync(WSDL_PATH, 'utf8'))
+
+  request(this.record.target, 'GET', null, null, function(err, status, xml) {
+    if (err) return send(res, 502, err.message)
+
+    // Keep the real service address for forwarding calls
+    var match = xml.match(/<wsdlsoap:address\s+location="([^"]*)"/)
+    self.record.location = match ? match[1] : self.record.target.replace(/\?wsdl$/i, '')
+
+    if (status === 200) {
+      if (!fs.existsSync(self.record.dir)) fs.mkdirSync(self.record.dir)
+      fs.writeFileSync(path.join(self.record.dir, WSDL_FIXTURE), xml)
+    }
+    done(xml)
+  })
+}
+
+/**
+ * Answer a call from the in-memory dataset
+ *
+ * @param {String} operation
+ * @param {Object} params
+ * @return {String} response body xml
+ */
+
+FakeServer.prototype.respond = function(operation, params) {
+  var data = this.data
+    , code
+
+  function fail(faultcode, str) {
+    var err = new Error(str)
+    err.code = faultcode
+    throw err
+  }
+
+  function number(val) {
+    if (!/^-?\d+$/.test(val)) {
+      fail('soapenv:Server.userException', `java.lang.NumberFormatException: For input string: "${val}"`)
+    }
+    return +val
+  }
+
+  function find(id) {
+    return _.find(data.programs, function(x) {
+      return x.programId === number(id)
+    })
+  }
+
+  if (operation === 'authenticate') {
+    if (data.users[params.loginId] !== params.password) fail('INVALID_LOGIN', 'Invalid login or password')
+
+    code = crypto.randomBytes(8).toString('hex')
+    this.codes[code] = true
+    return `<authenticateResponse>${leaf('authenticateReturn', code)}</authenticateResponse>`
+  }
+
+  if (!this.codes[params.authCode]) fail('INVALID_AUTH_CODE', 'Invalid auth code')
+
+  switch (operation) {
+    case 'searchVodPrograms':
+      var found = data.programs.filter(function(x) {
+        if (params.groupId && x.groupId !== number(params.groupId)) return false
+        if (params.name && x.name !== params.name) return false
+        if (params.description && x.desc !== params.description) return false
+        if (params.updateTime && x.updateTime < params.updateTime) return false
+        if (params.progDate && x.progDate.slice(0, 10) !== new Date(params.progDate).toISOString().slice(0, 10)) return false
+        return true
+      })
+      return `<searchVodProgramsResponse>${list('ArrayOfInteger', _.pluck(found, 'programId'), 'xsd:int')}</searchVodProgramsResponse>`
+
+    case 'getCategories':
+      return '<getCategoriesResponse><ArrayOfCategory>' + data.categories.map(function(x) {
+        return '<ArrayOfCategory>'
+          + leaf('categoryId', x.categoryId, 'xsd:int')
+          + leaf('categoryKey', x.categoryKey)
+          + leaf('name', x.name)
+          + leaf('parentId', x.parentId, 'xsd:int')
+          + '</ArrayOfCategory>'
+      }).join('') + '</ArrayOfCategory></getCategoriesResponse>'
+
+    case 'getProgramDetail':
+      var program = find(params.programId)
+
+      // Unknown programs come back as an empty response
+      if (!program) return '<getProgramDetailResponse/>'
+      return `<getProgramDetailResponse>${programXML(program)}</getProgramDetailResponse>`
+
+    case 'createVodProgram':
+      var created = _.extend(programFromRequest(params.ProgramDetail), {
+        programId: _.max(_.pluck(data.programs, 'programId').concat(0)) + 1
+      , updateTime: updateTime(new Date())
+      })
+      data.programs.push(created)
+      return `<createVodProgramResponse>${leaf('createVodProgramReturn', created.programId, 'xsd:int')}</createVodProgramResponse>`
+
+    case 'updateVodProgram':
+      var existing = find(params.programId)
+      if (existing) {
+        _.extend(existing, programFromRequest(params.ProgramDetail), {
+          programId: existing.programId
+        , updateTime: updateTime(new Date())
+        })
+      }
+      return `<updateVodProgramResponse>${leaf('updateVodProgramReturn', !!existing, 'xsd:boolean')}</updateVodProgramResponse>`
+
+    case 'deleteVodProgram':
+      var removed = find(params.programId)
+      data.programs = _.without(data.programs, removed)
+      return `<deleteVodProgramResponse>${leaf('deleteVodProgramReturn', !!removed, 'xsd:boolean')}</deleteVodProgramResponse>`
+  }
+  fail('soapenv:Server.userException', `No such operation '${operation}'`)
+}
+
+/**
+ * Forward a call to the real endpoint and save the response as a fixture.
+ * The `authCode` returned by `authenticate` is replaced before saving.
+ *
+ * @param {Object} http request
+ * @param {String} request body
+ * @param {Object} http response
+ */
+
+FakeServer.prototype.proxy = function(req, body, res) {
+  var self = this
+    , call = parseRequest(body)
+    , headers = _.pick(req.headers, 'content-type', 'soapaction')
+
+  this.requests.push(call)
+
+  request(this.record.location, 'POST', headers, body, function(err, status, xml) {
+    if (err) return send(res, 502, err.message)
+
+    var saved = xml
+    if (call.operation === 'authenticate') {
+      saved = xml.replace(/(<(?:\w+:)?authenticateReturn[^>]*>)[^<]*/, `$1${RECORDED_AUTH_CODE}`)
+    }
+
+    var fixture = {
+      operation: call.operation
+    , params: _.omit(call.params, SECRETS)
+    , status: status
+    , body: saved
+    }
+
+    if (!fs.existsSync(self.record.dir)) fs.mkdirSync(self.record.dir)
+    fs.writeFileSync(path.join(self.record.dir, fixtureName(call.operation, call.params)), JSON.stringify(fixture, null, 2))
+    send(res, status, xml)
+  })
+}
+
+/**
+ * Answer a call from a recorded fixture
+ *
+ * @param {Object} parsed call
+ * @param {Object} http response
+ */
+
+FakeServer.prototype.fromFixture = function(call, res) {
+  var fpath = path.join(this.replay, fixtureName(call.operation, call.params))
+
+  if (!fs.existsSync(fpath)) {
+    return send(res, 500, faultXML('soapenv:Server', `No recorded fixture for ${call.operation} ${JSON.stringify(_.omit(call.params, SECRETS))}`))
+  }
+  var fixture = JSON.parse(fs.readFileSync(fpath, 'utf8'))
+  send(res, fixture.status, fixture.body)
+}
+
+/**
+ * Minimal HTTP(S) request helper
+ *
+ * @param {String} url
+ * @param {String} method
+ * @param {Object} headers
+ * @param {String} body
+ * @param {Function} callback `(err, status, body)`
+ */
+
+function request(uri, method, headers, body, next) {
+  var opts = _.extend(url.parse(uri), {
+    method: method
+  , headers: headers || {}
+  })
+
+  var req = (opts.protocol === 'https:' ? https : http).request(opts, function(res) {
+    var data = ''
+    res.setEncoding('utf8')
+    res.on('data', function(x) { data += x })
+    res.on('end', function() { next(null, res.statusCode, data) })
+  })
+  req.on('error', next)
+  req.end(body || undefined)
+}
+
+/*!
+ * Exports
+ */
+
+FakeServer.dataset = dataset
+FakeServer.parseRequest = parseRequest
+
+module.exports = FakeServer
@@ -0,0 +1,196 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , assert = require('assert')
+  , ase = assert.strictEqual
+  , Cache = require('../lib/cache')
+
+/**
+ * Loader counting how many times it was called
+ *
+ * @param {Any} value to resolve
+ * @return {Function} loader
+ */
+
+function loader(val) {
+  function load() {
+    load.calls += 1
+    return new Promise(function(res) {
+      setTimeout(function() { res(val) }, 5)
+    })
+  }
+  load.calls = 0
+  return load
+}
+
+var params = {
+  authCode: '{authCode}'
+, programId: 65041
+}
+
+/*!
+ * Test
+ */
+
+describe('Cache', function() {
+
+  it('caches read operations', function(done) {
+    var cache = new Cache(true)
+      , load = loader({ ProgramDetail: {} })
+
+    cache
+      .fetch('getProgramDetail', params, load)
+      .then(function() {
+        return cache.fetch('getProgramDetail', params, load)
+      })
+      .then(function(resp) {
+        assert(resp.ProgramDetail)
+        ase(load.calls, 1)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('never caches write operations', function(done) {
+    var cache = new Cache({ ttl: 60000 })
+      , load = loader(true)
+
+    ase(cache.key('deleteVodProgram', params), null)
+
+    cache
+      .fetch('deleteVodProgram', params, load)
+      .then(function() {
+        return cache.fetch('deleteVodProgram', params, load)
+      })
+      .then(function() {
+        ase(load.calls, 2)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('coalesces concurrent requests', function(done) {
+    var cache = new Cache(true)
+      , load = loader('ids')
+
+    Promise
+      .all([
+        cache.fetch('searchVodPrograms', '<xml/>', load)
+      , cache.fetch('searchVodPrograms', '<xml/>', load)
+      , cache.fetch('searchVodPrograms', '<xml/>', load)
+      ])
+      .then(function(results) {
+        ase(load.calls, 1)
+        assert.deepEqual(results, ['ids', 'ids', 'ids'])
+        done()
+      })
+      .catch(done)
+  })
+
+  it('invalidate', function(done) {
+    var cache = new Cache(true)
+      , load = loader({ ProgramDetail: {} })
+
+    cache
+      .fetch('getProgramDetail', params, load)
+      .then(function() {
+        return cache.invalidate('65041')
+      })
+      .then(function() {
+        return cache.fetch('getProgramDetail', params, load)
+      })
+      .then(function() {
+        ase(load.calls, 2)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('keeps the groups and endpoints of a shared store apart', function(done) {
+    var store = new Cache.LruStore()
+      , first = new Cache({ store: store, group: 404, endpoint: 'http://a/wsdl' })
+      , second = new Cache({ store: store, group: 505, endpoint: 'http://a/wsdl' })
+      , other = new Cache({ store: store, group: 404, endpoint: ['http://b/wsdl', 'http://c/wsdl'] })
+      , load = loader({ ProgramDetail: {} })
+
+    ase(first.key('getProgramDetail', 'x'), 'http://a/wsdl:404:getProgramDetail:x')
+    ase(other.key('getProgramDetail', 'x'), 'http://b/wsdl,http://c/wsdl:404:getProgramDetail:x')
+
+    Promise
+      .all([first, second, other].map(function(cache) {
+        return cache.fetch('getProgramDetail', params, load)
+      }))
+      .then(function() {
+        ase(load.calls, 3)
+        return first.invalidate(65041)
+      })
+      .then(function() {
+        return Promise.all([first, second, other].map(function(cache) {
+          return cache.fetch('getProgramDetail', params, load)
+        }))
+      })
+      .then(function() {
+        // Only the first group was loaded again
+        ase(load.calls, 4)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('lru eviction and expiry', function(done) {
+    var store = new Cache.LruStore({ max: 2 })
+
+    Promise
+      .all([
+        store.set('a', 1, 60000)
+      , store.set('b', 2, 60000)
+      , store.set('c', 3, 60000)
+      , store.set('d', 4, -1)
+      ])
+      .then(function() {
+        return Promise.all(['a', 'b', 'c', 'd'].map(function(x) {
+          return store.get(x)
+        }))
+      })
+      .then(function(values) {
+        assert.deepEqual(values, [undefined, undefined, 3, undefined])
+        done()
+      })
+      .catch(done)
+  })
+
+  it('file store', function(done) {
+    var dir = path.join(os.tmpdir(), `neulion-cache-${process.pid}`)
+      , cache = new Cache({ store: new Cache.FileStore(dir) })
+      , load = loader({ ProgramDetail: { name: 'some name' } })
+
+    cache
+      .fetch('getProgramDetail', params, load)
+      .then(function() {
+        return cache.fetch('getProgramDetail', params, load)
+      })
+      .then(function(resp) {
+        ase(resp.ProgramDetail.name, 'some name')
+        ase(load.calls, 1)
+        return cache.clear()
+      })
+      .then(function() {
+        return cache.fetch('getProgramDetail', params, load)
+      })
+      .then(function() {
+        ase(load.calls, 2)
+        return cache.clear()
+      })
+      .then(function() {
+        fs.rmdirSync(dir)
+        done()
+      })
+      .catch(done)
+  })
+})
@@ -0,0 +1,270 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , assert = require('assert')
+  , _ = require('underscore')
+  , ase = assert.strictEqual
+  , ChangeFeed = require('../lib/change-feed')
+  , Logger = require('../lib/logger')
+
+/**
+ * Fake API returning the queued `list` results in order
+ *
+ * @param {Array} results
+ * @return {Object} api
+ */
+
+function fakeApi(results, details) {
+  return {
+    config: { group: 404 }
+  , log: new Logger({ logger: function() {} })
+  , calls: []
+  , loaded: []
+  , list: function(params, options) {
+      this.calls.push(params)
+      return Promise.resolve(results.shift() || { programs: [], failures: [] })
+    }
+  , detailsMany: function(ids, options) {
+      this.loaded.push(ids)
+      return Promise.resolve(details(ids))
+    }
+  }
+}
+
+/*!
+ * Test
+ */
+
+describe('ChangeFeed', function() {
+  var program = { programId: 1, name: 'first', tagArray: ['goal'], updateTime: '20151028103333' }
+
+  it('added, updated and removed', function(done) {
+    var renamed = { programId: 1, name: 'renamed', tagArray: ['goal'], updateTime: '20151028110000' }
+      , api = fakeApi([
+      { programs: [program], failures: [] }
+    , { programs: [renamed], failures: [] }
+    , { programs: [renamed], failures: [] }
+    , { programs: [], failures: [{ id: 1, reason: 'not-found', error: null }] }
+    ])
+    var feed = new ChangeFeed(api)
+      , events = []
+
+    feed
+      .on('added', function(x) {
+        events.push(['added', x.programId])
+      })
+      .on('updated', function(x, changes, prev) {
+        events.push(['updated', x.programId, changes, prev.name])
+      })
+      .on('removed', function(id, prev) {
+        events.push(['removed', id, prev.name])
+      })
+
+    feed
+      .poll()
+      .then(function() {
+        return feed.poll()
+      })
+      .then(function() {
+        return feed.poll()
+      })
+      .then(function() {
+        return feed.poll()
+      })
+      .then(function() {
+        // Seen again without changes in the third poll
+        assert.deepEqual(events, [
+          ['added', 1]
+        , ['updated', 1, {
+            name: { from: 'first', to: 'renamed' }
+          , updateTime: { from: '20151028103333', to: '20151028110000' }
+          }, 'first']
+        , ['removed', 1, 'renamed']
+        ])
+        assert(api.calls[0].updateTime instanceof Date)
+        assert.deepEqual(feed.state.programs, {})
+        done()
+      })
+      .catch(done)
+  })
+
+  it('checkpoints the server update time with an overlap', function(done) {
+    var api = fakeApi([{ programs: [program], failures: [] }])
+      , feed = new ChangeFeed(api, { since: new Date('2015-10-28T00:00:00Z'), overlap: 1000 })
+      , checkpoints = []
+
+    feed.on('checkpoint', function(date) {
+      checkpoints.push(date.toISOString())
+    })
+
+    feed
+      .poll()
+      .then(function(checkpoint) {
+        ase(checkpoint, '2015-10-28T10:33:33.000Z')
+        ase(api.calls[0].updateTime.toISOString(), '2015-10-27T23:59:59.000Z')
+        ase(typeof feed.state.programs[1].hash, 'string')
+        ase(feed.state.programs[1].program.name, 'first')
+        return feed.poll()
+      })
+      .then(function(checkpoint) {
+        // Nothing new, the checkpoint stays
+        ase(checkpoint, '2015-10-28T10:33:33.000Z')
+        ase(api.calls[1].updateTime.toISOString(), '2015-10-28T10:33:32.000Z')
+        assert.deepEqual(checkpoints, ['2015-10-28T10:33:33.000Z', '2015-10-28T10:33:33.000Z'])
+        done()
+      })
+      .catch(done)
+  })
+
+  it('sweeps known programs for removals', function(done) {
+    var other = { programId: 2, name: 'second' }
+      , api = fakeApi([{ programs: [program, other], failures: [] }, { programs: [other], failures: [] }], function(ids) {
+        return { programs: [], failures: ids.map(function(id) { return { id: id, reason: 'not-found', error: null } }) }
+      })
+      , feed = new ChangeFeed(api, { sweep: 60 * 1000 })
+      , removed = []
+
+    feed.on('removed', function(id) {
+      removed.push(id)
+    })
+
+    feed
+      .poll()
+      .then(function() {
+        // Programs loaded by the poll itself are not loaded again
+        assert.deepEqual(api.loaded, [])
+        assert(feed.state.swept)
+        feed.state.swept = null
+        return feed.poll()
+      })
+      .then(function() {
+        assert.deepEqual(api.loaded, [[1]])
+        assert.deepEqual(removed, [1])
+        assert(feed.state.swept)
+        return feed.poll()
+      })
+      .then(function() {
+        // Not due yet
+        ase(api.loaded.length, 1)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('keeps the checkpoint on failures', function(done) {
+    var err = new Error('such fail')
+      , api = fakeApi([{ programs: [], failures: [{ id: 2, reason: 'soap', error: err }] }])
+      , feed = new ChangeFeed(api, { since: new Date(0) })
+      , errors = []
+
+    feed.on('error', function(e) {
+      errors.push(e)
+    })
+
+    feed
+      .poll()
+      .then(function(checkpoint) {
+        ase(checkpoint, null)
+        ase(errors[0], err)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('resumes from a file store', function(done) {
+    var fpath = path.join(os.tmpdir(), `neulion-feed-${process.pid}.json`)
+      , store = new ChangeFeed.FileStore(fpath)
+      , first = new ChangeFeed(fakeApi([{ programs: [program], failures: [] }]), { store: store })
+      , api = fakeApi([])
+
+    first
+      .poll()
+      .then(function(checkpoint) {
+        var second = new ChangeFeed(api, { store: store })
+          , added = 0
+
+        second.on('added', function() {
+          added += 1
+        })
+
+        return second.poll().then(function() {
+          ase(+api.calls[0].updateTime, +new Date(checkpoint) - 60 * 1000)
+          ase(added, 0)
+          ase(second.state.programs[1].program.name, 'first')
+        })
+      })
+      .then(function() {
+        fs.unlinkSync(fpath)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('only stores and compares the given fields', function(done) {
+    var renamed = _.extend({}, program, { name: 'renamed', updateTime: '20151028110000' })
+      , tagged = _.extend({}, renamed, { tagArray: ['goal', 'highlight'] })
+      , api = fakeApi([
+      { programs: [program], failures: [] }
+    , { programs: [renamed], failures: [] }
+    , { programs: [tagged], failures: [] }
+    ])
+      , feed = new ChangeFeed(api, { fields: ['tagArray'] })
+      , updates = []
+
+    feed.on('updated', function(x, changes, prev) {
+      updates.push([changes, prev])
+    })
+
+    feed
+      .poll()
+      .then(function() {
+        assert.deepEqual(feed.state.programs[1].program, { tagArray: ['goal'] })
+        return feed.poll()
+      })
+      .then(function() {
+        // Renaming alone is not an update
+        ase(updates.length, 0)
+        return feed.poll()
+      })
+      .then(function() {
+        assert.deepEqual(updates, [[
+          { tagArray: { from: ['goal'], to: ['goal', 'highlight'] } }
+        , { tagArray: ['goal'] }
+        ]])
+        done()
+      })
+      .catch(done)
+  })
+
+  it('upgrades programs stored in full or by their hash', function(done) {
+    var store = new ChangeFeed.MemoryStore()
+      , api = fakeApi([{ programs: [program], failures: [] }])
+      , events = 0
+
+    store
+      .set('neulion:404', { checkpoint: '2015-10-28T10:33:33.000Z', programs: { 1: program, 2: 'f00' } })
+      .then(function() {
+        var feed = new ChangeFeed(api, { store: store })
+
+        feed.on('added', function() { events += 1 })
+        feed.on('updated', function() { events += 1 })
+        return feed.poll()
+      })
+      .then(function() {
+        return store.get('neulion:404')
+      })
+      .then(function(state) {
+        ase(events, 0)
+        assert.deepEqual(state.programs[1].program, program)
+        assert.deepEqual(state.programs[2], { hash: 'f00', program: null })
+        done()
+      })
+      .catch(done)
+  })
+})
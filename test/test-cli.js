@@ -0,0 +1,145 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , argv = require('yargs').argv
+
+if (!argv.integration) {
+  require('./mock')
+}
+
+var cli = require('../lib/cli')
+  , Neulion = require('../index')
+
+/**
+ * Run the command line tool, capturing all output
+ *
+ * @param {Array} arguments
+ * @return {Promise} promise, resolves `{ code, stdout, stderr }`
+ */
+
+function run(args) {
+  var out = { stdout: '', stderr: '' }
+
+  var io = {
+    stdout: { write: function(x) { out.stdout += x } }
+  , stderr: { write: function(x) { out.stderr += x } }
+  }
+
+  return cli.run(args, io).then(function(code) {
+    out.code = code
+    return out
+  })
+}
+
+/*!
+ * Test
+ */
+
+describe('cli', function() {
+  this.timeout(5000)
+
+  var programId = String(argv.id || 65041)
+
+  it('usage', function(done) {
+    run(['nope'])
+      .then(function(out) {
+        ase(out.code, 2)
+        assert(~out.stderr.indexOf('Usage'))
+        return run(['details', programId, '--format', 'xml'])
+      })
+      .then(function(out) {
+        ase(out.code, 2)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('details ndjson', function(done) {
+    run(['details', programId, programId, '--format', 'ndjson'])
+      .then(function(out) {
+        var lines = out.stdout.trim().split('\n')
+
+        ase(out.code, 0)
+        ase(lines.length, 1)
+        ase(JSON.parse(lines[0]).programId, +programId)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('details failure exit code', function(done) {
+    run(['details', 'foobar'])
+      .then(function(out) {
+        ase(out.code, 6)
+        assert(~out.stderr.indexOf('foobar'))
+        done()
+      })
+      .catch(done)
+  })
+
+  it('categories csv', function(done) {
+    run(['categories', '--tree', '--format', 'csv'])
+      .then(function(out) {
+        var lines = out.stdout.trim().split('\r\n')
+
+        ase(out.code, 0)
+        ase(lines[0], 'categoryId,categoryKey,name,parentId,depth,path')
+        done()
+      })
+      .catch(done)
+  })
+
+  it('search table', function(done) {
+    run(['search', '--progDate', '2015-10-28', '--format', 'table'])
+      .then(function(out) {
+        ase(out.code, 0)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('auth-check', function(done) {
+    run(['auth-check', '--group', '101'])
+      .then(function(out) {
+        ase(out.code, 0)
+        ase(JSON.parse(out.stdout)[0].group, 101)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('format', function() {
+    var rows = [
+      { id: 1, name: 'a, "b"', tags: ['x', 'y'], date: new Date(0) }
+    ]
+
+    ase(cli.format(rows, 'csv'), 'id,name,tags,date\r\n1,"a, ""b""",x|y,1970-01-01T00:00:00.000Z\r\n')
+    ase(cli.format([1, 2], 'table'), 'value\n1\n2\n')
+  })
+
+  it('exit codes', function() {
+    ase(cli.exitCode(new Neulion.AuthenticationError('nope')), 4)
+    ase(cli.exitCode(new Neulion.SoapError('nope')), 5)
+    ase(cli.exitCode(new Neulion.NotConnectedError('nope')), 3)
+    ase(cli.exitCode(new Neulion.NotFoundError('nope')), 8)
+    ase(cli.exitCode(new Neulion.ServerError('nope')), 11)
+    ase(cli.exitCode(new Error('nope')), 1)
+  })
+
+  it('gateway', function() {
+    var err = ''
+      , io = { stderr: { write: function(x) { err += x } } }
+
+    return cli.serve(['--port', '0', '--host', '127.0.0.1', '--api-key', 'a', '--api-key', 'b', '--prefix', '/v1'], io)
+      .then(function(gateway) {
+        assert.deepEqual(gateway.apiKeys, ['a', 'b'])
+        assert(/^neulion-gateway: listening on http:\/\/127\.0\.0\.1:\d+\/v1\n$/.test(err))
+        return gateway.close()
+      })
+  })
+})
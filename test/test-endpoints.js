@@ -0,0 +1,58 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , Endpoints = require('../lib/endpoints')
+  , Errors = require('../lib/errors')
+
+/*!
+ * Test
+ */
+
+describe('endpoints', function() {
+  var list = ['a', 'b', 'c']
+
+  it('priority', function() {
+    var pool = new Endpoints(list.concat('a'))
+
+    assert.deepEqual(pool.order(), ['a', 'b', 'c'])
+    pool.fail('a')
+    assert.deepEqual(pool.order(), ['b', 'c', 'a'])
+    pool.use('b')
+    pool.fail('c')
+    assert.deepEqual(pool.order(), ['b', 'a', 'c'])
+    assert.deepEqual(pool.status().map(function(x) {
+      return [x.endpoint, x.active, x.available]
+    }), [['a', false, false], ['b', true, true], ['c', false, false]])
+  })
+
+  it('round-robin', function() {
+    var pool = new Endpoints(list, { strategy: 'round-robin', cooldown: 0 })
+
+    assert.deepEqual(pool.order(), ['a', 'b', 'c'])
+    assert.deepEqual(pool.order(), ['b', 'c', 'a'])
+    pool.fail('c')
+    assert.deepEqual(pool.order(), ['c', 'a', 'b'])
+    assert.deepEqual(pool.order(), ['a', 'b', 'c'])
+    assert.throws(function() {
+      return new Endpoints(list, { strategy: 'random' })
+    }, TypeError)
+  })
+
+  it('unhealthy', function() {
+    var refused = new Error('connect ECONNREFUSED')
+    refused.code = 'ECONNREFUSED'
+
+    ase(Endpoints.unhealthy(new Errors.NotConnectedError(refused)), true)
+    ase(Endpoints.unhealthy(new Errors.TimeoutError('slow')), true)
+    ase(Endpoints.unhealthy(new Errors.ServerError('down')), true)
+    ase(Endpoints.unhealthy(refused), true)
+    ase(Endpoints.unhealthy(new Errors.RateLimitError('slow down')), false)
+    ase(Endpoints.unhealthy(new Errors.AbortError('stop')), false)
+    ase(Endpoints.unhealthy(new Errors.NotFoundError('gone')), false)
+  })
+})
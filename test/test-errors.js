@@ -0,0 +1,92 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , Errors = require('../lib/errors')
+
+/**
+ * Create an error the same as the SOAP client does for a fault response
+ *
+ * @param {String} fault code
+ * @param {String} fault string
+ * @return {Error} error
+ */
+
+function fault(code, str) {
+  var err = new Error(code + ': ' + str)
+  err.root = {
+    Envelope: {
+      Body: {
+        Fault: {
+          faultcode: code
+        , faultstring: str
+        , detail: { hostname: { '$value': 'fnycweb01' } }
+        }
+      }
+    }
+  }
+  return err
+}
+
+/*!
+ * Test
+ */
+
+describe('errors', function() {
+  var params = { authCode: 'secret', programId: 'x1' }
+
+  it('redact', function() {
+    assert.deepEqual(Errors.redact(params), { authCode: '[redacted]', programId: 'x1' })
+    ase(
+      Errors.redact('<ns1:authenticate><ns1:loginId>me</ns1:loginId><ns1:password>pw</ns1:password></ns1:authenticate>')
+    , '<ns1:authenticate><ns1:loginId>me</ns1:loginId><ns1:password>[redacted]</ns1:password></ns1:authenticate>'
+    )
+  })
+
+  it('number format fault', function() {
+    var err = Errors.fromSoap(fault('soapenv:Server.userException', 'java.lang.NumberFormatException: For input string: "x1"'), 'getProgramDetail', params)
+
+    assert(err instanceof Errors.ValidationError)
+    assert(err instanceof Errors.SoapError)
+    ase(err.code, 'INVALID_INPUT')
+    ase(err.input, 'x1')
+    ase(err.hostname, 'fnycweb01')
+    ase(err.operation, 'getProgramDetail')
+    ase(err.params.authCode, '[redacted]')
+    assert.deepEqual(err.errors, ['getProgramDetail: not a number `x1`'])
+  })
+
+  it('auth and server faults', function() {
+    var auth = Errors.fromSoap(fault('INVALID_AUTH_CODE', 'Invalid auth code'), 'getCategories')
+      , server = Errors.fromSoap(fault('soapenv:Server', 'java.lang.NullPointerException'), 'getCategories')
+      , other = Errors.fromSoap(fault('soapenv:Client', 'Bad request'), 'getCategories')
+
+    assert(auth instanceof Errors.AuthenticationError)
+    ase(auth.code, 'INVALID_AUTH_CODE')
+    assert(server instanceof Errors.ServerError)
+    ase(server.code, 'SERVER_ERROR')
+    ase(server.faultcode, 'soapenv:Server')
+    ase(other.constructor, Errors.SoapError)
+    ase(other.code, 'soapenv:Client')
+  })
+
+  it('transport errors', function() {
+    var timeout = new Error('timed out')
+      , limited = new Error('slow down')
+      , failed = new Error('bad gateway')
+
+    timeout.code = 'ESOCKETTIMEDOUT'
+    limited.response = { statusCode: 429 }
+    failed.response = { statusCode: 502 }
+
+    timeout = Errors.fromSoap(timeout, 'getCategories')
+    ase(timeout.code, 'TIMEOUT')
+    ase(timeout.originalError.code, 'ESOCKETTIMEDOUT')
+    assert(Errors.fromSoap(limited) instanceof Errors.RateLimitError)
+    assert(Errors.fromSoap(failed) instanceof Errors.ServerError)
+  })
+})
@@ -0,0 +1,182 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , feeds = require('../lib/feeds')
+
+/*!
+ * Fixtures
+ */
+
+var CATEGORIES = [
+  { categoryId: 12, categoryKey: 'highlights', name: 'Highlights', parentId: null }
+, { categoryId: 14, categoryKey: 'goals', name: 'Goals & Assists', parentId: 12 }
+]
+
+var PROGRAMS = [
+  {
+    programId: 65041
+  , groupId: 404
+  , name: 'Dempsey goal vs Portland'
+  , desc: 'Clint Dempsey scores <again>'
+  , startTime: new Date('2015-10-28T17:00:00.000Z')
+  , progDate: new Date('2015-10-28T04:00:00.000Z')
+  , updateTime: '20151028103333'
+  , videoUrl: 'http://cdn.x.com/65041.mp4?token=1&x=2'
+  , bigImageUrl: 'http://cdn.x.com/65041-big.jpg'
+  , smallImageUrl: 'http://cdn.x.com/65041-small.jpg'
+  , categoryIdArray: [12, 14, 99]
+  , tagArray: ['goal', 'dempsey']
+  , regRequired: false
+  }
+, {
+    programId: 65042
+  , groupId: 404
+  , name: 'Portland vs Seattle condensed'
+  , progDate: new Date('2015-10-28T04:00:00.000Z')
+  , videoUrl: 'http://cdn.x.com/65042/master.m3u8'
+  , regRequired: true
+  }
+]
+
+var OPTIONS = {
+  title: 'MLS highlights'
+, link: 'http://x.com'
+, feedUrl: 'http://x.com/feed.xml'
+, pageUrl: 'http://x.com/videos/{programId}'
+, categories: CATEGORIES
+}
+
+/*!
+ * Test
+ */
+
+describe('feeds', function() {
+  it('mimeType', function() {
+    ase(feeds.mimeType('http://x.com/a.MP4?b=c.m3u8'), 'video/mp4')
+    ase(feeds.mimeType('http://x.com/a/master.m3u8'), 'application/x-mpegURL')
+    ase(feeds.mimeType('http://x.com/a'), null)
+  })
+
+  it('mediaRss', function() {
+    var rss = feeds.mediaRss(PROGRAMS, OPTIONS)
+
+    assert(~rss.indexOf('<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"'))
+    assert(~rss.indexOf('<atom:link href="http://x.com/feed.xml" rel="self" type="application/rss+xml"/>'))
+    assert(~rss.indexOf('<lastBuildDate>Wed, 28 Oct 2015 10:33:33 GMT</lastBuildDate>'))
+    assert(~rss.indexOf('<link>http://x.com/videos/65041</link>'))
+    assert(~rss.indexOf('<description>Clint Dempsey scores &lt;again&gt;</description>'))
+    assert(~rss.indexOf('<pubDate>Wed, 28 Oct 2015 17:00:00 GMT</pubDate>'))
+    assert(~rss.indexOf('<media:content url="http://cdn.x.com/65041.mp4?token=1&amp;x=2" type="video/mp4" medium="video"/>'))
+    assert(~rss.indexOf('<media:thumbnail url="http://cdn.x.com/65041-big.jpg"/>'))
+    assert(~rss.indexOf('<media:thumbnail url="http://cdn.x.com/65041-small.jpg"/>'))
+    assert(~rss.indexOf('<media:keywords>goal, dempsey</media:keywords>'))
+    assert(~rss.indexOf('<category>Goals &amp; Assists</category>'))
+    assert(~rss.indexOf('<media:category>Highlights</media:category>'))
+    assert(~rss.indexOf('type="application/x-mpegURL"'))
+
+    // Only the registration required program is flagged
+    ase(rss.split('<media:price type="subscription"/>').length, 2)
+    assert(rss.indexOf('<media:price') > rss.indexOf('65042'))
+  })
+
+  it('jsonFeed', function() {
+    var feed = feeds.jsonFeed(PROGRAMS, OPTIONS)
+
+    ase(feed.version, 'https://jsonfeed.org/version/1.1')
+    ase(feed.home_page_url, 'http://x.com')
+    ase(feed.feed_url, 'http://x.com/feed.xml')
+    ase(feed.description, undefined)
+    assert.deepEqual(feed.items[0], {
+      id: '404:65041'
+    , url: 'http://x.com/videos/65041'
+    , title: 'Dempsey goal vs Portland'
+    , content_text: 'Clint Dempsey scores <again>'
+    , image: 'http://cdn.x.com/65041-big.jpg'
+    , date_published: '2015-10-28T17:00:00.000Z'
+    , date_modified: '2015-10-28T10:33:33.000Z'
+    , tags: ['goal', 'dempsey']
+    , attachments: [{ url: 'http://cdn.x.com/65041.mp4?token=1&x=2', mime_type: 'video/mp4' }]
+    , _neulion: {
+        programId: 65041
+      , groupId: 404
+      , categories: ['Highlights', 'Goals & Assists']
+      , regRequired: false
+      }
+    })
+    ase(feed.items[1].content_text, 'Portland vs Seattle condensed')
+    ase(feed.items[1]._neulion.regRequired, true)
+  })
+
+  it('jsonFeed zone', function() {
+    var feed = feeds.jsonFeed(PROGRAMS.slice(0, 1), { zone: 'America/New_York' })
+
+    ase(feed.items[0].date_modified, '2015-10-28T14:33:33.000Z')
+    ase(feed.items[0].url, 'http://cdn.x.com/65041.mp4?token=1&x=2')
+  })
+
+  it('videoSitemap', function() {
+    var xml = feeds.videoSitemap(PROGRAMS, {
+      pageUrl: function(x) {
+        return `http://x.com/videos/${x.programId}?a=1&b=2`
+      }
+    , categories: { byId: { 12: CATEGORIES[0] } }
+    })
+
+    assert(~xml.indexOf('xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"'))
+    assert(~xml.indexOf('<loc>http://x.com/videos/65041?a=1&amp;b=2</loc>'))
+    assert(~xml.indexOf('<video:thumbnail_loc>http://cdn.x.com/65041-big.jpg</video:thumbnail_loc>'))
+    assert(~xml.indexOf('<video:content_loc>http://cdn.x.com/65041.mp4?token=1&amp;x=2</video:content_loc>'))
+    assert(~xml.indexOf('<video:publication_date>2015-10-28T17:00:00.000Z</video:publication_date>'))
+    assert(~xml.indexOf('<video:tag>Highlights</video:tag>'))
+    assert(~xml.indexOf('<video:requires_subscription>no</video:requires_subscription>'))
+
+    // No image, so not allowed in a sitemap
+    assert(!~xml.indexOf('65042'))
+
+    assert.throws(function() {
+      feeds.videoSitemap(PROGRAMS)
+    }, TypeError)
+  })
+
+  it('category names by group', function() {
+    var programs = [
+      { programId: 1, groupId: 404, name: 'a', categoryIdArray: [12] }
+    , { programId: 2, groupId: 505, name: 'b', categoryIdArray: [12] }
+    , { programId: 3, groupId: 606, name: 'c', categoryIdArray: [12] }
+    ]
+    var categories = [
+      { categoryId: 12, name: 'Highlights', groupId: 404 }
+    , { categoryId: 12, name: 'Academy', groupId: 505 }
+    ]
+
+    var feed = feeds.jsonFeed(programs, { categories: categories })
+
+    assert.deepEqual(feed.items.map(function(x) {
+      return x._neulion.categories
+    }), [['Highlights'], ['Academy'], ['Highlights']])
+  })
+
+  it('videoSitemap limits', function() {
+    var long = new Array(30).join('word ')
+      , xml = feeds.videoSitemap([{
+        programId: 1
+      , groupId: 404
+      , name: long
+      , videoUrl: 'http://cdn.x.com/1.mp4'
+      , smallImageUrl: 'http://cdn.x.com/1.jpg'
+      , tagArray: new Array(40).join('x').split('').map(function(x, i) { return 'tag' + i })
+      }], { pageUrl: 'http://x.com/{programId}' })
+
+    var title = /<video:title>(.*)<\/video:title>/.exec(xml)[1]
+
+    assert(title.length <= 100)
+    assert(/word…$/.test(title))
+    ase(xml.split('<video:tag>').length, 33)
+    assert(~xml.indexOf(`<video:description>${long}</video:description>`))
+  })
+})
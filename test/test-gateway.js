@@ -0,0 +1,215 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var http = require('http')
+  , assert = require('assert')
+  , ase = assert.strictEqual
+  , Promise = require('bluebird')
+  , Errors = require('../lib/errors')
+  , Logger = require('../lib/logger')
+  , Gateway = require('../lib/gateway')
+
+/*!
+ * Programs served by the stub API
+ */
+
+var PROGRAMS = {
+  65041: { programId: 65041, groupId: 404, name: 'Dempsey goal', updateTime: '20151028103333' }
+, 65042: { programId: 65042, groupId: 404, name: 'Condensed', updateTime: '20151029080000' }
+}
+
+/**
+ * Stub API instance, recording the calls made
+ *
+ * @return {Object} api
+ */
+
+function stub() {
+  var api = {
+    config: { timezone: 'UTC' }
+  , log: new Logger({ logger: function() {} })
+  , calls: []
+  }
+
+  function details(id) {
+    if (!PROGRAMS[id]) return Promise.reject(new Errors.NotFoundError(`Program \`${id}\` not found`))
+    return Promise.resolve(PROGRAMS[id])
+  }
+
+  api.list = function(params, options) {
+    api.calls.push(['list', params, options])
+    if (params.progDate === 'nope') return Promise.reject(new Errors.ValidationError('Invalid `progDate`: nope'))
+    if (!options.hydrate) return Promise.resolve([65041, 65042])
+    return Promise.resolve({
+      programs: [PROGRAMS[65041], PROGRAMS[65042]]
+    , failures: [{ id: 1, reason: 'not-found', error: new Errors.NotFoundError('gone') }]
+    })
+  }
+  api.range = function(start, end, options) {
+    api.calls.push(['range', start, end, options])
+    return Promise.resolve([65041])
+  }
+  api.details = function(id, options) {
+    api.calls.push(['details', id, options])
+    if (id === 500) return Promise.reject(new Errors.TimeoutError('timed out'))
+    return details(id)
+  }
+  api.categories = function() {
+    return Promise.resolve([{ categoryId: 10, parentId: null }])
+  }
+  api.categoryTree = function() {
+    return Promise.resolve([{ categoryId: 10, children: [] }])
+  }
+  return api
+}
+
+/**
+ * Send a request to the gateway
+ *
+ * @param {String} base url
+ * @param {String} path
+ * @param {Object} options, `method` and `headers`
+ * @return {Promise} promise, resolves `{ status, headers, body }`
+ */
+
+function request(base, path, options) {
+  var opts = options || {}
+
+  return new Promise(function(res, rej) {
+    var req = http.request(base + path, { method: opts.method || 'GET', headers: opts.headers || {} }, function(resp) {
+      var body = ''
+
+      resp.setEncoding('utf8')
+      resp.on('data', function(x) { body += x })
+      resp.on('end', function() {
+        res({
+          status: resp.statusCode
+        , headers: resp.headers
+        , body: body ? JSON.parse(body) : null
+        })
+      })
+    })
+    req.on('error', rej)
+    req.end()
+  })
+}
+
+/*!
+ * Test
+ */
+
+describe('gateway', function() {
+  var api = stub()
+    , gateway = new Gateway(api, { apiKeys: ['secret'], cors: ['https://mlssoccer.com'], prefix: '/v1/' })
+    , base
+
+  // Authorized request
+  function get(path, headers) {
+    return request(base, path, { headers: Object.assign({ 'X-Api-Key': 'secret' }, headers) })
+  }
+
+  before(function() {
+    return gateway.listen(0, '127.0.0.1').then(function(url) {
+      base = url
+    })
+  })
+
+  after(function() {
+    return gateway.close()
+  })
+
+  it('lists programs', function() {
+    return get('/programs?progDate=2015-10-28&name=x&groupId=404')
+      .then(function(resp) {
+        ase(resp.status, 200)
+        assert.deepEqual(resp.body, { ids: [65041, 65042] })
+        assert.deepEqual(api.calls[0][1], { progDate: '2015-10-28', name: 'x', groupId: 404 })
+        return get('/programs?hydrate=1')
+      })
+      .then(function(resp) {
+        ase(resp.body.programs.length, 2)
+        assert.deepEqual(resp.body.failures, [{ id: 1, reason: 'not-found', code: 'NOT_FOUND', message: 'gone' }])
+        ase(resp.headers['last-modified'], 'Thu, 29 Oct 2015 08:00:00 GMT')
+        return get('/programs/range?start=2015-10-28&end=2015-10-29&inclusive')
+      })
+      .then(function(resp) {
+        assert.deepEqual(resp.body, { ids: [65041] })
+        assert.deepEqual(api.calls[2].slice(1, 3), ['2015-10-28', '2015-10-29'])
+        ase(api.calls[2][3].inclusive, true)
+        return get('/categories?tree=1')
+      })
+      .then(function(resp) {
+        assert.deepEqual(resp.body, [{ categoryId: 10, children: [] }])
+      })
+  })
+
+  it('program details and caching', function() {
+    var etag = '"404-65041-20151028103333"'
+
+    return get('/programs/65041?groupId=404')
+      .then(function(resp) {
+        ase(resp.status, 200)
+        ase(resp.body.name, 'Dempsey goal')
+        ase(resp.headers.etag, etag)
+        ase(resp.headers['last-modified'], 'Wed, 28 Oct 2015 10:33:33 GMT')
+        ase(api.calls[api.calls.length - 1][2].groupId, 404)
+        return get('/programs/65041', { 'If-None-Match': etag })
+      })
+      .then(function(resp) {
+        ase(resp.status, 304)
+        return get('/programs/65041', { 'If-Modified-Since': 'Wed, 28 Oct 2015 10:33:33 GMT' })
+      })
+      .then(function(resp) {
+        ase(resp.status, 304)
+        return get('/categories')
+      })
+      .then(function(resp) {
+        return get('/categories', { 'If-None-Match': resp.headers.etag })
+      })
+      .then(function(resp) {
+        ase(resp.status, 304)
+      })
+  })
+
+  it('maps errors to statuses', function() {
+    return Promise.all([
+      get('/programs/99')
+    , get('/programs/500')
+    , get('/programs?progDate=nope')
+    , get('/programs/range?start=2015-10-28')
+    , get('/nowhere')
+    , request(base, '/programs/65041')
+    , request(base, '/programs/65041?api_key=wrong')
+    , request(base, '/programs/65041', { method: 'DELETE', headers: { 'X-Api-Key': 'secret' } })
+    , get('/programs/%E0%A4%A')
+    ]).then(function(results) {
+      assert.deepEqual(results.map(function(x) {
+        return x.status
+      }), [404, 504, 400, 400, 404, 401, 401, 405, 400])
+      assert.deepEqual(results[1].body, { error: { name: 'NeulionTimeoutError', code: 'TIMEOUT', message: 'timed out' } })
+      assert.deepEqual(results[8].body, {
+        error: { name: 'NeulionValidationError', code: 'INVALID_INPUT', message: 'Invalid path `/programs/%E0%A4%A`' }
+      })
+      ase(Gateway.statusOf(new Error('x')), 500)
+      ase(Gateway.statusOf(new Errors.CircuitOpenError('open')), 503)
+    })
+  })
+
+  it('CORS', function() {
+    return Promise.all([
+      request(base, '/programs', { method: 'OPTIONS', headers: { Origin: 'https://mlssoccer.com' } })
+    , get('/programs/65041', { Origin: 'https://example.com' })
+    , request(base.replace('/v1', ''), '/programs/65041', { headers: { 'X-Api-Key': 'secret' } })
+    ]).then(function(results) {
+      ase(results[0].status, 204)
+      ase(results[0].headers['access-control-allow-origin'], 'https://mlssoccer.com')
+      assert(~results[0].headers['access-control-allow-headers'].indexOf('X-Api-Key'))
+      ase(results[1].status, 200)
+      ase(results[1].headers['access-control-allow-origin'], undefined)
+      ase(results[2].status, 404)
+    })
+  })
+})
@@ -0,0 +1,73 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , Logger = require('../lib/logger')
+
+/*!
+ * Test
+ */
+
+describe('logger', function() {
+  it('redacts at any depth', function() {
+    var obj = { a: { password: 'pw', list: [{ authCode: 'abc' }] }, name: 'x' }
+    obj.self = obj
+
+    var out = Logger.redact(obj)
+
+    ase(out.a.password, '[redacted]')
+    ase(out.a.list[0].authCode, '[redacted]')
+    ase(out.name, 'x')
+    ase(out.self, '[circular]')
+    ase(obj.a.password, 'pw')
+  })
+
+  it('redacts XML and custom keys', function() {
+    var xml = '<ns1:authenticate><ns1:loginId>me</ns1:loginId><ns1:password>pw</ns1:password></ns1:authenticate>'
+
+    ase(Logger.redact(xml), '<ns1:authenticate><ns1:loginId>me</ns1:loginId><ns1:password>[redacted]</ns1:password></ns1:authenticate>')
+    ase(Logger.redact({ loginId: 'me' }, ['loginId']).loginId, '[redacted]')
+    ase(Logger.redact('a < b'), 'a < b')
+  })
+
+  it('function sink', function() {
+    var entries = []
+      , log = new Logger({ logger: entries.push.bind(entries), redact: ['apiKey'] })
+
+    log.info('connected', { event: 'connect', apiKey: 'k', password: 'pw' })
+
+    ase(entries.length, 1)
+    ase(entries[0].level, 'info')
+    ase(entries[0].msg, 'connected')
+    ase(entries[0].event, 'connect')
+    ase(entries[0].apiKey, '[redacted]')
+    ase(entries[0].password, '[redacted]')
+    assert(entries[0].time)
+  })
+
+  it('pino and bunyan style sink', function() {
+    var calls = []
+      , log = new Logger({
+        logger: {
+          warn: function(fields, msg) {
+            calls.push([fields, msg])
+          }
+        , info: function() {
+            throw new Error('broken sink')
+          }
+        }
+      })
+
+    log.warn('retrying', { event: 'error', authCode: 'abc' })
+    log.info('ignored')
+
+    ase(calls.length, 1)
+    ase(calls[0][1], 'retrying')
+    ase(calls[0][0].authCode, '[redacted]')
+    ase(calls[0][0].name, 'neulion')
+  })
+})
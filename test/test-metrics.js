@@ -0,0 +1,72 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , Metrics = require('../lib/metrics')
+
+/*!
+ * Test
+ */
+
+describe('metrics', function() {
+  var metrics
+
+  beforeEach(function() {
+    metrics = new Metrics({ buckets: [100, 10] })
+  })
+
+  it('records events', function() {
+    var err = new Error('timed out')
+    err.code = 'TIMEOUT'
+
+    metrics.record('connect', { duration: 5 })
+    metrics.record('auth', { duration: 5 })
+    metrics.record('reauth', { reason: 'expired' })
+    metrics.record('failover', { from: 'http://a/?wsdl', reason: 'NOT_CONNECTED' })
+    metrics.record('response', { operation: 'getProgramDetail', duration: 5 })
+    metrics.record('response', { operation: 'getProgramDetail', duration: 50 })
+    metrics.record('error', err, { source: 'request', operation: 'getProgramDetail', duration: 500 })
+    metrics.record('error', err, { source: 'connect', duration: 500 })
+
+    var snap = metrics.snapshot()
+      , op = snap.operations.getProgramDetail
+
+    ase(snap.connects, 1)
+    ase(snap.auths, 1)
+    assert.deepEqual(snap.reauths, { expired: 1 })
+    assert.deepEqual(snap.failovers, { 'http://a/?wsdl': 1 })
+    ase(op.requests, 3)
+    ase(op.errors, 1)
+    assert.deepEqual(op.codes, { TIMEOUT: 1 })
+    ase(op.latency.min, 5)
+    ase(op.latency.max, 500)
+    ase(op.latency.mean, 185)
+    assert.deepEqual(op.latency.buckets, [{ le: 10, count: 1 }, { le: 100, count: 2 }])
+
+    // Snapshots are copies
+    op.latency.buckets[0].count = 99
+    ase(metrics.snapshot().operations.getProgramDetail.latency.buckets[0].count, 1)
+
+    metrics.reset()
+    assert.deepEqual(metrics.snapshot().operations, {})
+  })
+
+  it('prometheus', function() {
+    metrics.record('reauth', { reason: 'rejected' })
+    metrics.record('response', { operation: 'get"Detail', duration: 50 })
+
+    var text = metrics.prometheus()
+
+    assert(~text.indexOf('# TYPE neulion_request_duration_seconds histogram\n'))
+    assert(~text.indexOf('neulion_reauths_total{reason="rejected"} 1\n'))
+    assert(~text.indexOf('neulion_requests_total{operation="get\\"Detail"} 1\n'))
+    assert(~text.indexOf('neulion_request_duration_seconds_bucket{operation="get\\"Detail",le="0.01"} 0\n'))
+    assert(~text.indexOf('neulion_request_duration_seconds_bucket{operation="get\\"Detail",le="0.1"} 1\n'))
+    assert(~text.indexOf('neulion_request_duration_seconds_bucket{operation="get\\"Detail",le="+Inf"} 1\n'))
+    assert(~text.indexOf('neulion_request_duration_seconds_sum{operation="get\\"Detail"} 0.05\n'))
+  })
+})
@@ -0,0 +1,149 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , assert = require('assert')
+  , ase = assert.strictEqual
+  , _ = require('underscore')
+  , Mirror = require('../lib/mirror')
+  , Errors = require('../lib/errors')
+  , Logger = require('../lib/logger')
+
+/**
+ * Create a mirror holding the given programs
+ *
+ * @param {Array} programs
+ * @return {Mirror} mirror
+ */
+
+function create(programs) {
+  var mirror = new Mirror({
+    config: { timezone: 'America/New_York', group: 404 }
+  , log: new Logger({ logger: function() {} })
+  })
+
+  return mirror.store.save({
+    syncedAt: null
+  , categories: [{ categoryId: 10, groupId: 404 }, { categoryId: 20, groupId: 505 }]
+  , programs: _.indexBy(programs, function(x) {
+      return `${x.groupId}:${x.programId}`
+    })
+  })
+  .then(function() {
+    return mirror
+  })
+}
+
+/*!
+ * Test
+ */
+
+describe('mirror', function() {
+  var mirror
+
+  before(function() {
+    return create([
+      {
+        programId: 1, groupId: 404, name: 'Dempsey goal', programType: 'highlight', highlightType: 'goal'
+      , gameId: 'g1', tagArray: ['goal', 'dempsey'], categoryIdArray: [12, 14]
+      , progDate: new Date('2015-10-28T17:00:00Z'), updateTime: '20151028103333'
+      }
+    , {
+        programId: 2, groupId: 404, name: 'Condensed', programType: 'condensed', gameId: 'g1'
+      , tagArray: ['condensed'], categoryIdArray: [16]
+      , progDate: new Date('2015-10-29T03:00:00Z'), updateTime: '20151029080000'
+      }
+    , {
+        programId: 3, groupId: 505, name: 'Academy goal', programType: 'highlight', highlightType: 'goal'
+      , gameId: 'g2', tagArray: ['goal'], categoryIdArray: [14], progDate: new Date('2015-10-30T12:00:00Z')
+      }
+    , { programId: 4, groupId: 404, name: 'Undated', programType: 'feature', progDate: null }
+    ]).then(function(x) {
+      mirror = x
+    })
+  })
+
+  it('filters', function() {
+    function ids(filter) {
+      return mirror.query(filter, { sort: 'programId' }).then(function(result) {
+        return _.pluck(result.programs, 'programId')
+      })
+    }
+
+    return Promise.all([
+      ids({ programType: 'highlight' })
+    , ids({ programType: ['condensed', 'feature'], groupId: 404 })
+    , ids({ tags: ['goal', 'dempsey'] })
+    , ids({ categories: [14, 16], gameId: 'g1' })
+    , ids({ name: 'GOAL', highlightType: 'goal', eventId: null })
+    , ids({ from: '2015-10-28', to: '2015-10-29' })
+    ]).then(function(results) {
+      assert.deepEqual(results, [[1, 3], [2, 4], [1], [1, 2], [1, 3], [1, 2]])
+    })
+  })
+
+  it('sorts and pages', function() {
+    return mirror.query({}, { limit: 2, offset: 1 })
+      .then(function(result) {
+        ase(result.total, 4)
+        assert.deepEqual(_.pluck(result.programs, 'programId'), [2, 1])
+        return mirror.query({}, { sort: 'progDate' })
+      })
+      .then(function(result) {
+        assert.deepEqual(_.pluck(result.programs, 'programId'), [1, 2, 3, 4])
+        return mirror.query({ from: 'nope' })
+      })
+      .then(function() {
+        throw new Error('should have failed')
+      }, function(err) {
+        assert(err instanceof Errors.ValidationError)
+      })
+  })
+
+  it('search and lookups', function() {
+    return Promise.all([
+      mirror.search({ progDate: '2015-10-28T04:00:00.000Z', groupId: 404 })
+    , mirror.search({ updateTime: '20151029000000' })
+    , mirror.program(3)
+    , mirror.program(3, 404)
+    , mirror.categories(505)
+    ]).then(function(results) {
+      assert.deepEqual(results[0], [1, 2])
+      assert.deepEqual(results[1], [2])
+      ase(results[2].name, 'Academy goal')
+      ase(results[3], null)
+      assert.deepEqual(results[4], [{ categoryId: 20, groupId: 505 }])
+    })
+  })
+
+  it('file store creates missing directories and logs to the api', function() {
+    var root = fs.mkdtempSync(path.join(os.tmpdir(), 'neulion-mirror-'))
+      , dir = path.join(root, 'a', 'b')
+      , entries = []
+      , files = new Mirror({ config: {}, log: new Logger({ logger: entries.push.bind(entries) }) }, { path: dir })
+
+    return files.store.save({ syncedAt: null, categories: [], programs: { '404:1': { programId: 1, groupId: 404 } } })
+      .then(function() {
+        fs.appendFileSync(path.join(dir, 'programs.ndjson'), 'nope\n')
+        return files.load()
+      })
+      .then(function(state) {
+        assert.deepEqual(_.keys(state.programs), ['404:1'])
+        assert.deepEqual(_.pluck(entries, 'msg'), ['skipping invalid line', 'loaded'])
+        ase(entries[0].line, 2)
+      })
+      .finally(function() {
+        fs.readdirSync(dir).forEach(function(x) {
+          fs.unlinkSync(path.join(dir, x))
+        })
+        fs.rmdirSync(dir)
+        fs.rmdirSync(path.dirname(dir))
+        fs.rmdirSync(root)
+      })
+  })
+})
@@ -8,22 +8,28 @@ var fs = require('fs')
   , path = require('path')
   , assert = require('assert')
   , ase = assert.strictEqual
+  , FakeServer = require('./server')
   , mock
   
 // Argv input
 var argv = require('yargs')
   .describe('id', 'neulion video ID to test against')
   .describe('integration', 'run against the real API')
+  .describe('record', 'save the API traffic as fixtures in this directory')
+  .describe('replay', 'run against fixtures saved with `--record`')
   .argv
 
-if (!argv.integration) {
+if (!argv.integration && !argv.replay) {
   mock = require('./mock')
 }
 
+// Recorded searches must send the same params to be replayed
+var fixtures = !!(argv.record || argv.replay)
+
 var example = {
   name: 'some name'
 , desc: 'some description'
-, updateTime: new Date()
+, updateTime: fixtures ? new Date(1446053613877) : new Date()
 }
 
 /** 
@@ -69,6 +75,25 @@ describe('Neulion', function() {
   config.autoAuth = false
 
   var api = new Neulion(config)
+    , server = null
+
+  // Send all requests through the fake server when recording or replaying
+  if (argv.record) {
+    server = new FakeServer({ record: { target: config.endpoint, dir: argv.record } })
+  } else if (argv.replay) {
+    server = new FakeServer({ replay: argv.replay })
+  }
+
+  before(function() {
+    if (!server) return
+    return server.listen().then(function(url) {
+      api.config.endpoint = url
+    })
+  })
+
+  after(function() {
+    if (server) return server.close()
+  })
 
   // it('not connected error', function(done) {
   //   api
@@ -142,6 +167,12 @@ describe('Neulion', function() {
       .categories()
       .then(function(cats) {
         assert(Array.isArray(cats))
+
+        cats.forEach(function(x) {
+          ase(typeof x.categoryId, 'number')
+          ase(typeof x.categoryKey, 'string')
+          assert(x.parentId === null || typeof x.parentId === 'number')
+        })
         done()
       })
       .catch(done)
@@ -153,7 +184,19 @@ describe('Neulion', function() {
     api
       .details(programId)
       .then(function(data) {
-        // assert(typeof data, 'object')
+        ase(data.programId, +programId)
+        ase(typeof data.groupId, 'number')
+        ase(typeof data.regRequired, 'boolean')
+        ase(typeof data.shareInPlayer, 'boolean')
+        assert(data.progDate === null || data.progDate instanceof Date)
+        assert(data.categoryIdArray === null || Array.isArray(data.categoryIdArray))
+
+        ;(data.categoryIdArray || []).forEach(function(x) {
+          ase(typeof x, 'number')
+        })
+        ;(data.tagArray || []).forEach(function(x) {
+          ase(typeof x, 'string')
+        })
         done()
       })
       .catch(done)
@@ -242,4 +285,280 @@ describe('Neulion', function() {
         .catch(done)
     })
   })
+
+  describe('detailsMany', function() {
+    var programId = argv.id || 65041
+
+    it('programs', function(done) {
+      api
+        .detailsMany([programId, programId, String(programId)], { concurrency: 2 })
+        .then(function(result) {
+          ase(result.programs.length, 1)
+          ase(result.failures.length, 0)
+          ase(result.programs[0].programId, +programId)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('failures', function(done) {
+      api
+        .detailsMany([programId, 'foobar'])
+        .then(function(result) {
+          ase(result.programs.length, 1)
+          ase(result.failures.length, 1)
+          ase(result.failures[0].id, 'foobar')
+          ase(result.failures[0].reason, 'invalid')
+          assert(result.failures[0].error instanceof Neulion.ValidationError)
+          ase(result.failures[0].error.input, 'foobar')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('not found', function(done) {
+      if (argv.integration) return done()
+
+      api
+        .detailsMany([404])
+        .then(function(result) {
+          ase(result.programs.length, 0)
+          ase(result.failures[0].reason, 'not-found')
+          assert(result.failures[0].error instanceof Neulion.NotFoundError)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('list hydrate', function(done) {
+      api
+        .list({ progDate: new Date(1446053613877) }, { hydrate: true })
+        .then(function(result) {
+          assert(Array.isArray(result.programs))
+          assert(Array.isArray(result.failures))
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('category tree', function() {
+    var cats
+
+    before(function(done) {
+      api
+        .categories()
+        .then(function(x) {
+          cats = x
+          done()
+        })
+        .catch(done)
+    })
+
+    it('categoryTree', function(done) {
+      api
+        .categoryTree()
+        .then(function(tree) {
+          var count = 0
+
+          function walk(nodes) {
+            nodes.forEach(function(x) {
+              count += 1
+              assert(Array.isArray(x.children))
+              walk(x.children)
+            })
+          }
+          walk(tree)
+          ase(count, cats.length)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('category', function(done) {
+      var last = cats[cats.length - 1]
+
+      Promise
+        .all([
+          api.category(last.categoryId)
+        , api.category(last.categoryKey)
+        , api.category('not a real key')
+        ])
+        .then(function(found) {
+          ase(found[0].categoryId, last.categoryId)
+          ase(found[1].categoryId, last.categoryId)
+          ase(found[2], null)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('categoryAncestors', function(done) {
+      var child = cats.filter(function(x) { return x.parentId !== null })[0]
+      if (!child) return done()
+
+      api
+        .categoryAncestors(child.categoryId)
+        .then(function(ancestors) {
+          ase(ancestors[ancestors.length - 1].categoryId, child.parentId)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('categoryDescendants', function(done) {
+      var child = cats.filter(function(x) { return x.parentId !== null })[0]
+      if (!child) return done()
+
+      api
+        .categoryDescendants(child.parentId)
+        .then(function(descendants) {
+          assert(descendants.some(function(x) {
+            return x.categoryId === child.categoryId
+          }))
+          done()
+        })
+        .catch(done)
+    })
+
+    it('details with categories', function(done) {
+      api
+        .details(argv.id || 65041, { categories: true })
+        .then(function(data) {
+          assert(Array.isArray(data.categories))
+
+          data.categories.forEach(function(x) {
+            assert(~data.categoryIdArray.indexOf(x.categoryId))
+            ase(x.path[x.path.length - 1].categoryId, x.categoryId)
+          })
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  // Tests relying on mock responses
+  var describeMock = argv.integration || argv.replay ? describe.skip : describe
+
+  describeMock('auth lifecycle', function() {
+    var lifecycle = new Neulion(config)
+      , authCalls = 0
+
+    before(function(done) {
+      lifecycle
+        .connect()
+        .then(function(client) {
+          var authenticate = client.authenticate
+
+          // Count calls on an instance copy, the mock client is shared
+          lifecycle.client = Object.create(client)
+          lifecycle.client.authenticate = function(opts, next) {
+            authCalls += 1
+            authenticate.call(client, opts, next)
+          }
+          done()
+        })
+        .catch(done)
+    })
+
+    it('single re-authentication for concurrent requests', function(done) {
+      lifecycle.authCode = 'expired'
+      lifecycle.authTime = Date.now()
+      authCalls = 0
+
+      var ids = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+
+      Promise
+        .all(ids.map(function(id) {
+          return lifecycle.details(id)
+        }))
+        .then(function(results) {
+          ase(results.length, ids.length)
+          ase(authCalls, 1)
+          ase(lifecycle.authCode, 'such auth')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('refreshes before max age', function(done) {
+      lifecycle.authCode = 'still valid'
+      lifecycle.authTime = Date.now() - (56 * 60 * 1000)
+      authCalls = 0
+
+      lifecycle
+        .details(65041)
+        .then(function() {
+          ase(authCalls, 1)
+          ase(lifecycle.authCode, 'such auth')
+          assert(Date.now() - lifecycle.authTime < 1000)
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  // Never write to the real API from the test suite
+  describeMock('write', function() {
+    var program = {
+      name: 'some name'
+    , desc: 'some description'
+    , progDate: new Date(1446053613877)
+    , categoryIdArray: [12, 14]
+    , tagArray: ['goal', 'highlight']
+    , regRequired: false
+    , shareInPlayer: true
+    }
+
+    it('createProgram', function(done) {
+      api
+        .createProgram(program)
+        .then(function(id) {
+          ase(typeof id, 'number')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('createProgram validation', function(done) {
+      var invalid = {
+        name: 'some name'
+      , groupId: 'foobar'
+      , categoryIdArray: 12
+      , unknown: true
+      , regRequired: false
+      }
+
+      api
+        .createProgram(invalid)
+        .then(function() {
+          done(new Error('Missing error'))
+        })
+        .catch(Neulion.ValidationError, function(err) {
+          ase(err.errors.length, 4)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('updateProgram', function(done) {
+      api
+        .updateProgram(65041, { name: 'new name', tagArray: ['goal'] })
+        .then(function(ok) {
+          ase(ok, true)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('deleteProgram', function(done) {
+      api
+        .deleteProgram(65042)
+        .then(function(ok) {
+          ase(ok, true)
+          done()
+        })
+        .catch(done)
+    })
+  })
 })
@@ -0,0 +1,147 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , Promise = require('bluebird')
+  , ProgramStream = require('../lib/program-stream')
+  , Logger = require('../lib/logger')
+
+/**
+ * Fake API with `ids` per day, tracking the requests sent
+ *
+ * @param {Object} ids by ISO day
+ * @return {Object} api
+ */
+
+function fakeApi(days) {
+  return {
+    config: {}
+  , log: new Logger({ logger: function() {} })
+  , days: []
+  , loaded: []
+  , active: 0
+  , maxActive: 0
+  , list: function(params) {
+      var day = params.progDate.toISOString().slice(0, 10)
+
+      this.days.push(day)
+      if (days[day] instanceof Error) return Promise.reject(days[day])
+      return Promise.resolve(days[day] || [])
+    }
+  , detailsMany: function(ids) {
+      var self = this
+        , id = ids[0]
+
+      this.loaded.push(id)
+      this.active += 1
+      this.maxActive = Math.max(this.maxActive, this.active)
+
+      // Later IDs finish first, to check the output order
+      return Promise.delay(10 - id % 10).then(function() {
+        self.active -= 1
+        if (id === 404) {
+          return { programs: [], failures: [{ id: id, reason: 'not-found', error: null }] }
+        }
+        return { programs: [{ programId: id }], failures: [] }
+      })
+    }
+  }
+}
+
+/**
+ * Read a stream to the end
+ *
+ * @param {Readable} stream
+ * @return {Promise} promise, resolves all programs
+ */
+
+function collect(stream) {
+  var programs = []
+
+  return new Promise(function(res, rej) {
+    stream
+      .on('data', function(x) { programs.push(x.programId) })
+      .on('error', rej)
+      .on('end', function() { res(programs) })
+  })
+}
+
+/*!
+ * Test
+ */
+
+describe('ProgramStream', function() {
+  var params = { start: '2015-10-27T00:00:00Z', end: '2015-10-30T00:00:00Z' }
+    , days = {
+        '2015-10-27': [1, 2, 3, 2]
+      , '2015-10-29': [4, 404, 5]
+      }
+
+  it('streams programs day by day in order', function() {
+    var api = fakeApi(days)
+      , stream = new ProgramStream(api, params, { concurrency: 2 })
+      , failures = []
+
+    stream.on('failure', function(x) { failures.push(x.id) })
+
+    return collect(stream).then(function(programs) {
+      assert.deepEqual(programs, [1, 2, 3, 4, 5])
+      assert.deepEqual(api.days, ['2015-10-27', '2015-10-28', '2015-10-29'])
+      assert.deepEqual(failures, [404])
+      ase(api.maxActive, 2)
+    })
+  })
+
+  it('waits for the consumer', function() {
+    var api = fakeApi(days)
+      , stream = new ProgramStream(api, params, { concurrency: 1, highWaterMark: 1 })
+
+    // Start reading, then stop without consuming
+    stream.read(0)
+
+    return Promise.delay(50).then(function() {
+      assert(api.loaded.length <= 2)
+      assert.deepEqual(api.days, ['2015-10-27'])
+      stream.destroy()
+    })
+  })
+
+  it('iterates and cancels', function() {
+    var api = fakeApi(days)
+      , iterator = new ProgramStream(api, params, { concurrency: 1 })[Symbol.asyncIterator]()
+
+    return iterator.next()
+      .then(function(x) {
+        ase(x.value.programId, 1)
+        return iterator.return()
+      })
+      .then(function(x) {
+        ase(x.done, true)
+        return Promise.delay(50)
+      })
+      .then(function() {
+        assert.deepEqual(api.days, ['2015-10-27'])
+        assert(api.loaded.indexOf(4) === -1)
+      })
+  })
+
+  it('search errors end the stream', function() {
+    var api = fakeApi({ '2015-10-28': new Error('nope') })
+
+    return collect(new ProgramStream(api, params)).then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      ase(err.message, 'nope')
+    })
+  })
+
+  it('invalid dates', function() {
+    assert.throws(function() {
+      new ProgramStream(fakeApi({}), { start: 'nope' })
+    }, TypeError)
+  })
+})
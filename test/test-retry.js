@@ -0,0 +1,224 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , Errors = require('../lib/errors')
+  , retry = require('../lib/retry')
+  , Logger = require('../lib/logger')
+
+/**
+ * Create an error the same as the SOAP client does for a fault response
+ *
+ * @param {String} fault code
+ * @return {SoapError} error
+ */
+
+function fault(code) {
+  var err = new Error(code)
+  err.root = {
+    Envelope: {
+      Body: {
+        Fault: { faultcode: code, faultstring: 'such fault' }
+      }
+    }
+  }
+  return new Errors.SoapError(err)
+}
+
+/**
+ * Network error with a given code
+ *
+ * @param {String} code
+ * @return {Error} error
+ */
+
+function network(code) {
+  var err = new Error(code)
+  err.code = code
+  return err
+}
+
+/**
+ * Function failing with the given errors in order, then succeeding
+ *
+ * @param {Array} errors
+ * @return {Function} fn
+ */
+
+function failing(errors) {
+  function fn() {
+    fn.calls += 1
+    var err = errors.shift()
+    return err ? Promise.reject(err) : Promise.resolve('ok')
+  }
+  fn.calls = 0
+  return fn
+}
+
+/*!
+ * Test
+ */
+
+describe('Retry', function() {
+
+  it('transient', function() {
+    ase(retry.transient(network('ECONNRESET')), true)
+    ase(retry.transient(new Errors.SoapError(network('ETIMEDOUT'))), true)
+    ase(retry.transient(fault('soapenv:Server')), true)
+    ase(retry.transient(fault('soapenv:Server.userException')), false)
+    ase(retry.transient(fault('INVALID_AUTH_CODE')), false)
+    ase(retry.transient(new Errors.NotConnectedError(network('ECONNREFUSED'))), true)
+    ase(retry.transient(new Errors.CircuitOpenError('open')), false)
+    ase(retry.transient(new Error('such error')), false)
+
+    var http = new Error('Cannot parse response')
+    http.response = { statusCode: 503 }
+    ase(retry.transient(http), true)
+  })
+
+  it('retries transient errors', function(done) {
+    var policy = new retry.RetryPolicy({ attempts: 3, delay: 1 })
+      , fn = failing([network('ECONNRESET'), fault('soapenv:Server')])
+
+    policy
+      .run(fn, 'test')
+      .then(function(resp) {
+        ase(resp, 'ok')
+        ase(fn.calls, 3)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('gives up after max attempts', function(done) {
+    var policy = new retry.RetryPolicy({ attempts: 2, delay: 1 })
+      , fn = failing([network('ECONNRESET'), network('ECONNRESET'), network('ECONNRESET')])
+
+    policy
+      .run(fn, 'test')
+      .then(function() {
+        done(new Error('Missing error'))
+      })
+      .catch(function(err) {
+        ase(err.code, 'ECONNRESET')
+        ase(fn.calls, 2)
+        done()
+      })
+  })
+
+  it('does not retry other errors', function(done) {
+    var policy = new retry.RetryPolicy({ delay: 1 })
+      , fn = failing([fault('soapenv:Server.userException')])
+
+    policy
+      .run(fn, 'test')
+      .catch(function(err) {
+        ase(fn.calls, 1)
+        done()
+      })
+  })
+
+  it('only retries unsent requests for unsafe operations', function() {
+    var policy = new retry.RetryPolicy({ delay: 1 })
+
+    ase(policy.retryable(new Errors.TimeoutError('timed out'), 'createVodProgram'), false)
+    ase(policy.retryable(fault('soapenv:Server'), 'updateVodProgram'), false)
+    ase(policy.retryable(network('ECONNRESET'), 'deleteVodProgram'), false)
+    ase(policy.retryable(network('ECONNREFUSED'), 'createVodProgram'), true)
+    ase(policy.retryable(new Errors.NotConnectedError(network('ECONNRESET')), 'createVodProgram'), true)
+    ase(policy.retryable(new Errors.TimeoutError('timed out'), 'getProgramDetail'), true)
+
+    policy = new retry.RetryPolicy({ delay: 1, unsafe: [] })
+    ase(policy.retryable(new Errors.TimeoutError('timed out'), 'createVodProgram'), true)
+  })
+
+  it('backoff', function() {
+    var policy = new retry.RetryPolicy({ delay: 100, maxDelay: 300, jitter: false })
+
+    ase(policy.backoff(1), 100)
+    ase(policy.backoff(2), 200)
+    ase(policy.backoff(3), 300)
+
+    policy.jitter = true
+    for (var i = 0; i < 10; i++) {
+      assert(policy.backoff(2) <= 200)
+    }
+  })
+})
+
+describe('CircuitBreaker', function() {
+
+  it('opens after repeated failures', function(done) {
+    var breaker = new retry.CircuitBreaker({ threshold: 2, resetTimeout: 20 })
+      , fn = failing([network('ECONNRESET'), network('ECONNRESET')])
+
+    breaker
+      .run(fn, 'test')
+      .catch(function() {
+        return breaker.run(fn, 'test')
+      })
+      .catch(function() {
+        ase(breaker.status().state, 'open')
+        return breaker.run(fn, 'test')
+      })
+      .then(function() {
+        done(new Error('Missing error'))
+      })
+      .catch(Errors.CircuitOpenError, function() {
+        ase(fn.calls, 2)
+
+        // Trial request after the reset timeout closes the circuit
+        return new Promise(function(res) { setTimeout(res, 25) })
+      })
+      .then(function() {
+        return breaker.run(fn, 'test')
+      })
+      .then(function(resp) {
+        ase(resp, 'ok')
+        ase(breaker.status().state, 'closed')
+        ase(breaker.status().failures, 0)
+        done()
+      })
+      .catch(done)
+  })
+
+  it('ignores non transient errors', function(done) {
+    var breaker = new retry.CircuitBreaker({ threshold: 1 })
+      , fn = failing([fault('soapenv:Server.userException')])
+
+    breaker
+      .run(fn, 'test')
+      .catch(function() {
+        ase(breaker.status().state, 'closed')
+        done()
+      })
+  })
+
+  it('logs retries and breaker changes to the given logger', function(done) {
+    var entries = []
+      , log = new Logger({ logger: entries.push.bind(entries) })
+      , policy = new retry.RetryPolicy({ attempts: 2, delay: 1, log: log })
+      , breaker = new retry.CircuitBreaker({ threshold: 1, log: log })
+      , fn = failing([network('ECONNRESET'), network('ECONNRESET')])
+
+    breaker
+      .run(function() {
+        return policy.run(fn, 'test')
+      }, 'test')
+      .catch(function() {
+        assert.deepEqual(entries.map(function(x) {
+          return [x.event, x.msg, x.operation]
+        }), [
+          ['retry', 'retrying', 'test']
+        , ['breaker', 'open', 'test']
+        ])
+        ase(entries[0].code, 'ECONNRESET')
+        done()
+      })
+      .catch(done)
+  })
+})
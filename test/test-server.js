@@ -0,0 +1,1154 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , os = require('os')
+  , http = require('http')
+  , path = require('path')
+  , assert = require('assert')
+  , ase = assert.strictEqual
+  , _ = require('underscore')
+  , mock = require('mock-require')
+  , FakeServer = require('./server')
+  , camelCase = require('../lib/operations').camelCase
+  , abort = require('../lib/abort')
+
+/*!
+ * Use the real SOAP client, other test files may have mocked it
+ */
+
+mock.stop('soap')
+
+var Neulion = mock.reRequire('../lib/neulion')
+
+/*!
+ * Test
+ */
+
+describe('fake server', function() {
+  this.timeout(10000)
+
+  var server = new FakeServer()
+    , api
+
+  function create(opts) {
+    return new Neulion(_.extend({
+      endpoint: server.url
+    , username: 'username'
+    , password: 'some password'
+    , group: 404
+    , retry: { delay: 0 }
+    }, opts))
+  }
+
+  before(function() {
+    return server.listen().then(function() {
+      api = create()
+    })
+  })
+
+  after(function() {
+    return server.close()
+  })
+
+  it('parseRequest', function() {
+    var call = FakeServer.parseRequest('<?xml version="1.0"?><soap:Envelope xmlns:soap="x"><soap:Body>'
+      + '<tns:searchVodPrograms><authCode>abc</authCode><name>a &amp; b</name><desc xsi:nil="true"/>'
+      + '<tags><item>x</item><item>y</item></tags></tns:searchVodPrograms></soap:Body></soap:Envelope>')
+
+    ase(call.operation, 'searchVodPrograms')
+    assert.deepEqual(call.params, {
+      authCode: 'abc'
+    , name: 'a & b'
+    , desc: null
+    , tags: { item: ['x', 'y'] }
+    })
+  })
+
+  it('authenticates', function() {
+    return api.auth().then(function(code) {
+      assert(code)
+      ase(api.authCode, code)
+    })
+  })
+
+  it('rejects bad credentials', function() {
+    return create({ password: 'nope' }).auth().then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.AuthenticationError)
+      ase(err.code, 'INVALID_LOGIN')
+    })
+  })
+
+  it('keeps network errors while authenticating', function() {
+    var gone = new FakeServer()
+      , client
+
+    return gone.listen()
+      .then(function(url) {
+        client = create({ endpoint: url, retry: false })
+        return client.connect()
+      })
+      .then(function() {
+        return gone.close()
+      })
+      .then(function() {
+        return client.auth()
+      })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(!(err instanceof Neulion.AuthenticationError))
+        ase(err.code, 'ECONNREFUSED')
+        ase(err.operation, 'authenticate')
+      })
+  })
+
+  it('logs structured events without secrets', function() {
+    var entries = []
+      , client = create({ logger: entries.push.bind(entries) })
+
+    function events() {
+      return _.uniq(_.pluck(entries, 'event'))
+    }
+
+    return client.details(65041)
+      .then(function() {
+        var str = JSON.stringify(entries)
+
+        assert.deepEqual(_.difference(['init', 'connect', 'auth', 'request', 'response'], events()), [])
+        assert(!~str.indexOf('some password'))
+        assert(!~str.indexOf(client.authCode))
+
+        entries.length = 0
+        return create({ logger: entries.push.bind(entries), password: 'nope' }).auth()
+      })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        var failed = _.findWhere(entries, { event: 'error' })
+
+        assert(err instanceof Neulion.AuthenticationError)
+        ase(failed.level, 'error')
+        ase(failed.code, 'INVALID_LOGIN')
+        ase(failed.operation, 'authenticate')
+        assert(!~JSON.stringify(entries).indexOf('nope'))
+      })
+  })
+
+  it('details', function() {
+    return api.details(65041).then(function(video) {
+      ase(video.programId, 65041)
+      ase(video.groupId, 404)
+      ase(video.regRequired, false)
+      ase(video.shareInPlayer, true)
+      ase(video.altName, null)
+      assert(video.progDate instanceof Date)
+      assert.deepEqual(video.categoryIdArray, [12, 14])
+      assert.deepEqual(video.tagArray, ['goal', 'dempsey'])
+    })
+  })
+
+  it('details not found', function() {
+    return api.details(404).then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.NotFoundError)
+      ase(err.code, 'NOT_FOUND')
+      ase(err.operation, 'getProgramDetail')
+      ase(err.params.programId, 404)
+      ase(err.params.authCode, '[redacted]')
+    })
+  })
+
+  it('details number format fault', function() {
+    return api.details('foobar').then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.ValidationError)
+      ase(err.code, 'INVALID_INPUT')
+      ase(err.faultcode, 'soapenv:Server.userException')
+      ase(err.input, 'foobar')
+      ase(err.hostname, 'fnycweb01')
+      ase(err.retryable, false)
+      assert(~err.message.indexOf('NumberFormatException'))
+    })
+  })
+
+  it('server and rate limit faults', function() {
+    var client = create({ breaker: false })
+
+    server.fault('getProgramDetail', 'soapenv:Server', 'java.lang.NullPointerException', 3)
+
+    return client.details(65041)
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.ServerError)
+        ase(err.code, 'SERVER_ERROR')
+        ase(err.retryable, true)
+
+        server.fault('getProgramDetail', 'soapenv:Server.userException', 'Rate limit exceeded', 3)
+        return client.details(65041)
+      })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.RateLimitError)
+        ase(err.code, 'RATE_LIMITED')
+        ase(err.retryable, true)
+      })
+  })
+
+  it('search single and many', function() {
+    return api.list({ name: 'Dempsey goal vs Portland' })
+      .then(function(ids) {
+        assert.deepEqual(ids, [65041])
+        return api.list({ progDate: new Date('2015-10-28T12:00:00Z') })
+      })
+      .then(function(ids) {
+        assert.deepEqual(ids, [65041, 65042])
+        return api.list({ name: 'nothing' })
+      })
+      .then(function(ids) {
+        assert.deepEqual(ids, [])
+      })
+  })
+
+  it('search escapes params', function() {
+    server.data.programs[1].name = 'Portland & Seattle <condensed> ]]>'
+
+    return api.list({ name: 'Portland & Seattle <condensed> ]]>' }).then(function(ids) {
+      assert.deepEqual(ids, [65042])
+    })
+  })
+
+  it('search dates in the timezone', function() {
+    var client = create({ timezone: 'America/New_York' })
+
+    return client.list({ progDate: '2015-10-28', updateTime: new Date('2015-10-28T14:00:00Z') }).then(function(ids) {
+      var sent = _.last(server.sent('searchVodPrograms'))
+
+      assert.deepEqual(ids, [65041, 65042])
+      ase(sent.progDate, '2015-10-28T04:00:00.000Z')
+      ase(sent.updateTime, '20151028100000')
+    })
+  })
+
+  it('range walks calendar days', function() {
+    var client = create({ timezone: 'America/New_York' })
+      , before = server.count('searchVodPrograms')
+
+    function days() {
+      return _.pluck(server.sent('searchVodPrograms').slice(before), 'progDate')
+    }
+
+    return client.range('2015-10-31', '2015-11-02')
+      .then(function() {
+        assert.deepEqual(days(), ['2015-10-31T04:00:00.000Z', '2015-11-01T04:00:00.000Z'])
+        before = server.count('searchVodPrograms')
+        return client.range('2015-10-31', '2015-11-02', { inclusive: true })
+      })
+      .then(function() {
+        assert.deepEqual(days(), ['2015-10-31T04:00:00.000Z', '2015-11-01T04:00:00.000Z', '2015-11-02T05:00:00.000Z'])
+      })
+  })
+
+  it('rejects invalid dates and zones', function() {
+    assert.throws(function() {
+      create({ timezone: 'Nowhere/Special' })
+    }, TypeError)
+
+    return api.range('yesterday', '2015-11-02').then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.ValidationError)
+    })
+  })
+
+  it('categories', function() {
+    return api.categories().then(function(cats) {
+      ase(cats.length, 4)
+      ase(cats[0].categoryId, 10)
+      ase(cats[0].parentId, null)
+      ase(cats[2].parentId, 12)
+    })
+  })
+
+  it('stream', function() {
+    var programs = []
+
+    return new Promise(function(res, rej) {
+      api.stream({ start: '2015-10-27T00:00:00Z', end: '2015-10-29T00:00:00Z' })
+        .on('data', function(x) { programs.push(x.programId) })
+        .on('error', rej)
+        .on('end', res)
+    }).then(function() {
+      assert.deepEqual(programs, [65041, 65042])
+    })
+  })
+
+  it('operations', function() {
+    return api.operations().then(function(ops) {
+      var detail = ops.filter(function(x) { return x.name === 'getProgramDetail' })[0]
+
+      assert.deepEqual(ops.map(function(x) { return x.method }), [
+        'authenticate', 'searchVodPrograms', 'getCategories', 'getProgramDetail'
+      , 'createVodProgram', 'updateVodProgram', 'deleteVodProgram'
+      ])
+      assert.deepEqual(detail.input.map(function(x) { return x.name }), ['authCode', 'programId'])
+      ase(detail.output[0].type, 'ProgramDetail')
+
+      // The existing `authenticate` method is kept
+      ase(api.authenticate, Neulion.prototype.authenticate)
+      ase(camelCase('Get_program-detail'), 'getProgramDetail')
+    })
+  })
+
+  it('generated methods', function() {
+    return api.getProgramDetail({ programId: 65041 })
+      .then(function(video) {
+        ase(video.programId, 65041)
+        assert.deepEqual(video.tagArray, ['goal', 'dempsey'])
+        return api.searchVodPrograms({ groupId: 404, name: 'Dempsey goal vs Portland' })
+      })
+      .then(function(ids) {
+        assert.deepEqual(ids, [65041])
+        return api.getProgramDetail({ programId: 'foobar' })
+      })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.SoapError)
+      })
+  })
+
+  it('re-authenticates an expired code', function() {
+    var before = server.count('authenticate')
+
+    server.expireAuth()
+    return api.details(65041).then(function(video) {
+      ase(video.programId, 65041)
+      ase(server.count('authenticate'), before + 1)
+    })
+  })
+
+  it('retries server faults', function() {
+    var before = server.count('getProgramDetail')
+
+    server.fault('getProgramDetail', 'soapenv:Server', 'try again')
+    return api.details(65042).then(function(video) {
+      ase(video.programId, 65042)
+      ase(server.count('getProgramDetail'), before + 2)
+    })
+  })
+
+  it('sends a timed out create only once', function() {
+    var before = server.count('createVodProgram')
+      , count = server.data.programs.length
+
+    server.delay('createVodProgram', 200, 3)
+    return create({ breaker: false })
+      .createProgram({ name: 'Slow create', groupId: 404, regRequired: false, shareInPlayer: true }, { timeout: 50 })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.TimeoutError)
+        ase(err.retryable, false)
+        ase(server.count('createVodProgram'), before + 1)
+        return new Promise(function(res) { setTimeout(res, 250) })
+      })
+      .then(function() {
+        // The server still applied it, once
+        ase(server.data.programs.length, count + 1)
+        server.data.programs.pop()
+        delete server.delays.createVodProgram
+      })
+  })
+
+  it('shared cached loads keep the limits of each caller', function() {
+    var client = create({ cache: true })
+      , ctrl = abort.controller()
+      , before
+
+    function failure(promise) {
+      return promise.then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        return err
+      })
+    }
+
+    return client.auth()
+      .then(function() {
+        before = server.count('getProgramDetail')
+        server.delay('getProgramDetail', 100)
+        setTimeout(function() { ctrl.abort() }, 20)
+
+        return Promise.all([
+          failure(client.details(65041, { signal: ctrl.signal }))
+        , client.details(65041)
+        , failure(client.details(65041, { timeout: 30 }))
+        ])
+      })
+      .then(function(results) {
+        assert(results[0] instanceof Neulion.AbortError)
+        ase(results[1].programId, 65041)
+        assert(results[2] instanceof Neulion.TimeoutError)
+        ase(server.count('getProgramDetail'), before + 1)
+      })
+  })
+
+  it('times out slow requests', function() {
+    server.delay('getProgramDetail', 200)
+    return create({ retry: false, breaker: false })
+      .details(65041, { timeout: 50 })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.TimeoutError)
+        ase(err.code, 'TIMEOUT')
+        ase(err.operation, 'getProgramDetail')
+      })
+  })
+
+  it('times out loading the WSDL', function() {
+    var slow = new FakeServer()
+
+    return slow.listen()
+      .then(function(url) {
+        slow.delay('wsdl', 200)
+        return create({ endpoint: url, retry: false, timeout: { connect: 50 } }).connect()
+      })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.TimeoutError)
+      })
+      .finally(function() {
+        return slow.close()
+      })
+  })
+
+  it('aborts in-flight requests', function() {
+    var ctrl = abort.controller()
+
+    server.delay('getProgramDetail', 200)
+    setTimeout(function() { ctrl.abort() }, 20)
+
+    return api.details(65041, { signal: ctrl.signal }).then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.AbortError)
+      ase(err.code, 'ABORTED')
+    })
+  })
+
+  it('aborting a range stops the remaining days', function() {
+    var ctrl = abort.controller()
+      , before = server.count('searchVodPrograms')
+
+    server.delay('searchVodPrograms', 50)
+    setTimeout(function() { ctrl.abort() }, 20)
+
+    return api.range('2015-10-26', '2015-10-31', { signal: ctrl.signal }).then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.AbortError)
+      ase(server.count('searchVodPrograms'), before + 1)
+    })
+  })
+
+  it('aborts with the fallback controller', function() {
+    var ctrl = new Neulion.AbortController()
+
+    server.delay('getProgramDetail', 200)
+    setTimeout(function() { ctrl.abort() }, 20)
+
+    return api.details(65041, { signal: ctrl.signal }).then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.AbortError)
+      ase(ctrl.signal.aborted, true)
+    })
+  })
+
+  it('aborting detailsMany rejects', function() {
+    var ctrl = abort.controller()
+
+    ctrl.abort()
+    return api.detailsMany([65041, 65042], { signal: ctrl.signal }).then(function() {
+      throw new Error('should fail')
+    }, function(err) {
+      assert(err instanceof Neulion.AbortError)
+    })
+  })
+
+  it('emits lifecycle events and keeps metrics', function() {
+    var client = create()
+      , events = []
+
+    _.each(['connect', 'auth', 'reauth', 'request', 'response', 'error'], function(name) {
+      client.on(name, function(data, info) {
+        events.push({ name: name, data: data, info: info })
+      })
+    })
+
+    function names() {
+      return _.pluck(events.splice(0), 'name')
+    }
+
+    return client.details(65041)
+      .then(function() {
+        assert.deepEqual(names(), ['connect', 'request', 'response', 'auth', 'request', 'response'])
+
+        server.expireAuth()
+        return client.details(65041)
+      })
+      .then(function() {
+        var failed = _.findWhere(events, { name: 'error' })
+
+        ase(failed.data.code, 'INVALID_AUTH_CODE')
+        ase(failed.info.operation, 'getProgramDetail')
+        assert.deepEqual(_.findWhere(events, { name: 'reauth' }).data, { reason: 'rejected' })
+        assert(!~JSON.stringify(_.pluck(events, 'data')).indexOf('some password'))
+
+        // Force the code to expire
+        client.authTime = 0
+        events.length = 0
+        return client.details(65041)
+      })
+      .then(function() {
+        var snap = client.metrics()
+          , op = snap.operations.getProgramDetail
+
+        assert.deepEqual(_.findWhere(events, { name: 'reauth' }).data, { reason: 'expired' })
+        ase(snap.connects, 1)
+        ase(snap.auths, 3)
+        assert.deepEqual(snap.reauths, { rejected: 1, expired: 1 })
+        ase(op.requests, 4)
+        assert.deepEqual(op.codes, { INVALID_AUTH_CODE: 1 })
+        assert(~client.metrics('prometheus').indexOf('neulion_requests_total{operation="getProgramDetail"} 4\n'))
+        ase(create({ metrics: false }).metrics(), null)
+      })
+  })
+
+  it('create, update and delete', function() {
+    var id
+
+    return api.createProgram({ name: 'new program', desc: 'new', groupId: 404, regRequired: false, shareInPlayer: true, tagArray: ['a', 'b'] })
+      .then(function(programId) {
+        id = programId
+        ase(id, 65043)
+        return api.updateProgram(id, { name: 'renamed' })
+      })
+      .then(function(ok) {
+        ase(ok, true)
+        return api.details(id)
+      })
+      .then(function(video) {
+        ase(video.name, 'renamed')
+        assert.deepEqual(video.tagArray, ['a', 'b'])
+        return api.deleteProgram(id)
+      })
+      .then(function(ok) {
+        ase(ok, true)
+        return api.details(id)
+      })
+      .then(function() {
+        throw new Error('should fail')
+      }, function(err) {
+        assert(err instanceof Neulion.NotFoundError)
+      })
+  })
+
+  it('updates from the current details with a warm cache', function() {
+    var client = create({ cache: true })
+      , program = _.findWhere(server.data.programs, { programId: 65042 })
+      , desc = program.desc
+      , name = program.name
+      , before
+
+    return client.details(65042)
+      .then(function() {
+        // Edited elsewhere after it was cached
+        program.desc = 'edited elsewhere'
+        before = server.count('getProgramDetail')
+        return client.updateProgram(65042, { name: 'renamed' })
+      })
+      .then(function(ok) {
+        ase(ok, true)
+        ase(server.count('getProgramDetail'), before + 1)
+        ase(program.desc, 'edited elsewhere')
+        ase(program.name, 'renamed')
+        return client.details(65042)
+      })
+      .then(function(video) {
+        ase(video.name, 'renamed')
+        ase(server.count('getProgramDetail'), before + 2)
+      })
+      .finally(function() {
+        program.desc = desc
+        program.name = name
+      })
+  })
+
+  it('full text search', function() {
+    var client = create({ textIndex: true })
+      , id
+
+    function found(query) {
+      return client.fullTextSearch(query).then(function(results) {
+        return results.map(function(x) {
+          return x.program.programId
+        })
+      })
+    }
+
+    return found('dempsey')
+      .then(function(ids) {
+        assert.deepEqual(ids, [])
+        return client.detailsMany([65041, 65042])
+      })
+      .then(function() {
+        return Promise.all([found('Dempsey goals vs Portl'), found('condensed GAMES'), found('portland')])
+      })
+      .then(function(results) {
+        assert.deepEqual(results, [[65041, 65042], [65042], [65041, 65042]])
+        return client.createProgram({ name: 'Dempsey scoring compilation', groupId: 404, regRequired: false, shareInPlayer: true })
+      })
+      .then(function(programId) {
+        id = programId
+        return found('dempsey scored')
+      })
+      .then(function(ids) {
+        assert.deepEqual(ids, [65041, id])
+        return client.updateProgram(id, { name: 'Best saves' })
+      })
+      .then(function() {
+        return Promise.all([found('compilation'), found('saves')])
+      })
+      .then(function(results) {
+        assert.deepEqual(results, [[], [id]])
+        return client.deleteProgram(id)
+      })
+      .then(function() {
+        return found('saves')
+      })
+      .then(function(ids) {
+        assert.deepEqual(ids, [])
+        return create().fullTextSearch('x')
+      })
+      .then(function() {
+        throw new Error('should have failed')
+      }, function(err) {
+        assert(err instanceof TypeError)
+      })
+  })
+
+  it('feeds', function() {
+    var query = { start: '2015-10-28', end: '2015-10-28', inclusive: true }
+
+    return api.feed('json', query)
+      .then(function(feed) {
+        assert.deepEqual(_.pluck(feed.items, 'id'), ['404:65042', '404:65041'])
+        assert.deepEqual(feed.items[0]._neulion.categories, ['Replays'])
+        ase(feed.items[0]._neulion.regRequired, true)
+        assert.deepEqual(feed.items[1]._neulion.categories, ['Highlights', 'Goals'])
+        return api.feed('rss', _.extend({ category: 'highlights' }, query), { title: 'Highlights' })
+      })
+      .then(function(rss) {
+        assert(~rss.indexOf('<guid isPermaLink="false">404:65041</guid>'))
+        assert(!~rss.indexOf('65042'))
+        return api.feed('json', _.extend({ category: 'nope' }, query))
+      })
+      .then(function() {
+        throw new Error('should have failed')
+      }, function(err) {
+        assert(err instanceof Neulion.NotFoundError)
+        return api.feed('atom', query)
+      })
+      .then(function() {
+        throw new Error('should have failed')
+      }, function(err) {
+        assert(err instanceof TypeError)
+      })
+  })
+
+  it('gamePackages', function() {
+    var games = api.gamePackages([
+      { programId: 1, gameId: 'g1', eventId: 'e1', programType: 'highlight', highlightType: 'goal', gameTime: '67\'' }
+    , { programId: 2, eventId: 'e1', programType: 'highlight', highlightType: 'goal', gameTime: '45+2\'' }
+    , { programId: 3, gameId: 'g1', programType: 'highlight', gameTime: '46\'' }
+    , { programId: 4, gameId: 'g1', programType: 'full', startTime: new Date('2015-10-28T19:00:00Z') }
+    , { programId: 5, gameId: 'g1', programType: 'condensed' }
+    , { programId: 6, eventId: 'e2', programType: 'highlight', startTime: new Date('2015-10-27T19:00:00Z') }
+    , { programId: 7, programType: 'highlight' }
+    ])
+
+    assert.deepEqual(_.pluck(games, 'gameId'), [null, 'g1'])
+    assert.deepEqual(_.pluck(games, 'eventId'), ['e2', 'e1'])
+    assert.deepEqual(games[0].missing, ['fullReplay', 'condensed'])
+    assert.deepEqual(games[1].missing, [])
+    ase(games[1].date.toISOString(), '2015-10-28T19:00:00.000Z')
+    assert.deepEqual(_.pluck(games[1].goals, 'programId'), [2, 1])
+    assert.deepEqual(_.pluck(games[1].highlights, 'programId'), [3])
+    assert.deepEqual(_.pluck(games[1].fullReplay, 'programId'), [4])
+    assert.deepEqual(_.pluck(games[1].programs, 'programId'), [2, 3, 1, 4, 5])
+
+    games = api.gamePackages([{ programId: 1, gameId: 'g1', programType: 'full' }], {
+      expected: ['fullReplay', 'goals']
+    , classify: function(x) {
+        return x.programType === 'full' ? 'goals' : null
+      }
+    })
+    assert.deepEqual(games[0].missing, ['fullReplay'])
+  })
+
+  it('game and gamesInRange', function() {
+    var before = server.count('searchVodPrograms')
+
+    return api.game('2015-10-28-POR-SEA')
+      .then(function(game) {
+        ase(server.count('searchVodPrograms'), before + 3)
+        ase(game.gameId, '2015-10-28-POR-SEA')
+        assert.deepEqual(_.pluck(game.goals, 'programId'), [65041])
+        assert.deepEqual(_.pluck(game.condensed, 'programId'), [65042])
+        assert.deepEqual(game.missing, ['fullReplay', 'highlights'])
+        return api.gamesInRange('2015-10-28', '2015-10-29')
+      })
+      .then(function(result) {
+        assert.deepEqual(_.pluck(result.games, 'gameId'), ['2015-10-28-POR-SEA'])
+        assert.deepEqual(result.failures, [])
+        return api.game('2015-10-28-LA-NY')
+      })
+      .then(function() {
+        throw new Error('should have failed')
+      }, function(err) {
+        assert(err instanceof Neulion.NotFoundError)
+        before = server.count('searchVodPrograms')
+        return api.game('POR-SEA', { window: 3 })
+      })
+      .then(function() {
+        throw new Error('should have failed')
+      }, function(err) {
+        // Undated game IDs search the last days without a mirror
+        assert(err instanceof Neulion.NotFoundError)
+        ase(server.count('searchVodPrograms'), before + 3)
+      })
+  })
+
+  it('game from the mirror', function() {
+    var client = create({ mirror: true })
+      , before = server.count('searchVodPrograms')
+
+    return client.mirror.store.save({
+      syncedAt: null
+    , categories: []
+    , programs: {
+        '404:1': { programId: 1, groupId: 404, gameId: 'POR-SEA', eventId: 'e1', programType: 'condensed', progDate: '2015-10-28T04:00:00.000Z' }
+      , '404:2': { programId: 2, groupId: 404, eventId: 'e1', highlightType: 'goal', progDate: '2015-10-28T04:00:00.000Z' }
+      , '404:3': { programId: 3, groupId: 404, gameId: 'LA-NY', progDate: '2015-10-28T04:00:00.000Z' }
+      }
+    })
+    .then(function() {
+      return client.game('POR-SEA')
+    })
+    .then(function(game) {
+      ase(game.gameId, 'POR-SEA')
+      assert.deepEqual(_.pluck(game.programs, 'programId'), [1, 2])
+      assert.deepEqual(_.pluck(game.goals, 'programId'), [2])
+      ase(game.date.toISOString(), '2015-10-28T04:00:00.000Z')
+      return client.game('e1')
+    })
+    .then(function(game) {
+      ase(game.gameId, 'POR-SEA')
+      ase(server.count('searchVodPrograms'), before)
+      return client.game('NOPE')
+    })
+    .then(function() {
+      throw new Error('should have failed')
+    }, function(err) {
+      assert(err instanceof Neulion.NotFoundError)
+    })
+  })
+
+  describe('multiple groups', function() {
+    var other = new FakeServer(academy())
+      , client
+
+    // Second Neulion account with its own group, program and category, the
+    // category ID is also used by the first group
+    function academy() {
+      var data = FakeServer.dataset()
+
+      data.users = { academy: 'academy password' }
+      data.categories = [{ categoryId: 12, categoryKey: 'academy', name: 'Academy', parentId: null }]
+      data.programs = [_.extend({}, data.programs[0], { programId: 70001, groupId: 505, name: 'Academy goal' })]
+      return { data: data }
+    }
+
+    before(function() {
+      return other.listen().then(function(url) {
+        client = create({
+          group: [404, 606, { id: 505, endpoint: url, username: 'academy', password: 'academy password' }]
+        })
+      })
+    })
+
+    after(function() {
+      return other.close()
+    })
+
+    it('searches every group', function() {
+      return client.list({ progDate: '2015-10-28' }).then(function(ids) {
+        assert.deepEqual(ids, [
+          { programId: 65041, groupId: 404 }
+        , { programId: 65042, groupId: 404 }
+        , { programId: 70001, groupId: 505 }
+        ])
+        assert.deepEqual(_.pluck(_.last(server.sent('searchVodPrograms'), 2), 'groupId').sort(), ['404', '606'])
+        ase(_.last(other.sent('searchVodPrograms')).groupId, '505')
+      })
+    })
+
+    it('hydrates from each group', function() {
+      return client.range('2015-10-28', '2015-10-28', { inclusive: true, hydrate: true }).then(function(result) {
+        assert.deepEqual(_.pluck(result.programs, 'programId').sort(), [65041, 65042, 70001])
+        assert.deepEqual(result.failures, [])
+      })
+    })
+
+    it('keeps the cache of each group apart', function() {
+      var cached = create({
+        group: [404, { id: 505, endpoint: other.url, username: 'academy', password: 'academy password' }]
+      , cache: { store: new Neulion.Cache.LruStore() }
+      })
+
+      // The same request to both accounts, the first one not found
+      return cached.details(70001, { groupId: 404 })
+        .then(function() {
+          throw new Error('should have failed')
+        }, function(err) {
+          assert(err instanceof Neulion.NotFoundError)
+          return cached.details(70001, { groupId: 505 })
+        })
+        .then(function(video) {
+          ase(video.name, 'Academy goal')
+        })
+    })
+
+    it('single group and details', function() {
+      return client.list({ groupId: 505, name: 'Academy goal' })
+        .then(function(ids) {
+          assert.deepEqual(ids, [70001])
+          return client.details(70001, { groupId: 505 })
+        })
+        .then(function(video) {
+          ase(video.name, 'Academy goal')
+          return client.detailsMany([{ programId: 70001, groupId: 404 }])
+        })
+        .then(function(result) {
+          assert.deepEqual(_.pick(result.failures[0], 'id', 'groupId', 'reason'), { id: 70001, groupId: 404, reason: 'not-found' })
+        })
+    })
+
+    it('categories are tagged', function() {
+      return client.categories().then(function(cats) {
+        ase(cats.length, 9)
+        assert.deepEqual(_.pick(_.last(cats), 'categoryId', 'groupId'), { categoryId: 12, groupId: 505 })
+        ase(_.where(cats, { groupId: 606 }).length, 4)
+      })
+    })
+
+    it('keeps overlapping category IDs apart by group', function() {
+      return Promise.all([
+        client.category(12)
+      , client.category(12, 505)
+      , client.category('academy')
+      , client.categoryAncestors(12, 505)
+      , client.categoryDescendants(12, 505)
+      , client.categoryTree()
+      , client.expandCategories({ programId: 70001, groupId: 505, categoryIdArray: [12, 14] })
+      , client.expandCategories({ programId: 65041, groupId: 404, categoryIdArray: [12, 14] })
+      ]).then(function(results) {
+        assert.deepEqual(_.pick(results[0], 'name', 'groupId'), { name: 'Highlights', groupId: 404 })
+        assert.deepEqual(_.pick(results[1], 'name', 'groupId'), { name: 'Academy', groupId: 505 })
+        ase(results[2].groupId, 505)
+        assert.deepEqual(results[3], [])
+        assert.deepEqual(results[4], [])
+
+        // Each group keeps its own tree
+        assert.deepEqual(results[5].map(function(x) {
+          return [x.groupId, x.categoryKey, x.children.length]
+        }), [[404, 'video', 2], [606, 'video', 2], [505, 'academy', 0]])
+
+        assert.deepEqual(_.pluck(results[6].categories, 'name'), ['Academy'])
+        assert.deepEqual(_.pluck(results[7].categories, 'name'), ['Highlights', 'Goals'])
+        assert.deepEqual(_.pluck(results[7].categories[1].path, 'name'), ['Video', 'Highlights', 'Goals'])
+      })
+    })
+
+    it('forwards group events', function() {
+      var events = []
+
+      client.on('request', function(data, info) {
+        events.push(info)
+      })
+      return client.details(70001, { groupId: 505 }).then(function() {
+        assert.deepEqual(events, [{ groupId: 505 }])
+        assert(client.metrics().operations.getProgramDetail.requests)
+        assert.throws(function() {
+          create({ group: [{ endpoint: 'x' }] })
+        }, TypeError)
+      })
+    })
+  })
+
+  describe('endpoint failover', function() {
+    var backup = new FakeServer()
+      , dead = 'http://127.0.0.1:1/ContentWS?wsdl'
+
+    // Record every event of an API instance
+    function events(client) {
+      var seen = []
+
+      _.each(['connect', 'reauth', 'failover'], function(name) {
+        client.on(name, function(data) {
+          seen.push([name, data])
+        })
+      })
+      return seen
+    }
+
+    before(function() {
+      return backup.listen()
+    })
+
+    after(function() {
+      return backup.close()
+    })
+
+    it('connects to the next endpoint', function() {
+      var client = create({ endpoint: [dead, backup.url], retry: false })
+        , seen = events(client)
+
+      return client.details(65041).then(function(video) {
+        ase(video.programId, 65041)
+        ase(client.endpoint, backup.url)
+        assert.deepEqual(seen[0], ['failover', { from: dead, reason: 'NOT_CONNECTED' }])
+        ase(seen[1][1].endpoint, backup.url)
+        assert.deepEqual(_.pluck(client.endpoints.status(), 'available'), [false, true])
+        assert.deepEqual(client.metrics().failovers, { [dead]: 1 })
+      })
+    })
+
+    it('fails over and re-authenticates on server errors', function() {
+      var client = create({ endpoint: [server.url, backup.url] })
+        , seen = events(client)
+        , auths = backup.count('authenticate')
+
+      return client.details(65041)
+        .then(function() {
+          ase(client.endpoint, server.url)
+          server.fault('getProgramDetail', 'soapenv:Server', 'java.lang.OutOfMemoryError')
+          return client.details(65042)
+        })
+        .then(function(video) {
+          ase(video.programId, 65042)
+          ase(client.endpoint, backup.url)
+          ase(backup.count('authenticate'), auths + 1)
+          assert.deepEqual(_.map(seen.slice(1), _.first), ['failover', 'connect', 'reauth'])
+          assert.deepEqual(seen[1][1], { from: server.url, reason: 'SERVER_ERROR' })
+          assert.deepEqual(seen[3][1], { reason: 'failover' })
+        })
+    })
+
+    it('stays on a single endpoint', function() {
+      var client = create({ endpoint: [server.url], retry: false })
+
+      return client.details(65041)
+        .then(function() {
+          server.fault('getProgramDetail', 'soapenv:Server', 'java.lang.OutOfMemoryError')
+          return client.details(65041)
+        })
+        .then(function() {
+          throw new Error('should have failed')
+        }, function(err) {
+          assert(err instanceof Neulion.ServerError)
+          ase(client.endpoint, server.url)
+          assert(client.client)
+        })
+    })
+  })
+
+  describe('offline mirror', function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neulion-mirror-'))
+      , dead = 'http://127.0.0.1:1/ContentWS?wsdl'
+
+    after(function() {
+      fs.readdirSync(dir).forEach(function(x) {
+        fs.unlinkSync(path.join(dir, x))
+      })
+      fs.rmdirSync(dir)
+    })
+
+    it('syncs programs and categories', function() {
+      var client = create({ mirror: { path: dir } })
+        , removed = server.data.programs.pop()
+
+      return client.mirror.sync('2015-10-28', '2015-10-28', { inclusive: true })
+        .then(function(summary) {
+          assert.deepEqual(_.pick(summary, 'added', 'updated', 'removed', 'programs', 'categories'), {
+            added: 1, updated: 0, removed: 0, programs: 1, categories: 4
+          })
+          server.data.programs.push(removed)
+          return client.mirror.sync('2015-10-28', '2015-10-29')
+        })
+        .then(function(summary) {
+          ase(summary.added, 1)
+          ase(summary.programs, 2)
+          ase(fs.readFileSync(path.join(dir, 'programs.ndjson'), 'utf8').trim().split('\n').length, 2)
+
+          // Removed from Neulion, removed from the mirror
+          server.data.programs.pop()
+          return client.mirror.sync('2015-10-28', '2015-10-29')
+        })
+        .then(function(summary) {
+          ase(summary.removed, 1)
+          server.data.programs.push(removed)
+          return client.mirror.sync('2015-10-28', '2015-10-29')
+        })
+    })
+
+    it('removes programs without a group', function() {
+      var client = create({ group: undefined, mirror: true })
+        , removed
+
+      return client.mirror.sync('2015-10-28', '2015-10-29')
+        .then(function(summary) {
+          ase(summary.programs, 2)
+          removed = server.data.programs.pop()
+          return client.mirror.sync('2015-10-28', '2015-10-29')
+        })
+        .then(function(summary) {
+          ase(summary.removed, 1)
+          ase(summary.programs, 1)
+        })
+        .finally(function() {
+          if (removed) server.data.programs.push(removed)
+        })
+    })
+
+    it('answers reads when Neulion is unreachable', function() {
+      var client = create({ endpoint: dead, retry: false, breaker: false, mirror: { path: dir }, offline: true })
+
+      return client.details(65041)
+        .then(function(video) {
+          ase(video.name, 'Dempsey goal vs Portland')
+          assert(video.progDate instanceof Date)
+          return client.list({ progDate: '2015-10-28' }, { hydrate: true })
+        })
+        .then(function(result) {
+          assert.deepEqual(_.pluck(result.programs, 'programId').sort(), [65041, 65042])
+          return client.list({ name: 'Condensed game' })
+        })
+        .then(function(ids) {
+          assert.deepEqual(ids, [])
+          return client.categoryTree()
+        })
+        .then(function(tree) {
+          ase(tree[0].categoryKey, 'video')
+          return client.details(99999)
+        })
+        .then(function() {
+          throw new Error('should have failed')
+        }, function(err) {
+          assert(err instanceof Neulion.NotConnectedError)
+          return client.details(65041, { offline: false })
+        })
+        .then(function() {
+          throw new Error('should have failed')
+        }, function(err) {
+          assert(err instanceof Neulion.NotConnectedError)
+          assert.throws(function() {
+            create({ offline: true })
+          }, TypeError)
+        })
+    })
+  })
+
+  describe('record and replay', function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'neulion-fixtures-'))
+      , recorder
+      , replayer
+
+    before(function() {
+      recorder = new FakeServer({ record: { target: server.url, dir: dir } })
+      replayer = new FakeServer({ replay: dir })
+      return Promise.all([recorder.listen(), replayer.listen()])
+    })
+
+    after(function() {
+      fs.readdirSync(dir).forEach(function(x) {
+        fs.unlinkSync(path.join(dir, x))
+      })
+      fs.rmdirSync(dir)
+      return Promise.all([recorder.close(), replayer.close()])
+    })
+
+    it('records without secrets', function() {
+      var client = create({ endpoint: recorder.url })
+
+      return client.details(65041).then(function(video) {
+        ase(video.programId, 65041)
+
+        var files = fs.readdirSync(dir)
+        ase(files.length, 3)
+        assert(~files.indexOf('ContentWS.wsdl'))
+        files.forEach(function(x) {
+          var str = fs.readFileSync(path.join(dir, x), 'utf8')
+          assert(!~str.indexOf('some password'))
+          assert(!~str.indexOf(client.authCode))
+        })
+      })
+    })
+
+    it('replays', function() {
+      var client = create({ endpoint: replayer.url, retry: false })
+        , wsdl = path.join(dir, 'ContentWS.wsdl')
+
+      // Serves the recorded WSDL, not the bundled one
+      fs.appendFileSync(wsdl, '<!-- recorded -->')
+
+      return new Promise(function(res, rej) {
+        http.get(replayer.url, function(resp) {
+          var body = ''
+          resp.setEncoding('utf8')
+          resp.on('data', function(x) { body += x })
+          resp.on('end', function() { res(body) })
+        }).on('error', rej)
+      })
+        .then(function(body) {
+          assert(~body.indexOf('<!-- recorded -->'))
+          assert(~body.indexOf(replayer.url.replace(/\?wsdl$/, '')))
+          return client.details(65041)
+        })
+        .then(function(video) {
+          ase(video.programId, 65041)
+          ase(client.authCode, 'recorded-auth-code')
+          return client.details(65042)
+        })
+        .then(function() {
+          throw new Error('should fail')
+        }, function(err) {
+          assert(err instanceof Neulion.SoapError)
+          assert(~err.message.indexOf('No recorded fixture'))
+        })
+    })
+  })
+})
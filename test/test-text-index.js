@@ -0,0 +1,93 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var assert = require('assert')
+  , ase = assert.strictEqual
+  , TextIndex = require('../lib/text-index')
+
+/*!
+ * Test
+ */
+
+describe('text index', function() {
+  var index
+
+  // Program IDs found for a query
+  function ids(query, options) {
+    return index.search(query, options).map(function(x) {
+      return x.program.programId
+    })
+  }
+
+  beforeEach(function() {
+    index = new TextIndex()
+      .add({ programId: 1, groupId: 1, name: 'Dempsey goal vs Portland', desc: 'Clint Dempsey scores from the edge of the box', tagArray: ['goal'] })
+      .add({ programId: 2, groupId: 1, name: 'Portland vs Seattle condensed', desc: 'Condensed game, three goals' })
+      .add({ programId: 3, groupId: 2, name: 'Fútbol: the best saves', altDesc: 'Matches of the week', tagArray: ['saves', 'Kéeper'] })
+  })
+
+  it('tokenizes and stems', function() {
+    assert.deepEqual(TextIndex.tokenize("The Keeper's SAVES, scoring & matches"), ['keeper', 'sav', 'scor', 'match'])
+    ase(TextIndex.stem('scored'), TextIndex.stem('score'))
+    ase(TextIndex.stem('goals'), 'goal')
+    ase(TextIndex.stem('2015'), '2015')
+  })
+
+  it('ranks matches', function() {
+    // Name matches weigh more than descriptions
+    assert.deepEqual(ids('goal'), [1, 2])
+    assert.deepEqual(ids('portland'), [1, 2])
+    assert.deepEqual(ids('portland condensed'), [2, 1])
+    assert.deepEqual(ids('futbol keeper'), [3])
+    assert.deepEqual(ids('match'), [3])
+    assert.deepEqual(ids('nothing'), [])
+    assert.deepEqual(ids('the'), [])
+    assert.deepEqual(ids('portland', { limit: 1 }), [1])
+    assert(index.search('goal')[0].score > index.search('goal')[1].score)
+  })
+
+  it('ranks programs matching more words first', function() {
+    var results = index.search('Dempsey goal vs Portland')
+
+    assert.deepEqual(ids('Dempsey goal vs Portland'), [1, 2])
+    assert(results[0].score > 2 * results[1].score)
+    assert.deepEqual(ids('vs'), [])
+    assert.deepEqual(ids('v'), [])
+    assert.deepEqual(ids('dempsey saves').sort(), [1, 3])
+  })
+
+  it('matches prefixes', function() {
+    assert.deepEqual(ids('demp'), [1])
+    assert.deepEqual(ids('sea'), [2])
+    assert.deepEqual(ids('port goa'), [1, 2])
+  })
+
+  it('replaces and removes', function() {
+    index.add({ programId: 1, groupId: 1, name: 'Renamed' })
+    assert.deepEqual(ids('dempsey'), [])
+    assert.deepEqual(ids('renamed'), [1])
+
+    index.remove(1, 2)
+    ase(index.size(), 3)
+    index.remove(1)
+    ase(index.size(), 2)
+    assert.deepEqual(ids('renamed'), [])
+    assert(!index.terms.has('renam'))
+  })
+
+  it('drops the oldest programs past max', function() {
+    index = new TextIndex({ max: 2 })
+      .add({ programId: 1, groupId: 1, name: 'Dempsey goal' })
+      .add({ programId: 2, groupId: 1, name: 'Condensed game' })
+      .add({ programId: 1, groupId: 1, name: 'Dempsey goal again' })
+      .add({ programId: 3, groupId: 1, name: 'Best saves' })
+
+    ase(index.size(), 2)
+    assert.deepEqual(ids('condensed'), [])
+    assert.deepEqual(ids('dempsey'), [1])
+    assert(!index.terms.has('condens'))
+  })
+})
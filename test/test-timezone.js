@@ -0,0 +1,110 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , path = require('path')
+  , assert = require('assert')
+  , ase = assert.strictEqual
+  , Schema = require('../lib/schema')
+  , timezone = require('../lib/timezone')
+
+var NY = 'America/New_York'
+
+/**
+ * Format a list of dates as ISO strings
+ *
+ * @param {Array} dates
+ * @return {Array} strings
+ */
+
+function iso(dates) {
+  return dates.map(function(x) {
+    return x.toISOString()
+  })
+}
+
+/*!
+ * Test
+ */
+
+describe('timezone', function() {
+  it('parses wall clock times in the zone', function() {
+    ase(timezone.parse('2015-10-28', NY).toISOString(), '2015-10-28T04:00:00.000Z')
+    ase(timezone.parse('2015-10-28T12:30:00.5', NY).toISOString(), '2015-10-28T16:30:00.500Z')
+    ase(timezone.parse('20151028123000', NY).toISOString(), '2015-10-28T16:30:00.000Z')
+    ase(timezone.parse('2015-10-28T12:30:00Z', NY).toISOString(), '2015-10-28T12:30:00.000Z')
+    ase(timezone.parse('2015-10-28').toISOString(), '2015-10-28T00:00:00.000Z')
+    assert(isNaN(timezone.parse('nope', NY)))
+  })
+
+  it('DST changes', function() {
+    // Repeated hour resolves to the first, skipped hour moves forward
+    ase(timezone.parse('2015-11-01T01:30:00', NY).toISOString(), '2015-11-01T05:30:00.000Z')
+    ase(timezone.parse('2015-03-08T02:30:00', NY).toISOString(), '2015-03-08T07:30:00.000Z')
+    ase(timezone.startOfDay('2018-11-04T12:00:00', 'America/Sao_Paulo').toISOString(), '2018-11-04T03:00:00.000Z')
+  })
+
+  it('midnight is hour 0', function() {
+    ase(timezone.parts(new Date('2015-10-28T04:30:00.000Z'), NY).hour, 0)
+    ase(timezone.parts(new Date('2015-10-28T00:00:00.000Z')).hour, 0)
+    ase(timezone.parts(new Date('2015-10-28T00:00:00.000Z')).day, 28)
+  })
+
+  it('days', function() {
+    assert.deepEqual(iso(timezone.days('2015-10-31T22:00:00', '2015-11-02', NY)), [
+      '2015-10-31T04:00:00.000Z'
+    , '2015-11-01T04:00:00.000Z'
+    ])
+    assert.deepEqual(iso(timezone.days('2015-03-07', '2015-03-09', NY, true)), [
+      '2015-03-07T05:00:00.000Z'
+    , '2015-03-08T05:00:00.000Z'
+    , '2015-03-09T04:00:00.000Z'
+    ])
+    assert.deepEqual(timezone.days('2015-03-09', '2015-03-07', NY, true), [])
+  })
+
+  it('day keys and update times', function() {
+    var late = new Date('2015-10-29T02:00:00Z')
+
+    ase(timezone.dayKey(late, NY), '2015-10-28')
+    ase(timezone.dayKey(late), '2015-10-29')
+    ase(timezone.updateTime(late, NY), '20151028220000')
+    ase(timezone.updateTime(late), '20151029020000')
+  })
+
+  it('check', function() {
+    timezone.check(NY)
+    assert.throws(function() {
+      timezone.check('Nowhere/Special')
+    }, TypeError)
+  })
+
+  it('decodes response dates in the zone', function() {
+    var wsdl = fs.readFileSync(path.join(__dirname, 'fixtures/ContentWS.wsdl'), 'utf8')
+      , schema = new Schema(wsdl, { timezone: NY })
+      , detail = schema.decode('ProgramDetail', {
+        progDate: '2015-10-28T12:00:00'
+      , startTime: '2015-10-28T12:00:00.000Z'
+      })
+
+    ase(detail.progDate.toISOString(), '2015-10-28T16:00:00.000Z')
+    ase(detail.startTime.toISOString(), '2015-10-28T12:00:00.000Z')
+  })
+
+  it('encodes request dates in the zone', function() {
+    var wsdl = fs.readFileSync(path.join(__dirname, 'fixtures/ContentWS.wsdl'), 'utf8')
+      , schema = new Schema(wsdl, { timezone: NY })
+      , detail = schema.encode('ProgramDetail', {
+        progDate: '2015-10-28'
+      , startTime: '2015-10-28T12:00:00'
+      , endTime: new Date('2015-10-28T12:00:00.000Z')
+      })
+
+    ase(detail.progDate, '2015-10-28T04:00:00.000Z')
+    ase(detail.startTime, '2015-10-28T16:00:00.000Z')
+    ase(detail.endTime, '2015-10-28T12:00:00.000Z')
+  })
+})
@@ -0,0 +1,96 @@
+'use strict';
+
+/*!
+ * Dependencies
+ */
+
+var fs = require('fs')
+  , path = require('path')
+  , assert = require('assert')
+  , ase = assert.strictEqual
+  , Schema = require('../lib/schema')
+  , Errors = require('../lib/errors')
+  , xml = require('../lib/xml')
+  , parseRequest = require('./server').parseRequest
+
+var wsdl = fs.readFileSync(path.join(__dirname, 'fixtures/ContentWS.wsdl'), 'utf8')
+  , schema = new Schema(wsdl)
+  , NS = 'xmlns:ns1="http://services.mlsws.admin.iptv.neulion.com" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+
+/**
+ * Parse a serialized request back into its params
+ *
+ * @param {String} xml
+ * @return {Object} params
+ */
+
+function parse(str) {
+  return parseRequest(`<Envelope><Body>${str}</Body></Envelope>`).params
+}
+
+/*!
+ * Test
+ */
+
+describe('xml', function() {
+  it('escape', function() {
+    ase(xml.escape('a & <b> "c" \'d\' ]]>\u0001'), 'a &amp; &lt;b&gt; &quot;c&quot; &apos;d&apos; ]]&gt;')
+  })
+
+  it('follows the WSDL order and sends nil', function() {
+    var out = xml.serialize(schema, 'searchVodPrograms', {
+      name: 'some name'
+    , progDate: new Date(0)
+    , authCode: 'abc'
+    })
+
+    ase(out, `<ns1:searchVodPrograms ${NS}>`
+      + '<ns1:authCode>abc</ns1:authCode>'
+      + '<ns1:groupId xsi:nil="true"/>'
+      + '<ns1:progDate>1970-01-01T00:00:00.000Z</ns1:progDate>'
+      + '<ns1:name>some name</ns1:name>'
+      + '<ns1:description xsi:nil="true"/>'
+      + '<ns1:updateTime xsi:nil="true"/>'
+      + '</ns1:searchVodPrograms>')
+  })
+
+  it('can not be injected', function() {
+    var name = 'a</ns1:name><ns1:groupId>1</ns1:groupId><![CDATA[ ]]> & b'
+      , out = xml.serialize(schema, 'searchVodPrograms', { authCode: 'abc', name: name })
+
+    ase(parse(out).name, name)
+    ase(parse(out).groupId, null)
+  })
+
+  it('nested objects and arrays', function() {
+    var out = xml.serialize(schema, 'createVodProgram', {
+      authCode: 'abc'
+    , ProgramDetail: {
+        name: 'x'
+      , regRequired: false
+      , shareInPlayer: true
+      , categoryIdArray: [12, 14]
+      , tagArray: { item: ['goal'] }
+      }
+    })
+    var detail = parse(out).ProgramDetail
+
+    assert(~out.indexOf('<ns1:categoryIdArray><ns1:item>12</ns1:item><ns1:item>14</ns1:item></ns1:categoryIdArray>'))
+    assert.deepEqual(detail.categoryIdArray, { item: ['12', '14'] })
+    ase(detail.tagArray.item, 'goal')
+    ase(detail.regRequired, 'false')
+    ase(detail.altDesc, null)
+  })
+
+  it('rejects unknown fields', function() {
+    assert.throws(function() {
+      xml.serialize(schema, 'searchVodPrograms', { authCode: 'abc', nope: 1 })
+    }, function(err) {
+      return err instanceof Errors.ValidationError
+        && err.errors[0] === 'searchVodPrograms.nope: unknown field'
+    })
+    assert.throws(function() {
+      xml.serialize(schema, 'nope', {})
+    }, Errors.ValidationError)
+  })
+})